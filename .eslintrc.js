@@ -29,5 +29,14 @@ module.exports = {
     'semi': ['error', 'always'],
     'no-console': 'warn',
     'no-unused-vars': 'warn'
-  }
+  },
+  overrides: [
+    {
+      // Server scripts run in the instance's global scope, not as Node modules
+      files: ['src/server/**/*.js'],
+      env: {
+        node: false
+      }
+    }
+  ]
 };
@@ -35,9 +35,35 @@ var PlanningPokerFluentApp = (function() {
                 'x_902080_msmplnpkr_fluent_scoring_method_fluent',
                 'x_902080_msmplnpkr_fluent_scoring_value_fluent',
                 'x_902080_msmplnpkr_fluent_session_participant_fluent',
-                'x_902080_msmplnpkr_fluent_session_voter_groups_fluent'
+                'x_902080_msmplnpkr_fluent_session_voter_groups_fluent',
+                'x_902080_msmplnpkr_fluent_session_event_fluent',
+                'x_902080_msmplnpkr_fluent_story_points_writeback_fluent',
+                'x_902080_msmplnpkr_fluent_webhook_subscription_fluent',
+                'x_902080_msmplnpkr_fluent_webhook_delivery_fluent'
             ],
-            script_includes: ['FluentQueryHelper']
+            script_includes: [
+                'FluentQueryHelper',
+                'PlanningPokerConstants',
+                'SessionManagementFluent',
+                'VotingOperationsFluent',
+                'StatisticsCalculatorFluent',
+                'SessionSummaryFluent',
+                'ParticipantManagerFluent',
+                'VoterEligibilityFluent',
+                'PlanningPokerRestApiFluent',
+                'PlanningPokerAjaxFluent',
+                'DashboardStatisticsFluent',
+                'SessionEventFeedFluent',
+                'VoteHistoryFluent',
+                'StoryImportFluent',
+                'StoryPointsWritebackFluent',
+                'StorySyncAdapter',
+                'JiraStorySyncAdapter',
+                'AzureDevOpsStorySyncAdapter',
+                'StorySyncFluent',
+                'StoryExportFluent',
+                'WebhookDispatcherFluent'
+            ]
         },
         
         // Initialize fluent application
@@ -21,12 +21,12 @@
       is_numeric: false,
       order: 1,
       values: [
-        { value: 'XS', order: 1, is_special: false, description: 'Extra Small - Trivial task' },
-        { value: 'S', order: 2, is_special: false, description: 'Small - Simple task' },
-        { value: 'M', order: 3, is_special: false, description: 'Medium - Moderate complexity' },
-        { value: 'L', order: 4, is_special: false, description: 'Large - Complex task' },
-        { value: 'XL', order: 5, is_special: false, description: 'Extra Large - Very complex' },
-        { value: 'XXL', order: 6, is_special: false, description: 'Double Extra Large - Should be split' },
+        { value: 'XS', story_points: 1, order: 1, is_special: false, description: 'Extra Small - Trivial task' },
+        { value: 'S', story_points: 3, order: 2, is_special: false, description: 'Small - Simple task' },
+        { value: 'M', story_points: 5, order: 3, is_special: false, description: 'Medium - Moderate complexity' },
+        { value: 'L', story_points: 8, order: 4, is_special: false, description: 'Large - Complex task' },
+        { value: 'XL', story_points: 13, order: 5, is_special: false, description: 'Extra Large - Very complex' },
+        { value: 'XXL', story_points: 21, order: 6, is_special: false, description: 'Double Extra Large - Should be split' },
         { value: '?', order: 7, is_special: true, description: 'Unknown - Need more information' },
         { value: 'Coffee', order: 8, is_special: true, description: 'Need a break' }
       ]
@@ -139,6 +139,9 @@
         if (valueDef.numeric_value !== undefined) {
           valueGr.setValue('numeric_value', valueDef.numeric_value);
         }
+        if (valueDef.story_points !== undefined) {
+          valueGr.setValue('story_points', valueDef.story_points);
+        }
 
         var valueSysId = valueGr.insert();
         if (valueSysId) {
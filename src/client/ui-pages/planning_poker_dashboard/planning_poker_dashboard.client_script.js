@@ -0,0 +1,150 @@
+/* global GlideAjax, addLoadEvent */
+
+/**
+ * Planning Poker - Statistics Dashboard client script
+ *
+ * Shows roll-up tiles, a per-session table and the final_score distribution
+ * per scoring method, all from PlanningPokerAjaxFluent.getDashboard.
+ * Optional team (voter group) and dealer filters come from the page URL.
+ */
+var PlanningPokerDashboard = (function() {
+  'use strict';
+
+  var AJAX_PROCESSOR = 'x_902080_msmplnpkr_fluent.PlanningPokerAjaxFluent';
+
+  function byId(id) {
+    return document.getElementById(id);
+  }
+
+  function setText(id, text) {
+    byId(id).textContent = text === null || text === undefined ? '' : String(text);
+  }
+
+  function showMessage(message) {
+    setText('pp_message', message || '');
+    byId('pp_message').classList.toggle('pp-hidden', !message);
+  }
+
+  function clear(element) {
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+  }
+
+  function orDash(value, suffix) {
+    return value === null || value === undefined ? '-' : value + (suffix || '');
+  }
+
+  /**
+   * Seconds as "4m 05s"
+   */
+  function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) {
+      return '-';
+    }
+    var minutes = Math.floor(seconds / 60);
+    var rest = seconds % 60;
+    return minutes + 'm ' + (rest < 10 ? '0' : '') + rest + 's';
+  }
+
+  function renderTotals(totals) {
+    setText('pp_total_sessions', totals.sessions);
+    setText('pp_total_estimated', totals.stories_estimated);
+    setText('pp_total_consensus', orDash(totals.consensus_rate, '%'));
+    setText('pp_total_revotes', orDash(totals.average_revotes));
+    setText('pp_total_overrides', orDash(totals.override_rate, '%'));
+    setText('pp_total_time', formatDuration(totals.average_seconds_per_story));
+  }
+
+  function renderSessions(sessions) {
+    var body = byId('pp_session_rows');
+    clear(body);
+
+    sessions.forEach(function(session) {
+      var row = body.insertRow(-1);
+      [
+        session.name,
+        session.status,
+        session.scoring_method,
+        session.start_time,
+        session.stories_estimated,
+        session.stories_skipped,
+        orDash(session.consensus_rate, '%'),
+        orDash(session.average_revotes),
+        orDash(session.override_rate, '%'),
+        formatDuration(session.average_seconds_per_story)
+      ].forEach(function(value) {
+        row.insertCell(-1).textContent = value === null || value === undefined ? '' : String(value);
+      });
+    });
+  }
+
+  /**
+   * One table per scoring method, scores in card order with a proportional bar
+   */
+  function renderDistributions(distributions) {
+    var container = byId('pp_distributions');
+    clear(container);
+
+    distributions.forEach(function(distribution) {
+      var heading = document.createElement('h3');
+      heading.textContent = distribution.name + ' (' + distribution.total + ' stories)';
+      container.appendChild(heading);
+
+      var table = document.createElement('table');
+      distribution.scores.forEach(function(score) {
+        var row = table.insertRow(-1);
+        row.insertCell(-1).textContent = score.value;
+
+        var bar = document.createElement('span');
+        bar.className = 'pp-bar';
+        bar.style.width = Math.round(score.count / (distribution.total || 1) * 300) + 'px';
+        row.insertCell(-1).appendChild(bar);
+
+        row.insertCell(-1).textContent = score.count;
+      });
+      container.appendChild(table);
+    });
+  }
+
+  function load() {
+    var ga = new GlideAjax(AJAX_PROCESSOR);
+    ga.addParam('sysparm_name', 'getDashboard');
+    ga.addParam('sysparm_group', byId('pp_group').value);
+    ga.addParam('sysparm_dealer', byId('pp_dealer').value);
+
+    var since = byId('pp_since').value;
+    ga.addParam('sysparm_since', since ? since + ' 00:00:00' : '');
+
+    ga.getXMLAnswer(function(answer) {
+      var response;
+      try {
+        response = JSON.parse(answer);
+      } catch (e) {
+        response = { success: false, error: 'Unexpected response from server' };
+      }
+
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+
+      showMessage('');
+      renderTotals(response.result.totals);
+      renderSessions(response.result.sessions);
+      renderDistributions(response.result.score_distribution);
+    });
+  }
+
+  function init() {
+    byId('pp_apply').addEventListener('click', load);
+    load();
+  }
+
+  return {
+    init: init,
+    refresh: load
+  };
+})();
+
+addLoadEvent(PlanningPokerDashboard.init);
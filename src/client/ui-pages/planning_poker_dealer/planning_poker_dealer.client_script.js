@@ -0,0 +1,407 @@
+/* global GlideAjax, addLoadEvent */
+
+/**
+ * Planning Poker - Dealer Console client script
+ *
+ * Lists a session's stories with reorder controls, bulk import from rm_story
+ * (sprint, epic, product or encoded query), Jira (JQL) or Azure DevOps
+ * (WIQL), pasted CSV or JSON, export of a completed session's results, and
+ * the per-status dealer
+ * actions (start voting with an optional time box, reveal, re-vote or undo
+ * the last re-vote, skip, one-click accept of the suggested score or an
+ * overriding final score), plus participant role changes and removal. All
+ * actions go through the PlanningPokerAjaxFluent GlideAjax processor, which
+ * rejects callers who are not the session dealer.
+ */
+var PlanningPokerDealer = (function() {
+  'use strict';
+
+  var AJAX_PROCESSOR = 'x_902080_msmplnpkr_fluent.PlanningPokerAjaxFluent';
+  var REFRESH_INTERVAL_MS = 5000;
+  var ROLES = ['dealer', 'participant', 'spectator'];
+
+  var state = {
+    sessionId: null,
+    session: null,
+    stories: [],
+    scoringValues: []
+  };
+
+  /**
+   * Call a PlanningPokerAjaxFluent method and hand the parsed response to callback
+   */
+  function callAjax(method, params, callback) {
+    var ga = new GlideAjax(AJAX_PROCESSOR);
+    ga.addParam('sysparm_name', method);
+    ga.addParam('sysparm_session_id', state.sessionId);
+
+    Object.keys(params || {}).forEach(function(key) {
+      ga.addParam(key, params[key]);
+    });
+
+    ga.getXMLAnswer(function(answer) {
+      var response;
+      try {
+        response = JSON.parse(answer);
+      } catch (e) {
+        response = { success: false, error: 'Unexpected response from server' };
+      }
+      callback(response);
+    });
+  }
+
+  function byId(id) {
+    return document.getElementById(id);
+  }
+
+  function showMessage(message) {
+    var element = byId('pp_message');
+    element.textContent = message || '';
+    element.classList.toggle('pp-hidden', !message);
+  }
+
+  function clear(element) {
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+  }
+
+  function button(label, onClick, disabled) {
+    var element = document.createElement('button');
+    element.type = 'button';
+    element.textContent = label;
+    element.disabled = !!disabled;
+    element.addEventListener('click', onClick);
+    return element;
+  }
+
+  function cell(row, text) {
+    var element = row.insertCell(-1);
+    element.textContent = text === null || text === undefined ? '' : String(text);
+    return element;
+  }
+
+  /**
+   * Run a dealer action and refresh on success
+   */
+  function act(method, params) {
+    callAjax(method, params, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+      showMessage('');
+      refresh();
+    });
+  }
+
+  function moveStory(index, offset) {
+    var target = index + offset;
+    if (target < 0 || target >= state.stories.length) {
+      return;
+    }
+
+    var ids = state.stories.map(function(story) {
+      return story.sys_id;
+    });
+    var moved = ids.splice(index, 1)[0];
+    ids.splice(target, 0, moved);
+
+    act('reorderStories', { sysparm_story_ids: JSON.stringify(ids) });
+  }
+
+  /**
+   * Import backlog or external stories and report skipped and failed rows.
+   * Options with a data-source attribute name an external tool adapter.
+   */
+  function importStories() {
+    var value = byId('pp_import_value').value.trim();
+    if (!value) {
+      showMessage('Enter a sprint, epic or product sys_id, or a query.');
+      return;
+    }
+
+    var option = byId('pp_import_source').selectedOptions[0];
+    var params = {};
+    params[option.value] = value;
+    if (option.dataset.source) {
+      params.sysparm_source = option.dataset.source;
+    }
+
+    callAjax(option.dataset.source ? 'importExternalStories' : 'importStories', params, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+
+      var result = response.result;
+      var summary = 'Imported ' + result.imported + ', skipped ' + result.skipped + ' already in the session.';
+      var failed = result.errors.map(function(row) {
+        return (row.number || row.external_key || row.story || '?') + ': ' + row.error;
+      });
+      showMessage(failed.length > 0 ? summary + ' Failed: ' + failed.join('; ') : summary);
+      byId('pp_import_value').value = '';
+      refresh();
+    });
+  }
+
+  /**
+   * Import pasted CSV or JSON and report rows that failed validation
+   */
+  function importPastedStories() {
+    var content = byId('pp_file_content').value;
+    if (!content.trim()) {
+      showMessage('Paste CSV or JSON stories first.');
+      return;
+    }
+
+    callAjax('importStoriesFile', {
+      sysparm_format: byId('pp_file_format').value,
+      sysparm_content: content
+    }, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+
+      var result = response.result;
+      var summary = 'Imported ' + result.imported + ' stories.';
+      var failed = result.errors.map(function(row) {
+        return 'row ' + row.row + ': ' + row.error;
+      });
+      showMessage(failed.length > 0 ? summary + ' Failed: ' + failed.join('; ') : summary);
+      if (failed.length === 0) {
+        byId('pp_file_content').value = '';
+      }
+      refresh();
+    });
+  }
+
+  /**
+   * Download the session's stories and results as a file
+   */
+  function exportStories(format) {
+    callAjax('exportStories', { sysparm_format: format }, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+
+      var file = response.result;
+      var link = document.createElement('a');
+      link.href = URL.createObjectURL(new Blob([file.content], { type: file.contentType }));
+      link.download = file.filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(link.href);
+    });
+  }
+
+  function scoreSelect() {
+    var select = document.createElement('select');
+    state.scoringValues.forEach(function(scoringValue) {
+      if (scoringValue.is_special) {
+        return;
+      }
+      var option = document.createElement('option');
+      option.value = scoringValue.value;
+      option.textContent = scoringValue.value;
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  function storyActions(container, story) {
+    var params = { sysparm_story_id: story.sys_id };
+
+    if (story.status === 'pending') {
+      var timeLimit = document.createElement('input');
+      timeLimit.type = 'number';
+      timeLimit.min = '0';
+      timeLimit.className = 'pp-time-limit';
+      timeLimit.placeholder = 'sec';
+      timeLimit.title = 'Time box in seconds (empty = session default)';
+      if (parseInt(story.time_limit, 10) > 0) {
+        timeLimit.value = story.time_limit;
+      }
+      container.appendChild(timeLimit);
+      container.appendChild(button('Start voting', function() {
+        act('startVoting', { sysparm_story_id: story.sys_id, sysparm_time_limit: timeLimit.value || '0' });
+      }));
+    }
+
+    if (story.status === 'voting') {
+      container.appendChild(button('Reveal', function() {
+        act('reveal', {});
+      }, state.session.current_story !== story.sys_id));
+    }
+
+    if (story.status === 'revealed') {
+      if (story.suggested_score) {
+        container.appendChild(button('Accept ' + story.suggested_score, function() {
+          act('acceptSuggestedScore', params);
+        }));
+      }
+
+      var select = scoreSelect();
+      if (story.suggested_score) {
+        select.value = story.suggested_score;
+      }
+      container.appendChild(select);
+      container.appendChild(button(story.suggested_score ? 'Override' : 'Accept', function() {
+        act('completeStory', { sysparm_story_id: story.sys_id, sysparm_final_score: select.value });
+      }));
+    }
+
+    if (story.status === 'voting' || story.status === 'revealed') {
+      container.appendChild(button('Re-vote', function() {
+        act('revote', params);
+      }));
+
+      if (parseInt(story.times_revoted, 10) > 0) {
+        container.appendChild(button('Undo re-vote', function() {
+          act('undoRevote', params);
+        }));
+      }
+    }
+
+    if (story.status !== 'completed' && story.status !== 'skipped') {
+      container.appendChild(button('Skip', function() {
+        act('skipStory', params);
+      }));
+    }
+  }
+
+  function renderStories() {
+    var body = byId('pp_story_rows');
+    clear(body);
+
+    state.stories.forEach(function(story, index) {
+      var row = body.insertRow(-1);
+      if (state.session && state.session.current_story === story.sys_id) {
+        row.className = 'pp-current';
+      }
+
+      var orderCell = cell(row, story.order + ' ');
+      orderCell.appendChild(button('↑', function() {
+        moveStory(index, -1);
+      }, index === 0));
+      orderCell.appendChild(button('↓', function() {
+        moveStory(index, 1);
+      }, index === state.stories.length - 1));
+
+      var titleCell = cell(row, story.title);
+      if (story.external_url) {
+        var link = document.createElement('a');
+        link.href = story.external_url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = story.external_key;
+        titleCell.appendChild(document.createTextNode(' '));
+        titleCell.appendChild(link);
+      }
+
+      var status = document.createElement('span');
+      status.className = 'pp-status';
+      status.textContent = story.status;
+      row.insertCell(-1).appendChild(status);
+
+      cell(row, story.vote_count);
+      cell(row, [story.average_score || '-', story.min_score || '-', story.max_score || '-'].join(' / '));
+      cell(row, story.final_score);
+
+      storyActions(row.insertCell(-1), story);
+    });
+  }
+
+  function renderParticipants(participants) {
+    var body = byId('pp_participant_rows');
+    clear(body);
+
+    participants.forEach(function(participant) {
+      var row = body.insertRow(-1);
+      cell(row, participant.name);
+
+      var select = document.createElement('select');
+      ROLES.forEach(function(role) {
+        var option = document.createElement('option');
+        option.value = role;
+        option.textContent = role;
+        select.appendChild(option);
+      });
+      select.value = participant.role;
+      select.disabled = participant.role === 'dealer';
+      select.addEventListener('change', function() {
+        act('changeRole', { sysparm_user_id: participant.user, sysparm_role: select.value });
+      });
+      row.insertCell(-1).appendChild(select);
+
+      cell(row, participant.has_voted ? '✓' : '');
+      cell(row, participant.last_activity);
+
+      row.insertCell(-1).appendChild(button('Remove', function() {
+        act('removeParticipant', { sysparm_user_id: participant.user });
+      }, participant.role === 'dealer'));
+    });
+  }
+
+  function refresh() {
+    callAjax('getSessionState', {}, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+
+      state.session = response.result.session;
+      byId('pp_session_name').textContent = state.session.name + ' (' + state.session.status + ')';
+
+      callAjax('getStories', {}, function(storiesResponse) {
+        if (!storiesResponse.success) {
+          showMessage(storiesResponse.error);
+          return;
+        }
+        state.stories = storiesResponse.result;
+        renderStories();
+      });
+    });
+
+    callAjax('getParticipants', {}, function(response) {
+      if (response.success) {
+        renderParticipants(response.result);
+      }
+    });
+  }
+
+  function init() {
+    state.sessionId = byId('pp_session_id').value;
+    if (!state.sessionId) {
+      showMessage('No session specified. Open this page with sysparm_session_id.');
+      return;
+    }
+
+    byId('pp_import').addEventListener('click', importStories);
+    byId('pp_file_import').addEventListener('click', importPastedStories);
+    byId('pp_export_csv').addEventListener('click', function() {
+      exportStories('csv');
+    });
+    byId('pp_export_json').addEventListener('click', function() {
+      exportStories('json');
+    });
+
+    callAjax('getScoringValues', {}, function(response) {
+      if (response.success) {
+        state.scoringValues = response.result;
+      }
+      refresh();
+      setInterval(refresh, REFRESH_INTERVAL_MS);
+    });
+  }
+
+  return {
+    init: init,
+    refresh: refresh
+  };
+})();
+
+addLoadEvent(PlanningPokerDealer.init);
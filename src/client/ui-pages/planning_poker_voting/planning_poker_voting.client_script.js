@@ -0,0 +1,415 @@
+/* global GlideAjax, addLoadEvent */
+
+/**
+ * Planning Poker - Voting Interface client script
+ *
+ * Renders the current story, a card deck built from the session's
+ * scoring_value rows (special cards set apart), who has voted and, once the
+ * story is revealed, the vote distribution with average/min/max.
+ * All data comes from the PlanningPokerAjaxFluent GlideAjax processor.
+ *
+ * Live updates: the session change feed (getEvents) is polled with the
+ * cursor of the last event seen, and the page reloads its state whenever
+ * new events arrive. A slower full refresh covers missed polls.
+ *
+ * Timed rounds show a countdown from the server's seconds_remaining; when
+ * it reaches zero the page refreshes, which reveals the expired round.
+ */
+var PlanningPokerVoting = (function() {
+  'use strict';
+
+  var AJAX_PROCESSOR = 'x_902080_msmplnpkr_fluent.PlanningPokerAjaxFluent';
+  var REFRESH_INTERVAL_MS = 30000;
+  var FEED_INTERVAL_MS = 2000;
+  var COUNTDOWN_URGENT_SECONDS = 10;
+
+  var state = {
+    sessionId: null,
+    scoringValues: [],
+    lastState: null,
+    timer: null,
+    feedTimer: null,
+    cursor: null,
+    polling: false,
+    deadlineAt: null,
+    countdownTimer: null
+  };
+
+  /**
+   * Call a PlanningPokerAjaxFluent method and hand the parsed response to callback
+   */
+  function callAjax(method, params, callback) {
+    var ga = new GlideAjax(AJAX_PROCESSOR);
+    ga.addParam('sysparm_name', method);
+    ga.addParam('sysparm_session_id', state.sessionId || '');
+
+    Object.keys(params || {}).forEach(function(key) {
+      ga.addParam(key, params[key]);
+    });
+
+    ga.getXMLAnswer(function(answer) {
+      var response;
+      try {
+        response = JSON.parse(answer);
+      } catch (e) {
+        response = { success: false, error: 'Unexpected response from server' };
+      }
+      callback(response);
+    });
+  }
+
+  function byId(id) {
+    return document.getElementById(id);
+  }
+
+  function show(id, visible) {
+    byId(id).classList.toggle('pp-hidden', !visible);
+  }
+
+  function setText(id, text) {
+    byId(id).textContent = text === null || text === undefined ? '' : String(text);
+  }
+
+  function showMessage(message) {
+    setText('pp_message', message || '');
+    show('pp_message', !!message);
+  }
+
+  function clear(element) {
+    while (element.firstChild) {
+      element.removeChild(element.firstChild);
+    }
+  }
+
+  /**
+   * Build the card deck; regular cards first, special cards (?, Coffee) in their own row
+   */
+  function renderDeck(sessionState) {
+    var deck = byId('pp_deck');
+    var specialDeck = byId('pp_deck_special');
+    clear(deck);
+    clear(specialDeck);
+
+    var story = sessionState.current_story;
+    var canVote = sessionState.can_vote && story && story.status === 'voting' && story.seconds_remaining !== 0;
+
+    state.scoringValues.forEach(function(scoringValue) {
+      var card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'pp-card';
+      card.textContent = scoringValue.value;
+      card.title = scoringValue.description || scoringValue.value;
+      card.disabled = !canVote;
+
+      if (sessionState.my_vote === scoringValue.value) {
+        card.classList.add('pp-selected');
+      }
+
+      card.addEventListener('click', function() {
+        castVote(scoringValue.value);
+      });
+
+      (scoringValue.is_special ? specialDeck : deck).appendChild(card);
+    });
+  }
+
+  function renderStory(story) {
+    show('pp_story', !!story);
+    show('pp_no_story', !story);
+
+    if (!story) {
+      return;
+    }
+
+    setText('pp_story_title', story.title);
+    setText('pp_story_status', story.status);
+    setText('pp_story_description', story.description);
+    setText('pp_story_criteria', story.acceptance_criteria);
+  }
+
+  /**
+   * Participant list with a check mark for those who voted; values stay hidden
+   */
+  function renderParticipants(participants) {
+    var list = byId('pp_voters');
+    clear(list);
+
+    var voters = 0;
+    var voted = 0;
+
+    participants.forEach(function(participant) {
+      var item = document.createElement('li');
+      item.textContent = participant.name + ' ';
+
+      var role = document.createElement('span');
+      role.className = 'pp-role';
+      role.textContent = '(' + participant.role + ')';
+      item.appendChild(role);
+
+      if (participant.role !== 'spectator') {
+        voters++;
+        if (participant.has_voted) {
+          voted++;
+          item.classList.add('pp-voted');
+        }
+      }
+
+      list.appendChild(item);
+    });
+
+    setText('pp_vote_tally', voted + '/' + voters + ' voted');
+  }
+
+  function formatCountdown(seconds) {
+    var minutes = Math.floor(seconds / 60);
+    var rest = seconds % 60;
+    return minutes + ':' + (rest < 10 ? '0' : '') + rest;
+  }
+
+  function tickCountdown() {
+    if (state.deadlineAt === null) {
+      return;
+    }
+
+    var seconds = Math.max(0, Math.ceil((state.deadlineAt - Date.now()) / 1000));
+    setText('pp_countdown', formatCountdown(seconds));
+    byId('pp_countdown').classList.toggle('pp-urgent', seconds <= COUNTDOWN_URGENT_SECONDS);
+
+    if (seconds === 0) {
+      state.deadlineAt = null;
+      refresh();
+    }
+  }
+
+  /**
+   * Sync the local countdown to the server's seconds_remaining for timed rounds
+   */
+  function renderCountdown(story) {
+    var timed = !!story && story.status === 'voting' && story.seconds_remaining !== null && story.seconds_remaining !== undefined;
+    show('pp_countdown', timed);
+
+    if (!timed) {
+      state.deadlineAt = null;
+      return;
+    }
+
+    state.deadlineAt = Date.now() + story.seconds_remaining * 1000;
+    tickCountdown();
+    if (!state.countdownTimer) {
+      state.countdownTimer = setInterval(tickCountdown, 1000);
+    }
+  }
+
+  function renderResults(results) {
+    var revealed = !!(results && results.revealed);
+    show('pp_results', revealed);
+
+    if (!revealed) {
+      return;
+    }
+
+    var story = results.story;
+    setText('pp_result_average', story.average_score !== null && story.average_score !== '' ? story.average_score : 'n/a');
+    setText('pp_result_min', story.min_score || 'n/a');
+    setText('pp_result_max', story.max_score || 'n/a');
+    setText('pp_result_suggested', story.suggested_score || 'n/a');
+    setText('pp_result_rule', story.consensus_rule ? '(' + story.consensus_rule + ')' : '');
+    show('pp_result_consensus', story.consensus_reached === true || story.consensus_reached === 'true');
+
+    var table = byId('pp_distribution');
+    clear(table);
+
+    var total = results.votes.length || 1;
+    state.scoringValues.forEach(function(scoringValue) {
+      var count = results.distribution[scoringValue.value] || 0;
+      if (count === 0) {
+        return;
+      }
+
+      var row = table.insertRow(-1);
+      row.insertCell(-1).textContent = scoringValue.value;
+
+      var bar = document.createElement('span');
+      bar.className = 'pp-bar';
+      bar.style.width = Math.round(count / total * 200) + 'px';
+      row.insertCell(-1).appendChild(bar);
+
+      row.insertCell(-1).textContent = count;
+    });
+
+    var nonVoters = (results.non_voters || []).map(function(user) {
+      return user.name;
+    });
+    setText('pp_non_voters', nonVoters.length > 0 ? 'Did not vote: ' + nonVoters.join(', ') : '');
+    show('pp_non_voters', nonVoters.length > 0);
+  }
+
+  function renderState(sessionState) {
+    state.lastState = sessionState;
+
+    show('pp_join', false);
+    show('pp_session', true);
+
+    setText('pp_session_name', sessionState.session.name);
+    setText('pp_join_code', sessionState.session.session_code);
+
+    renderStory(sessionState.current_story);
+    renderCountdown(sessionState.current_story);
+    renderDeck(sessionState);
+    renderResults(sessionState.results);
+
+    var story = sessionState.current_story;
+    show('pp_dealer_controls', sessionState.is_dealer);
+    byId('pp_reveal').disabled = !story || story.status !== 'voting';
+  }
+
+  function refresh() {
+    callAjax('getSessionState', {}, function(response) {
+      if (!response.success) {
+        if (response.code === 'not_participant') {
+          show('pp_session', false);
+          show('pp_join', true);
+          showMessage('');
+        } else {
+          showMessage(response.error);
+        }
+        return;
+      }
+
+      showMessage('');
+      renderState(response.result);
+    });
+
+    callAjax('getParticipants', {}, function(response) {
+      if (response.success) {
+        renderParticipants(response.result);
+      }
+    });
+  }
+
+  /**
+   * Fetch feed events after the last cursor; any new event triggers a refresh.
+   * The first call (no cursor yet) only establishes the starting cursor.
+   */
+  function pollFeed() {
+    if (state.polling) {
+      return;
+    }
+    state.polling = true;
+
+    var params = state.cursor === null ? {} : { sysparm_since: state.cursor };
+    callAjax('getEvents', params, function(response) {
+      state.polling = false;
+      if (!response.success) {
+        return;
+      }
+
+      state.cursor = response.result.cursor;
+      if (response.result.events.length > 0) {
+        refresh();
+      }
+      if (response.result.has_more) {
+        pollFeed();
+      }
+    });
+  }
+
+  function loadScoringValues(callback) {
+    callAjax('getScoringValues', {}, function(response) {
+      if (response.success) {
+        state.scoringValues = response.result;
+      }
+      callback();
+    });
+  }
+
+  function castVote(value) {
+    callAjax('castVote', { sysparm_value: value }, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+      refresh();
+    });
+  }
+
+  function dealerAction(method) {
+    callAjax(method, {}, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+      refresh();
+    });
+  }
+
+  function join(role) {
+    callAjax('joinSession', { sysparm_role: role }, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+      start();
+    });
+  }
+
+  function start() {
+    loadScoringValues(function() {
+      refresh();
+      if (!state.timer) {
+        state.timer = setInterval(refresh, REFRESH_INTERVAL_MS);
+      }
+      if (!state.feedTimer) {
+        pollFeed();
+        state.feedTimer = setInterval(pollFeed, FEED_INTERVAL_MS);
+      }
+    });
+  }
+
+  /**
+   * Resolve the session from sysparm_session_id or a join code, then start polling
+   */
+  function init() {
+    state.sessionId = byId('pp_session_id').value;
+    var code = byId('pp_session_code').value;
+
+    byId('pp_reveal').addEventListener('click', function() {
+      dealerAction('reveal');
+    });
+    byId('pp_next').addEventListener('click', function() {
+      dealerAction('nextStory');
+    });
+    byId('pp_join_participant').addEventListener('click', function() {
+      join('participant');
+    });
+    byId('pp_join_spectator').addEventListener('click', function() {
+      join('spectator');
+    });
+
+    if (state.sessionId) {
+      start();
+      return;
+    }
+
+    if (!code) {
+      showMessage('No session specified. Open this page with a session id or join code.');
+      return;
+    }
+
+    callAjax('joinSession', { sysparm_session_code: code }, function(response) {
+      if (!response.success) {
+        showMessage(response.error);
+        return;
+      }
+      state.sessionId = response.result.session_id;
+      start();
+    });
+  }
+
+  return {
+    init: init,
+    refresh: refresh
+  };
+})();
+
+addLoadEvent(PlanningPokerVoting.init);
@@ -0,0 +1,24 @@
+/* global current, answer:true, VotingOperationsFluent */
+/* exported answer */
+
+/**
+ * ACL: Planning Vote - Voter (read)
+ *
+ * Type:       record
+ * Operation:  read
+ * Name:       x_902080_msmplnpkr_fluent_planning_vote.voter
+ * Roles:      (none)
+ * Advanced:   true
+ *
+ * Hides planning_vote.voter in list views, forms and reports for sessions
+ * with anonymous_voting, except for admin and x_902080_msmplnpkr_fluent.admin
+ * (see hidesVoters). The vote record itself and vote_value stay readable,
+ * so aggregate statistics are unaffected.
+ */
+answer = (function checkVoterAccess(current) {
+  if (current.isNewRecord()) {
+    return true;
+  }
+
+  return !new VotingOperationsFluent().hidesVoters(current.getValue('session'));
+})(current);
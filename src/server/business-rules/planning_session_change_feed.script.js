@@ -0,0 +1,36 @@
+/* global current, previous, PlanningPokerConstants, SessionEventFeedFluent */
+
+/**
+ * Business Rule: Planning Session - Change Feed
+ *
+ * Table:      x_902080_msmplnpkr_fluent_planning_session
+ * When:       after
+ * Operations: update
+ * Order:      300
+ * Condition:  current_story or status changes
+ *
+ * Publishes story_advanced when the dealer moves to another story and
+ * session_status_changed when the session is started, completed or
+ * cancelled.
+ */
+(function executeRule(current, previous /*null when async*/) {
+  var EVENT_TYPES = PlanningPokerConstants.EVENT_TYPES;
+  var feed = new SessionEventFeedFluent();
+  var sessionId = current.getUniqueValue();
+
+  if (current.current_story.changes()) {
+    feed.publish(sessionId, EVENT_TYPES.STORY_ADVANCED, {
+      story: current.getValue('current_story'),
+      payload: { previous_story: previous.getValue('current_story') || null }
+    });
+  }
+
+  if (current.status.changes()) {
+    feed.publish(sessionId, EVENT_TYPES.SESSION_STATUS_CHANGED, {
+      payload: {
+        status: current.getValue('status'),
+        previous_status: previous.getValue('status')
+      }
+    });
+  }
+})(current, previous);
@@ -0,0 +1,24 @@
+/* global current, gs, ParticipantManagerFluent */
+
+/**
+ * Business Rule: Planning Session - Dealer Sync
+ *
+ * Table:      x_902080_msmplnpkr_fluent_planning_session
+ * When:       after
+ * Operations: update
+ * Order:      100
+ * Condition:  dealer changes
+ *
+ * Keeps the single dealer session_participant in sync when
+ * planning_session.dealer is changed directly on the form or list.
+ */
+(function executeRule(current) {
+  if (!current.dealer.changes()) {
+    return;
+  }
+
+  var result = new ParticipantManagerFluent().syncDealer(current.getUniqueValue());
+  if (!result.success) {
+    gs.warn('[Dealer sync] ' + result.error + ' (session: ' + current.getUniqueValue() + ')');
+  }
+})(current);
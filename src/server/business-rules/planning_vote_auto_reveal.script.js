@@ -0,0 +1,22 @@
+/* global current, VotingOperationsFluent */
+
+/**
+ * Business Rule: Planning Vote - Auto Reveal
+ *
+ * Table:      x_902080_msmplnpkr_fluent_planning_vote
+ * When:       after
+ * Operations: insert, update
+ * Order:      200 (after the summary counts rule)
+ * Condition:  is_current is true
+ *
+ * Honors planning_session.auto_reveal: once every eligible voter has a
+ * current vote on the session's current story, the story is revealed and
+ * its statistics are calculated.
+ */
+(function executeRule(current) {
+  if (String(current.is_current) !== 'true') {
+    return;
+  }
+
+  new VotingOperationsFluent().autoRevealIfComplete(current.getValue('session_story'));
+})(current);
@@ -0,0 +1,30 @@
+/* global current, PlanningPokerConstants, SessionEventFeedFluent */
+
+/**
+ * Business Rule: Planning Vote - Change Feed
+ *
+ * Table:      x_902080_msmplnpkr_fluent_planning_vote
+ * When:       after
+ * Operations: insert, update
+ * Order:      300 (after the auto-reveal rule)
+ * Condition:  is_current is true; on update, vote_value changes
+ *
+ * Publishes vote_cast to the session feed so other clients can tick the
+ * voter off. The vote value itself is not published.
+ */
+(function executeRule(current) {
+  if (String(current.is_current) !== 'true') {
+    return;
+  }
+
+  var isUpdate = current.operation() === 'update';
+  if (isUpdate && !current.vote_value.changes()) {
+    return;
+  }
+
+  new SessionEventFeedFluent().publish(current.getValue('session'), PlanningPokerConstants.EVENT_TYPES.VOTE_CAST, {
+    story: current.getValue('session_story'),
+    user: current.getValue('voter'),
+    payload: { changed: isUpdate }
+  });
+})(current);
@@ -0,0 +1,24 @@
+/* global current, SessionSummaryFluent */
+
+/**
+ * Business Rule: Planning Vote - Maintain Summary Counts
+ *
+ * Table:      x_902080_msmplnpkr_fluent_planning_vote
+ * When:       after
+ * Operations: insert, update, delete
+ * Order:      100
+ * Condition:  insert/delete always; update when is_current changes
+ *
+ * Recounts session_stories.vote_count and planning_session.total_votes.
+ * A re-vote flips is_current to false on the previous round, so the
+ * counters drop back to zero for the new round.
+ */
+(function executeRule(current) {
+  if (current.operation() === 'update' && !current.is_current.changes()) {
+    return;
+  }
+
+  var summary = new SessionSummaryFluent();
+  summary.updateStoryVoteCount(current.getValue('session_story'));
+  summary.updateSessionVoteCount(current.getValue('session'));
+})(current);
@@ -0,0 +1,41 @@
+/* global current, previous, PlanningPokerConstants, SessionEventFeedFluent */
+
+/**
+ * Business Rule: Session Participant - Change Feed
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_participant
+ * When:       after
+ * Operations: insert, update
+ * Order:      300
+ * Condition:  insert always; update when is_active or role changes
+ *
+ * Publishes participant_joined, participant_left and
+ * participant_role_changed to the session feed. last_activity updates
+ * (heartbeats) are not published.
+ */
+(function executeRule(current, previous /*null when async*/) {
+  var EVENT_TYPES = PlanningPokerConstants.EVENT_TYPES;
+  var feed = new SessionEventFeedFluent();
+  var sessionId = current.getValue('session');
+  var isActive = String(current.is_active) === 'true';
+  var details = {
+    user: current.getValue('user'),
+    payload: { role: current.getValue('role') }
+  };
+
+  if (current.operation() === 'insert') {
+    if (isActive) {
+      feed.publish(sessionId, EVENT_TYPES.PARTICIPANT_JOINED, details);
+    }
+    return;
+  }
+
+  if (current.is_active.changes()) {
+    feed.publish(sessionId, isActive ? EVENT_TYPES.PARTICIPANT_JOINED : EVENT_TYPES.PARTICIPANT_LEFT, details);
+  }
+
+  if (current.role.changes()) {
+    details.payload.previous_role = previous.getValue('role');
+    feed.publish(sessionId, EVENT_TYPES.PARTICIPANT_ROLE_CHANGED, details);
+  }
+})(current, previous);
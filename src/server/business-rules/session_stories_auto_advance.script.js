@@ -0,0 +1,34 @@
+/* global current, gs, FluentQueryHelper, PlanningPokerConstants, SessionManagementFluent */
+
+/**
+ * Business Rule: Session Stories - Auto-advance / Auto-complete Session
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_stories
+ * When:       after
+ * Operations: update
+ * Order:      200 (after the summary counts rule)
+ * Condition:  status changes to completed or skipped
+ *
+ * When the session's current story is finished, moves current_story to the
+ * next pending story by order, or completes the session when none is left.
+ * Finishing a story that is not the current one leaves the session alone.
+ */
+(function executeRule(current) {
+  var STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+  var status = current.getValue('status');
+
+  if (!current.status.changes() || (status !== STORY_STATUS.COMPLETED && status !== STORY_STATUS.SKIPPED)) {
+    return;
+  }
+
+  var sessionId = current.getValue('session');
+  var session = new FluentQueryHelper().getSafe(PlanningPokerConstants.TABLES.SESSION, sessionId, ['current_story']);
+  if (!session || (session.current_story && session.current_story !== current.getUniqueValue())) {
+    return;
+  }
+
+  var result = new SessionManagementFluent().advanceSession(sessionId);
+  if (!result.success) {
+    gs.warn('[Auto-advance] ' + result.error + ' (session: ' + sessionId + ')');
+  }
+})(current);
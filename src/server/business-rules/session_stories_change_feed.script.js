@@ -0,0 +1,45 @@
+/* global current, previous, PlanningPokerConstants, SessionEventFeedFluent */
+
+/**
+ * Business Rule: Session Stories - Change Feed
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_stories
+ * When:       after
+ * Operations: update
+ * Order:      300 (after the auto-advance rule)
+ * Condition:  status or times_revoted changes
+ *
+ * Publishes revote_undone (times_revoted went down), votes_revealed,
+ * revote_started (times_revoted went up) or story_status_changed to the
+ * session feed.
+ */
+(function executeRule(current, previous /*null when async*/) {
+  if (!current.status.changes() && !current.times_revoted.changes()) {
+    return;
+  }
+
+  var EVENT_TYPES = PlanningPokerConstants.EVENT_TYPES;
+  var STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+  var status = current.getValue('status');
+
+  var timesRevoted = parseInt(current.getValue('times_revoted'), 10) || 0;
+
+  var eventType = EVENT_TYPES.STORY_STATUS_CHANGED;
+  if (timesRevoted < (parseInt(previous.getValue('times_revoted'), 10) || 0)) {
+    eventType = EVENT_TYPES.REVOTE_UNDONE;
+  } else if (status === STORY_STATUS.REVEALED) {
+    eventType = EVENT_TYPES.VOTES_REVEALED;
+  } else if (status === STORY_STATUS.VOTING && current.times_revoted.changes()) {
+    eventType = EVENT_TYPES.REVOTE_STARTED;
+  }
+
+  new SessionEventFeedFluent().publish(current.getValue('session'), eventType, {
+    story: current.getUniqueValue(),
+    payload: {
+      status: status,
+      previous_status: previous.getValue('status'),
+      times_revoted: timesRevoted,
+      final_score: current.getValue('final_score') || null
+    }
+  });
+})(current, previous);
@@ -0,0 +1,29 @@
+/* global current, gs, PlanningPokerConstants, StorySyncFluent */
+
+/**
+ * Business Rule: Session Stories - External Story Sync
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_stories
+ * When:       async
+ * Operations: update
+ * Order:      500
+ * Condition:  status changes to completed and external_source is not empty
+ *
+ * Pushes the agreed final_score to the Jira issue or Azure DevOps work item
+ * the story was imported from (see StorySyncFluent). Async so the outbound
+ * call does not hold up completing the story.
+ */
+(function executeRule(current) {
+  if (current.getValue('status') !== PlanningPokerConstants.STORY_STATUS.COMPLETED) {
+    return;
+  }
+
+  if (current.external_source.nil() || current.external_key.nil()) {
+    return;
+  }
+
+  var result = new StorySyncFluent().pushFinalScore(current.getUniqueValue());
+  if (!result.success) {
+    gs.warn('[External story sync] ' + result.error + ' (story: ' + current.getUniqueValue() + ')');
+  }
+})(current);
@@ -0,0 +1,28 @@
+/* global current, gs, PlanningPokerConstants, StoryPointsWritebackFluent */
+
+/**
+ * Business Rule: Session Stories - Story Points Write-back
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_stories
+ * When:       after
+ * Operations: update
+ * Order:      400 (after the change feed rule)
+ * Condition:  status changes to completed and story (rm_story) is not empty
+ *
+ * Writes the agreed final_score to rm_story.story_points and audits it in
+ * story_points_writeback (see StoryPointsWritebackFluent).
+ */
+(function executeRule(current) {
+  if (!current.status.changes() || current.getValue('status') !== PlanningPokerConstants.STORY_STATUS.COMPLETED) {
+    return;
+  }
+
+  if (current.story.nil()) {
+    return;
+  }
+
+  var result = new StoryPointsWritebackFluent().writeBack(current.getUniqueValue());
+  if (!result.success) {
+    gs.warn('[Story points write-back] ' + result.error + ' (story: ' + current.getUniqueValue() + ')');
+  }
+})(current);
@@ -0,0 +1,21 @@
+/* global current, SessionSummaryFluent */
+
+/**
+ * Business Rule: Session Stories - Maintain Summary Counts
+ *
+ * Table:      x_902080_msmplnpkr_fluent_session_stories
+ * When:       after
+ * Operations: insert, update, delete
+ * Order:      100
+ * Condition:  insert/delete always; update when status changes
+ *
+ * Recounts planning_session.total_stories, stories_completed and
+ * stories_skipped for the story's session.
+ */
+(function executeRule(current) {
+  if (current.operation() === 'update' && !current.status.changes()) {
+    return;
+  }
+
+  new SessionSummaryFluent().updateSessionStoryCounts(current.getValue('session'));
+})(current);
@@ -0,0 +1,19 @@
+/* global current, WebhookDispatcherFluent */
+
+/**
+ * Business Rule: Webhook Delivery - Send
+ *
+ * Table:      x_902080_msmplnpkr_fluent_webhook_delivery
+ * When:       async
+ * Operations: insert
+ * Order:      100
+ * Condition:  status is pending
+ *
+ * Makes the first delivery attempt as soon as an event is queued, without
+ * holding up the transaction that published it. Failed attempts are
+ * retried by the Planning Poker - Webhook Retry scheduled job; outcomes are
+ * logged by WebhookDispatcherFluent.
+ */
+(function executeRule(current) {
+  new WebhookDispatcherFluent().deliver(current.getUniqueValue());
+})(current);
@@ -0,0 +1,26 @@
+/* global gs, VotingOperationsFluent */
+
+/**
+ * Scheduled Job: Planning Poker - Voting Timer
+ *
+ * Run:        Periodically
+ * Interval:   30 seconds
+ * Run as:     System Administrator
+ *
+ * Reveals every story whose timed voting round (voting_deadline) has
+ * expired, even with missing votes, through the same revealVotes path as
+ * auto_reveal. Eligible voters who did not vote are recorded in
+ * session_stories.non_voters. Open voting pages also trigger the reveal
+ * when their countdown reaches zero, so this job covers sessions nobody
+ * is watching.
+ */
+(function runVotingTimer() {
+  var run = new VotingOperationsFluent().revealExpiredStories();
+
+  if (run.revealed > 0) {
+    gs.info('[Voting timer] Revealed ' + run.revealed + ' expired voting round(s)');
+  }
+  if (run.errors.length > 0) {
+    gs.warn('[Voting timer] ' + run.errors.join('; '));
+  }
+})();
@@ -0,0 +1,23 @@
+/* global gs, WebhookDispatcherFluent */
+
+/**
+ * Scheduled Job: Planning Poker - Webhook Retry
+ *
+ * Run:        Periodically
+ * Interval:   60 seconds
+ * Run as:     System Administrator
+ *
+ * Sends every webhook_delivery whose next attempt is due: retries after
+ * 1, 2, 4, 8 and 16 minutes, and first attempts the async send rule never
+ * made. Deliveries still failing after six attempts are marked failed.
+ */
+(function runWebhookRetry() {
+  var run = new WebhookDispatcherFluent().retryDue();
+
+  if (run.attempted > 0) {
+    gs.info('[Webhook retry] Delivered ' + run.delivered + ' of ' + run.attempted + ' due webhook(s)');
+  }
+  if (run.errors.length > 0) {
+    gs.warn('[Webhook retry] ' + run.errors.join('; '));
+  }
+})();
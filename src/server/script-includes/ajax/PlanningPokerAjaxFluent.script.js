@@ -0,0 +1,672 @@
+/* global Class, global, gs, FluentQueryHelper, PlanningPokerConstants, SessionManagementFluent, VotingOperationsFluent, ParticipantManagerFluent, VoterEligibilityFluent, DashboardStatisticsFluent, SessionEventFeedFluent, VoteHistoryFluent, StoryImportFluent, StoryExportFluent */
+
+/**
+ * PlanningPokerAjaxFluent - Client-callable GlideAjax processor for the voting UI
+ *
+ * Exposes the operations the voting page, dealer console and statistics
+ * dashboard need. Every method answers with a JSON string using the same
+ * envelope as the REST API:
+ *   { success: true, result: <payload> } or { success: false, error: '<message>' }
+ * Session methods check the caller's session_participant role:
+ * any active participant may read, eligible voters may vote and only the
+ * dealer (planning_session.dealer or an active dealer participant) may
+ * reveal, move between stories and manage participants.
+ *
+ * Client callable: true
+ *
+ * @class PlanningPokerAjaxFluent
+ * @extends global.AbstractAjaxProcessor
+ * @namespace x_902080_msmplnpkr_fluent
+ *
+ * @example
+ * // Client script
+ * var ga = new GlideAjax('x_902080_msmplnpkr_fluent.PlanningPokerAjaxFluent');
+ * ga.addParam('sysparm_name', 'getSessionState');
+ * ga.addParam('sysparm_session_id', sessionId);
+ * ga.getXMLAnswer(function(answer) {
+ *   var response = JSON.parse(answer);
+ * });
+ */
+var PlanningPokerAjaxFluent = Class.create();
+
+PlanningPokerAjaxFluent.prototype = Object.extendsObject(global.AbstractAjaxProcessor, {
+
+  LOG_PREFIX: '[PlanningPokerAjaxFluent]',
+
+  /**
+   * Session, current story, results and the caller's role and vote
+   * Params: sysparm_session_id
+   */
+  getSessionState: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error, access.code);
+    }
+
+    var TABLES = PlanningPokerConstants.TABLES;
+    var helper = new FluentQueryHelper();
+    var voting = new VotingOperationsFluent();
+    var sessions = new SessionManagementFluent();
+    var session = sessions.getSession(sessionId, ['current_story']);
+
+    // An open page whose countdown hit zero reveals without waiting for the timer job
+    if (session.current_story) {
+      voting.revealIfExpired(session.current_story);
+    }
+
+    session = sessions.getSession(sessionId, SessionManagementFluent.SESSION_FIELDS);
+    new ParticipantManagerFluent().touch(sessionId, gs.getUserID());
+
+    var currentStory = null;
+    var results = null;
+    var myVote = null;
+
+    if (session.current_story) {
+      currentStory = helper.getSafe(TABLES.STORY, session.current_story, [
+        'sys_id', 'title', 'description', 'acceptance_criteria', 'order', 'status', 'final_score', 'times_revoted',
+        'time_limit', 'voting_deadline'
+      ]);
+      if (currentStory) {
+        currentStory.seconds_remaining = currentStory.status === PlanningPokerConstants.STORY_STATUS.VOTING ?
+          voting.getSecondsRemaining(currentStory) : null;
+      }
+      results = voting.getResults(session.current_story);
+
+      var mine = helper.query(
+        TABLES.VOTE,
+        { session_story: session.current_story, voter: gs.getUserID(), is_current: true },
+        ['vote_value']
+      );
+      myVote = mine.length > 0 ? mine[0].vote_value : null;
+    }
+
+    return this._ok({
+      session: session,
+      current_story: currentStory,
+      results: results,
+      my_role: access.role,
+      is_dealer: access.isDealer,
+      can_vote: access.canVote,
+      my_vote: myVote
+    });
+  },
+
+  /**
+   * Join a session by sys_id or join code
+   * Params: sysparm_session_id or sysparm_session_code, sysparm_role (participant|spectator)
+   */
+  joinSession: function() {
+    var sessions = new SessionManagementFluent();
+    var sessionId = this.getParameter('sysparm_session_id');
+    var code = this.getParameter('sysparm_session_code');
+
+    if (!sessionId && code) {
+      var lookup = sessions.getSessionByCode(code);
+      if (!lookup.success) {
+        return this._error(lookup.error);
+      }
+      sessionId = lookup.session.sys_id;
+    }
+
+    var role = this.getParameter('sysparm_role') || PlanningPokerConstants.ROLES.PARTICIPANT;
+    var result = new ParticipantManagerFluent().join(sessionId, gs.getUserID(), role);
+    return result.success ? this._ok({ session_id: sessionId }) : this._error(result.error);
+  },
+
+  /**
+   * Scoring values for the session's method, in display order
+   * Params: sysparm_session_id
+   */
+  getScoringValues: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error);
+    }
+
+    return this._ok(new VotingOperationsFluent().getScoringValues(sessionId));
+  },
+
+  /**
+   * Cast or change the caller's vote on the session's current story
+   * Params: sysparm_session_id, sysparm_value
+   */
+  castVote: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error);
+    }
+    if (!access.canVote) {
+      return this._error('You are not eligible to vote in this session');
+    }
+
+    var session = new SessionManagementFluent().getSession(sessionId, ['current_story']);
+    if (!session.current_story) {
+      return this._error('There is no story open for voting');
+    }
+
+    var result = new VotingOperationsFluent().castVote(session.current_story, this.getParameter('sysparm_value'));
+    return result.success ? this._ok({ sys_id: result.sysId }) : this._error(result.error);
+  },
+
+  /**
+   * Reveal the votes on the session's current story (dealer only)
+   * Params: sysparm_session_id
+   */
+  reveal: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.isDealer) {
+      return this._error(access.error || 'Only the session dealer can reveal votes');
+    }
+
+    var session = new SessionManagementFluent().getSession(sessionId, ['current_story']);
+    if (!session.current_story) {
+      return this._error('There is no story open for voting');
+    }
+
+    var voting = new VotingOperationsFluent();
+    var result = voting.revealVotes(session.current_story);
+    return result.success ? this._ok(voting.getResults(session.current_story)) : this._error(result.error);
+  },
+
+  /**
+   * Open voting on the next story (dealer only). Uses the current story when
+   * it is still pending, otherwise the next pending story by order.
+   * Params: sysparm_session_id
+   */
+  nextStory: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.isDealer) {
+      return this._error(access.error || 'Only the session dealer can move to the next story');
+    }
+
+    var STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    var TABLES = PlanningPokerConstants.TABLES;
+    var helper = new FluentQueryHelper();
+    var session = new SessionManagementFluent().getSession(sessionId, ['current_story']);
+
+    var storyId = null;
+    if (session.current_story) {
+      var current = helper.getSafe(TABLES.STORY, session.current_story, ['status']);
+      if (current && current.status === STORY_STATUS.PENDING) {
+        storyId = session.current_story;
+      } else if (current && (current.status === STORY_STATUS.VOTING || current.status === STORY_STATUS.REVEALED)) {
+        return this._error('Complete or skip the current story first');
+      }
+    }
+
+    if (!storyId) {
+      var pending = helper.queryOrdered(TABLES.STORY, { session: sessionId, status: STORY_STATUS.PENDING }, ['sys_id'], 'order', false, 1);
+      if (pending.length === 0) {
+        return this._error('No pending stories left in this session');
+      }
+      storyId = pending[0].sys_id;
+    }
+
+    var result = new VotingOperationsFluent().startVoting(storyId);
+    return result.success ? this._ok({ current_story: storyId }) : this._error(result.error);
+  },
+
+  /**
+   * Active participants with their role and whether they voted on the current story
+   * Params: sysparm_session_id
+   */
+  getParticipants: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error);
+    }
+
+    var session = new SessionManagementFluent().getSession(sessionId, ['current_story']);
+    var voted = session.current_story ? new VotingOperationsFluent().getCurrentVotes(session.current_story).map(function(vote) {
+      return vote.voter;
+    }) : [];
+
+    var participants = new ParticipantManagerFluent().getParticipants(sessionId, true).map(function(participant) {
+      return {
+        user: participant.user,
+        name: participant['user$DISPLAY'] || '',
+        role: participant.role,
+        last_activity: participant.last_activity,
+        has_voted: voted.indexOf(participant.user) !== -1
+      };
+    });
+
+    return this._ok(participants);
+  },
+
+  /**
+   * Session feed events after a cursor; without sysparm_since only the current cursor
+   * Params: sysparm_session_id, sysparm_since
+   */
+  getEvents: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error, access.code);
+    }
+
+    return this._ok(new SessionEventFeedFluent().getEvents(sessionId, this.getParameter('sysparm_since')));
+  },
+
+  /**
+   * Every voting round of a story with per-round spread and convergence
+   * Params: sysparm_session_id, sysparm_story_id
+   */
+  getStoryHistory: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error, access.code);
+    }
+
+    var storyId = this.getParameter('sysparm_story_id');
+    var story = new FluentQueryHelper().getSafe(PlanningPokerConstants.TABLES.STORY, storyId, ['sys_id', 'session']);
+    if (!story || story.session !== sessionId) {
+      return this._error('Story not found in this session: ' + storyId, 'not_found');
+    }
+
+    return this._ok(new VoteHistoryFluent().getStoryHistory(story.sys_id));
+  },
+
+  /**
+   * Stories in display order (dealer only)
+   * Params: sysparm_session_id
+   */
+  getStories: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    return this._ok(new SessionManagementFluent().getStories(sessionId));
+  },
+
+  /**
+   * Reorder stories (dealer only)
+   * Params: sysparm_session_id, sysparm_story_ids (JSON array of sys_ids)
+   */
+  reorderStories: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    var storyIds;
+    try {
+      storyIds = JSON.parse(this.getParameter('sysparm_story_ids') || '[]');
+    } catch (error) {
+      return this._error('sysparm_story_ids must be a JSON array');
+    }
+
+    return this._fromResult(new SessionManagementFluent().reorderStories(sessionId, storyIds));
+  },
+
+  /**
+   * Append rm_story records to the session (dealer only). Answers with the
+   * imported/skipped counts and failed rows even when some rows fail.
+   * Params: sysparm_session_id, one or more of sysparm_sprint, sysparm_epic,
+   *   sysparm_product, sysparm_query (encoded query over rm_story)
+   */
+  importStories: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    var result = new StoryImportFluent().importFromBacklog(sessionId, {
+      sprint: this.getParameter('sysparm_sprint'),
+      epic: this.getParameter('sysparm_epic'),
+      product: this.getParameter('sysparm_product'),
+      query: this.getParameter('sysparm_query')
+    });
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(result.error);
+    }
+
+    return this._ok({ imported: result.imported, skipped: result.skipped, errors: result.errors });
+  },
+
+  /**
+   * Append issues from Jira or Azure DevOps to the session (dealer only).
+   * Answers like importStories.
+   * Params: sysparm_session_id, sysparm_source (jira, azure_devops),
+   *   sysparm_query (JQL or WIQL)
+   */
+  importExternalStories: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    var result = new StoryImportFluent().importFromExternal(
+      sessionId,
+      this.getParameter('sysparm_source'),
+      this.getParameter('sysparm_query')
+    );
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(result.error);
+    }
+
+    return this._ok({ imported: result.imported, skipped: result.skipped, errors: result.errors });
+  },
+
+  /**
+   * Append stories from pasted CSV or JSON (dealer only). Answers with the
+   * imported count and the rows that failed validation or insert.
+   * Params: sysparm_session_id, sysparm_format (csv, json), sysparm_content,
+   *   sysparm_mapping (optional JSON object, field to column name)
+   */
+  importStoriesFile: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    var mapping;
+    try {
+      mapping = JSON.parse(this.getParameter('sysparm_mapping') || '{}');
+    } catch (error) {
+      return this._error('sysparm_mapping must be a JSON object');
+    }
+
+    var format = this.getParameter('sysparm_format');
+    var content = this.getParameter('sysparm_content');
+    var importer = new StoryImportFluent();
+    var result;
+    if (format === 'csv') {
+      result = importer.importFromCsv(sessionId, content, mapping);
+    } else if (format === 'json') {
+      result = importer.importFromJson(sessionId, content, mapping);
+    } else {
+      return this._error('sysparm_format must be csv or json');
+    }
+
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(result.error);
+    }
+
+    return this._ok({ imported: result.imported, errors: result.errors });
+  },
+
+  /**
+   * Export a completed session's stories with their results
+   * Params: sysparm_session_id, sysparm_format (csv, json)
+   */
+  exportStories: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var access = this._access(sessionId);
+    if (!access.allowed) {
+      return this._error(access.error, access.code);
+    }
+
+    var file = new StoryExportFluent().exportStories(sessionId, this.getParameter('sysparm_format'));
+    if (!file.success) {
+      return this._error(file.error);
+    }
+
+    return this._ok({ content: file.content, contentType: file.contentType, filename: file.filename });
+  },
+
+  /**
+   * Open voting on a story and make it the current story (dealer only).
+   * sysparm_time_limit, when given, sets the story's time box in seconds first.
+   * Params: sysparm_session_id, sysparm_story_id, sysparm_time_limit (optional)
+   */
+  startVoting: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    var timeLimit = this.getParameter('sysparm_time_limit');
+    if (timeLimit !== null && timeLimit !== undefined && String(timeLimit) !== '') {
+      var limited = new SessionManagementFluent().setStoryTimeLimit(story.sys_id, timeLimit);
+      if (!limited.success) {
+        return this._error(limited.error);
+      }
+    }
+
+    return this._fromResult(new VotingOperationsFluent().startVoting(story.sys_id));
+  },
+
+  /**
+   * Start a new voting round on a story (dealer only)
+   * Params: sysparm_session_id, sysparm_story_id
+   */
+  revote: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    return this._fromResult(new VotingOperationsFluent().revote(story.sys_id));
+  },
+
+  /**
+   * Restore the previous voting round, discarding the current one (dealer only)
+   * Params: sysparm_session_id, sysparm_story_id
+   */
+  undoRevote: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    return this._fromResult(new VotingOperationsFluent().undoLastRevote(story.sys_id));
+  },
+
+  /**
+   * Skip a story (dealer only)
+   * Params: sysparm_session_id, sysparm_story_id
+   */
+  skipStory: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    return this._fromResult(new VotingOperationsFluent().skipStory(story.sys_id));
+  },
+
+  /**
+   * Accept a final score for a revealed story (dealer only)
+   * Params: sysparm_session_id, sysparm_story_id, sysparm_final_score
+   */
+  completeStory: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    return this._fromResult(new VotingOperationsFluent().completeStory(story.sys_id, this.getParameter('sysparm_final_score')));
+  },
+
+  /**
+   * Complete a revealed story with its suggested score (dealer only)
+   * Params: sysparm_session_id, sysparm_story_id
+   */
+  acceptSuggestedScore: function() {
+    var story = this._requireDealerStory();
+    if (story.denied) {
+      return story.denied;
+    }
+
+    return this._fromResult(new VotingOperationsFluent().acceptSuggestedScore(story.sys_id));
+  },
+
+  /**
+   * Change a participant's role (dealer only)
+   * Params: sysparm_session_id, sysparm_user_id, sysparm_role
+   */
+  changeRole: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    return this._fromResult(new ParticipantManagerFluent().changeRole(
+      sessionId,
+      this.getParameter('sysparm_user_id'),
+      this.getParameter('sysparm_role')
+    ));
+  },
+
+  /**
+   * Remove a participant from the session (dealer only)
+   * Params: sysparm_session_id, sysparm_user_id
+   */
+  removeParticipant: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return denied;
+    }
+
+    return this._fromResult(new ParticipantManagerFluent().removeParticipant(sessionId, this.getParameter('sysparm_user_id')));
+  },
+
+  /**
+   * Roll-up statistics for the dashboard page
+   * Params: sysparm_dealer, sysparm_group, sysparm_scoring_method, sysparm_since (all optional)
+   * Requires the planning poker admin or dealer role.
+   */
+  getDashboard: function() {
+    var APP_ROLES = PlanningPokerConstants.APP_ROLES;
+    if (!gs.hasRole(APP_ROLES.ADMIN) && !gs.hasRole(APP_ROLES.DEALER)) {
+      return this._error('Only planning poker admins and dealers can view the dashboard', 'not_authorized');
+    }
+
+    return this._ok(new DashboardStatisticsFluent().getDashboardStats({
+      dealer: this.getParameter('sysparm_dealer') || null,
+      group: this.getParameter('sysparm_group') || null,
+      scoring_method: this.getParameter('sysparm_scoring_method') || null,
+      since: this.getParameter('sysparm_since') || null
+    }));
+  },
+
+  /**
+   * Error response unless the caller is planning_session.dealer or an
+   * active dealer participant
+   * @private
+   * @returns {string|null} JSON error string, or null when allowed
+   */
+  _requireDealer: function(sessionId) {
+    if (!sessionId || !new SessionManagementFluent().getSession(sessionId, ['sys_id'])) {
+      return this._error('Session not found: ' + sessionId, 'not_found');
+    }
+
+    if (!new ParticipantManagerFluent().isDealer(sessionId, gs.getUserID())) {
+      return this._error('Only the session dealer can perform this action', 'not_dealer');
+    }
+
+    return null;
+  },
+
+  /**
+   * Load sysparm_story_id after checking the caller is the dealer of its session
+   * @private
+   * @returns {Object} Story record, or {denied: <JSON error string>}
+   */
+  _requireDealerStory: function() {
+    var sessionId = this.getParameter('sysparm_session_id');
+    var denied = this._requireDealer(sessionId);
+    if (denied) {
+      return { denied: denied };
+    }
+
+    var storyId = this.getParameter('sysparm_story_id');
+    var story = new FluentQueryHelper().getSafe(PlanningPokerConstants.TABLES.STORY, storyId, ['sys_id', 'session']);
+    if (!story || story.session !== sessionId) {
+      return { denied: this._error('Story not found in this session: ' + storyId, 'not_found') };
+    }
+
+    return story;
+  },
+
+  /**
+   * @private
+   */
+  _fromResult: function(result) {
+    return result.success ? this._ok({ sys_id: result.sysId || null }) : this._error(result.error);
+  },
+
+  /**
+   * Resolve what the caller may do in a session. Voter group members are
+   * enrolled as participants on first access.
+   * @private
+   * @returns {Object} {allowed, role, isDealer, canVote, error, code}
+   */
+  _access: function(sessionId) {
+    var userId = gs.getUserID();
+    var denied = { allowed: false, role: null, isDealer: false, canVote: false, error: null, code: null };
+
+    if (!sessionId || !new SessionManagementFluent().getSession(sessionId, ['sys_id'])) {
+      denied.error = 'Session not found: ' + sessionId;
+      denied.code = 'not_found';
+      return denied;
+    }
+
+    var eligibility = new VoterEligibilityFluent();
+    eligibility.ensureParticipant(sessionId, userId);
+
+    var participants = new ParticipantManagerFluent();
+    var participant = participants.getParticipant(sessionId, userId);
+    var isDealer = participants.isDealer(sessionId, userId);
+
+    if (!isDealer && (!participant || !participant.is_active)) {
+      denied.error = 'You are not a participant of this session';
+      denied.code = 'not_participant';
+      return denied;
+    }
+
+    return {
+      allowed: true,
+      role: participant ? participant.role : PlanningPokerConstants.ROLES.DEALER,
+      isDealer: isDealer,
+      canVote: eligibility.isEligible(sessionId, userId),
+      error: null,
+      code: null
+    };
+  },
+
+  /**
+   * @private
+   */
+  _ok: function(payload) {
+    return JSON.stringify({
+      success: true,
+      result: payload
+    });
+  },
+
+  /**
+   * @private
+   * @param {string} message - Error message
+   * @param {string} [code] - Machine-readable reason (not_found, not_participant, not_dealer)
+   */
+  _error: function(message, code) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    var body = {
+      success: false,
+      error: message
+    };
+    if (code) {
+      body.code = code;
+    }
+    return JSON.stringify(body);
+  },
+
+  type: 'PlanningPokerAjaxFluent'
+});
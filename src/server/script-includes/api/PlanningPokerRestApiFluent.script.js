@@ -0,0 +1,567 @@
+/* global Class, gs, FluentQueryHelper, PlanningPokerConstants, SessionManagementFluent, VotingOperationsFluent, ParticipantManagerFluent, VoterEligibilityFluent, SessionEventFeedFluent, VoteHistoryFluent, StoryImportFluent, StoryPointsWritebackFluent, StorySyncFluent, StoryExportFluent */
+
+/**
+ * PlanningPokerRestApiFluent - Handlers for the Planning Poker scripted REST API
+ *
+ * Each resource script in src/server/rest-apis/planning_poker_v1.json
+ * delegates to one method here. Responses are always JSON:
+ *   success: { success: true, result: <payload> }
+ *   failure: { success: false, error: '<message>' }
+ * which mirrors the {success, error} result objects returned by
+ * FluentQueryHelper.insertSafe/updateSafe and the service script includes.
+ *
+ * @class PlanningPokerRestApiFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var PlanningPokerRestApiFluent = Class.create();
+
+PlanningPokerRestApiFluent.prototype = {
+
+  /**
+   * Initialize the PlanningPokerRestApiFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[PlanningPokerRestApiFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+    this.sessions = new SessionManagementFluent();
+    this.voting = new VotingOperationsFluent();
+    this.participants = new ParticipantManagerFluent();
+  },
+
+  /**
+   * GET /sessions?status=&dealer=&limit=
+   * Lists only the sessions the caller may open (see _requireAccess).
+   */
+  listSessions: function(request, response) {
+    var params = request.queryParams || {};
+    var sessions = this.sessions.listSessions({
+      status: this._param(params.status),
+      dealer: this._param(params.dealer),
+      accessibleBy: gs.getUserID()
+    }, parseInt(this._param(params.limit), 10) || 50);
+
+    this._ok(response, sessions);
+  },
+
+  /**
+   * POST /sessions
+   */
+  createSession: function(request, response) {
+    var body = this._body(request);
+    var result = this.sessions.createSession(body);
+
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.sessions.getSession(result.sysId, SessionManagementFluent.SESSION_FIELDS), 201);
+  },
+
+  /**
+   * GET /sessions/{session_id}
+   */
+  getSession: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireAccess(response, session.sys_id)) {
+      return;
+    }
+
+    this._ok(response, session);
+  },
+
+  /**
+   * PATCH /sessions/{session_id}
+   */
+  updateSession: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var result = this.sessions.updateSession(session.sys_id, this._body(request));
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.sessions.getSession(session.sys_id, SessionManagementFluent.SESSION_FIELDS));
+  },
+
+  /**
+   * DELETE /sessions/{session_id}
+   */
+  deleteSession: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    this._fromResult(response, this.sessions.deleteSession(session.sys_id), { sys_id: session.sys_id });
+  },
+
+  /**
+   * GET /sessions/{session_id}/stories
+   */
+  getStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireAccess(response, session.sys_id)) {
+      return;
+    }
+
+    this._ok(response, this.sessions.getStories(session.sys_id));
+  },
+
+  /**
+   * POST /sessions/{session_id}/stories
+   */
+  addStory: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var result = this.sessions.addStory(session.sys_id, this._body(request));
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.helper.getSafe(this.TABLES.STORY, result.sysId, SessionManagementFluent.STORY_FIELDS), 201);
+  },
+
+  /**
+   * POST /sessions/{session_id}/stories/import  body: { sprint, epic, product, query, limit }
+   * Partial imports answer 200 with the failed rows in errors.
+   */
+  importStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var result = new StoryImportFluent().importFromBacklog(session.sys_id, this._body(request));
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, {
+      imported: result.imported,
+      skipped: result.skipped,
+      errors: result.errors,
+      stories: this.sessions.getStories(session.sys_id)
+    });
+  },
+
+  /**
+   * POST /sessions/{session_id}/stories/sync  body: { source, query, limit }
+   * source is a StorySyncFluent adapter key (jira, azure_devops). Partial
+   * imports answer 200 with the failed rows in errors.
+   */
+  syncStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var body = this._body(request);
+    var result = new StoryImportFluent().importFromExternal(session.sys_id, body.source, body.query, body.limit);
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, {
+      imported: result.imported,
+      skipped: result.skipped,
+      errors: result.errors,
+      stories: this.sessions.getStories(session.sys_id)
+    });
+  },
+
+  /**
+   * POST /sessions/{session_id}/stories/upload  body: { format: 'csv'|'json', content, mapping }
+   * Rows failing validation answer 200 with {row, error} entries in errors.
+   */
+  uploadStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var body = this._body(request);
+    var importer = new StoryImportFluent();
+    var result;
+    if (body.format === 'csv') {
+      result = importer.importFromCsv(session.sys_id, body.content, body.mapping);
+    } else if (body.format === 'json') {
+      result = importer.importFromJson(session.sys_id, body.content, body.mapping);
+    } else {
+      return this._error(response, 400, 'format must be csv or json');
+    }
+
+    if (!result.success && result.imported === 0 && result.errors.length === 0) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, {
+      imported: result.imported,
+      errors: result.errors,
+      stories: this.sessions.getStories(session.sys_id)
+    });
+  },
+
+  /**
+   * PUT /sessions/{session_id}/stories/order  body: { stories: [sys_id, ...] }
+   */
+  reorderStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireDealer(response, session.sys_id)) {
+      return;
+    }
+
+    var result = this.sessions.reorderStories(session.sys_id, this._body(request).stories);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.sessions.getStories(session.sys_id));
+  },
+
+  /**
+   * GET /sessions/{session_id}/export?format=csv|json
+   * Answers with the file itself rather than the JSON envelope.
+   */
+  exportStories: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireAccess(response, session.sys_id)) {
+      return;
+    }
+
+    var params = request.queryParams || {};
+    var file = new StoryExportFluent().exportStories(session.sys_id, this._param(params.format));
+    if (!file.success) {
+      return this._error(response, 400, file.error);
+    }
+
+    response.setStatus(200);
+    response.setContentType(file.contentType);
+    response.setHeader('Content-Disposition', 'attachment; filename="' + file.filename + '"');
+    response.getStreamWriter().writeString(file.content);
+  },
+
+  /**
+   * GET /sessions/{session_id}/events?since=&limit=
+   */
+  getEvents: function(request, response) {
+    var session = this._requireSession(request, response);
+    if (!session || !this._requireAccess(response, session.sys_id)) {
+      return;
+    }
+
+    var params = request.queryParams || {};
+    this._ok(response, new SessionEventFeedFluent().getEvents(
+      session.sys_id,
+      this._param(params.since),
+      parseInt(this._param(params.limit), 10) || null
+    ));
+  },
+
+  /**
+   * POST /stories/{story_id}/votes  body: { value: 'M' }
+   */
+  castVote: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story) {
+      return;
+    }
+
+    var eligibility = new VoterEligibilityFluent();
+    eligibility.ensureParticipant(story.session, gs.getUserID());
+    if (!eligibility.isEligible(story.session, gs.getUserID())) {
+      return this._error(response, 403, 'You are not eligible to vote in this session');
+    }
+
+    var result = this.voting.castVote(story.sys_id, this._body(request).value);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, { sys_id: result.sysId, story: story.sys_id }, 201);
+  },
+
+  /**
+   * POST /stories/{story_id}/reveal
+   */
+  revealVotes: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireDealer(response, story.session)) {
+      return;
+    }
+
+    var result = this.voting.revealVotes(story.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.voting.getResults(story.sys_id));
+  },
+
+  /**
+   * POST /stories/{story_id}/revote
+   */
+  revote: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireDealer(response, story.session)) {
+      return;
+    }
+
+    var result = this.voting.revote(story.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.voting.getResults(story.sys_id));
+  },
+
+  /**
+   * DELETE /stories/{story_id}/revote - restore the previous voting round
+   */
+  undoRevote: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireDealer(response, story.session)) {
+      return;
+    }
+
+    var result = this.voting.undoLastRevote(story.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.voting.getResults(story.sys_id));
+  },
+
+  /**
+   * POST /stories/{story_id}/complete  body: { final_score: 'M' } (omit to accept the suggested score)
+   */
+  completeStory: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireDealer(response, story.session)) {
+      return;
+    }
+
+    var finalScore = this._body(request).final_score;
+    var result = finalScore ?
+      this.voting.completeStory(story.sys_id, finalScore) :
+      this.voting.acceptSuggestedScore(story.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.voting.getResults(story.sys_id));
+  },
+
+  /**
+   * GET /stories/{story_id}/results
+   */
+  getResults: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireAccess(response, story.session)) {
+      return;
+    }
+
+    this._ok(response, this.voting.getResults(story.sys_id));
+  },
+
+  /**
+   * GET /stories/{story_id}/history
+   */
+  getStoryHistory: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireAccess(response, story.session)) {
+      return;
+    }
+
+    this._ok(response, new VoteHistoryFluent().getStoryHistory(story.sys_id));
+  },
+
+  /**
+   * GET /stories/{story_id}/writebacks
+   */
+  getWritebacks: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireAccess(response, story.session)) {
+      return;
+    }
+
+    this._ok(response, new StoryPointsWritebackFluent().getWritebacks(story.sys_id));
+  },
+
+  /**
+   * POST /writebacks/{writeback_id}/revert
+   */
+  revertWriteback: function(request, response) {
+    var writebackId = request.pathParams.writeback_id;
+    var writeback = this.helper.getSafe(this.TABLES.WRITEBACK, writebackId, ['sys_id', 'session']);
+    if (!writeback) {
+      return this._error(response, 404, 'Write-back not found: ' + writebackId);
+    }
+
+    if (!this._requireDealer(response, writeback.session)) {
+      return;
+    }
+
+    var result = new StoryPointsWritebackFluent().revert(writeback.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, this.helper.getSafe(this.TABLES.WRITEBACK, writeback.sys_id, StoryPointsWritebackFluent.FIELDS));
+  },
+
+  /**
+   * POST /stories/{story_id}/sync
+   * Retries pushing a completed story's final score to its external issue.
+   */
+  pushStorySync: function(request, response) {
+    var story = this._requireStory(request, response);
+    if (!story || !this._requireDealer(response, story.session)) {
+      return;
+    }
+
+    var result = new StorySyncFluent().pushFinalScore(story.sys_id);
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+
+    this._ok(response, { points: result.points });
+  },
+
+  /**
+   * Load the session named by the session_id path parameter or send a 404
+   * @private
+   */
+  _requireSession: function(request, response) {
+    var sessionId = request.pathParams.session_id;
+    var session = this.sessions.getSession(sessionId, SessionManagementFluent.SESSION_FIELDS);
+
+    if (!session) {
+      this._error(response, 404, 'Session not found: ' + sessionId);
+      return null;
+    }
+
+    return session;
+  },
+
+  /**
+   * Load the story named by the story_id path parameter or send a 404
+   * @private
+   */
+  _requireStory: function(request, response) {
+    var storyId = request.pathParams.story_id;
+    var story = this.helper.getSafe(this.TABLES.STORY, storyId, ['sys_id', 'session', 'status']);
+
+    if (!story) {
+      this._error(response, 404, 'Story not found: ' + storyId);
+      return null;
+    }
+
+    return story;
+  },
+
+  /**
+   * Send a 403 unless the caller is the session's dealer or an active
+   * participant - the rule PlanningPokerAjaxFluent._access applies. Voter
+   * group members are enrolled as participants on first access.
+   * @private
+   */
+  _requireAccess: function(response, sessionId) {
+    var userId = gs.getUserID();
+    new VoterEligibilityFluent().ensureParticipant(sessionId, userId);
+
+    var participant = this.participants.getParticipant(sessionId, userId);
+    if ((participant && participant.is_active) || this.participants.isDealer(sessionId, userId)) {
+      return true;
+    }
+
+    this._error(response, 403, 'You are not a participant of this session');
+    return false;
+  },
+
+  /**
+   * Send a 403 unless the caller is the session's dealer
+   * @private
+   */
+  _requireDealer: function(response, sessionId) {
+    if (this.participants.isDealer(sessionId, gs.getUserID())) {
+      return true;
+    }
+
+    this._error(response, 403, 'Only the session dealer can perform this action');
+    return false;
+  },
+
+  /**
+   * Parse the JSON request body, tolerating an empty body
+   * @private
+   */
+  _body: function(request) {
+    try {
+      return (request.body && request.body.data) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  /**
+   * Query parameters arrive as arrays; use the first value
+   * @private
+   */
+  _param: function(value) {
+    if (Array.isArray(value)) {
+      return value.length > 0 ? value[0] : null;
+    }
+    return value || null;
+  },
+
+  /**
+   * @private
+   */
+  _fromResult: function(response, result, payload) {
+    if (!result.success) {
+      return this._error(response, 400, result.error);
+    }
+    this._ok(response, payload);
+  },
+
+  /**
+   * @private
+   */
+  _ok: function(response, payload, status) {
+    this._send(response, status || 200, {
+      success: true,
+      result: payload
+    });
+  },
+
+  /**
+   * @private
+   */
+  _error: function(response, status, message) {
+    gs.warn(this.LOG_PREFIX + ' ' + status + ': ' + message);
+    this._send(response, status, {
+      success: false,
+      error: message
+    });
+  },
+
+  /**
+   * Write the body directly so it is not wrapped in the platform's {result: ...}
+   * @private
+   */
+  _send: function(response, status, body) {
+    response.setStatus(status);
+    response.setContentType('application/json');
+    response.getStreamWriter().writeString(JSON.stringify(body));
+  },
+
+  type: 'PlanningPokerRestApiFluent'
+};
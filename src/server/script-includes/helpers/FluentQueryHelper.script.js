@@ -1,4 +1,4 @@
-/* global GlideQuery, gs */
+/* global Class, GlideQuery, gs */
 
 /**
  * FluentQueryHelper - Reusable Fluent (GlideQuery) database operations
@@ -343,7 +343,7 @@ FluentQueryHelper.prototype = {
 
   /**
    * Get count of records matching filters
-   * Optimized for performance using aggregate
+   * Counted in the database with GlideQuery.count()
    *
    * @param {string} table - Table name
    * @param {Object} filters - Filter object
@@ -369,7 +369,7 @@ FluentQueryHelper.prototype = {
         query = query.where(key, value);
       }
 
-      return query.aggregate('count').orElse(0);
+      return query.count();
 
     } catch (error) {
       gs.error(this.LOG_PREFIX + ' Error in count: ' + error.message);
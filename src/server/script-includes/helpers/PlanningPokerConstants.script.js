@@ -0,0 +1,105 @@
+/* exported PlanningPokerConstants */
+
+/**
+ * PlanningPokerConstants - Shared table names and choice values
+ *
+ * Single source of truth for the scoped table names, application roles and
+ * the status, role, consensus policy, write-back, event and webhook choice
+ * values used by the Planning Poker Fluent script includes.
+ *
+ * @namespace x_902080_msmplnpkr_fluent
+ *
+ * @example
+ * var TABLES = PlanningPokerConstants.TABLES;
+ * var session = new FluentQueryHelper().getSafe(TABLES.SESSION, sessionId, ['status']);
+ */
+var PlanningPokerConstants = {
+
+  SCOPE: 'x_902080_msmplnpkr_fluent',
+
+  TABLES: {
+    SESSION: 'x_902080_msmplnpkr_fluent_planning_session',
+    STORY: 'x_902080_msmplnpkr_fluent_session_stories',
+    VOTE: 'x_902080_msmplnpkr_fluent_planning_vote',
+    SCORING_METHOD: 'x_902080_msmplnpkr_fluent_scoring_method',
+    SCORING_VALUE: 'x_902080_msmplnpkr_fluent_scoring_value',
+    PARTICIPANT: 'x_902080_msmplnpkr_fluent_session_participant',
+    VOTER_GROUP: 'x_902080_msmplnpkr_fluent_session_voter_groups',
+    EVENT: 'x_902080_msmplnpkr_fluent_session_event',
+    WRITEBACK: 'x_902080_msmplnpkr_fluent_story_points_writeback',
+    WEBHOOK_SUBSCRIPTION: 'x_902080_msmplnpkr_fluent_webhook_subscription',
+    WEBHOOK_DELIVERY: 'x_902080_msmplnpkr_fluent_webhook_delivery'
+  },
+
+  SESSION_STATUS: {
+    PENDING: 'pending',
+    ACTIVE: 'active',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled'
+  },
+
+  STORY_STATUS: {
+    PENDING: 'pending',
+    VOTING: 'voting',
+    REVEALED: 'revealed',
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped'
+  },
+
+  CONSENSUS_POLICY: {
+    UNANIMOUS: 'unanimous',
+    MAJORITY: 'majority',
+    ADJACENT: 'adjacent',
+    SPREAD: 'spread'
+  },
+
+  WRITEBACK_STATUS: {
+    APPLIED: 'applied',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+    REVERTED: 'reverted'
+  },
+
+  ROLES: {
+    DEALER: 'dealer',
+    PARTICIPANT: 'participant',
+    SPECTATOR: 'spectator'
+  },
+
+  /** Application roles (sys_user_role names), as opposed to session ROLES */
+  APP_ROLES: {
+    ADMIN: 'x_902080_msmplnpkr_fluent.admin',
+    DEALER: 'x_902080_msmplnpkr_fluent.dealer'
+  },
+
+  EVENT_TYPES: {
+    VOTE_CAST: 'vote_cast',
+    VOTES_REVEALED: 'votes_revealed',
+    REVOTE_STARTED: 'revote_started',
+    REVOTE_UNDONE: 'revote_undone',
+    STORY_STATUS_CHANGED: 'story_status_changed',
+    STORY_ADVANCED: 'story_advanced',
+    SESSION_STATUS_CHANGED: 'session_status_changed',
+    PARTICIPANT_JOINED: 'participant_joined',
+    PARTICIPANT_LEFT: 'participant_left',
+    PARTICIPANT_ROLE_CHANGED: 'participant_role_changed'
+  },
+
+  WEBHOOK_EVENTS: {
+    SESSION_STARTED: 'session.started',
+    STORY_REVEALED: 'story.revealed',
+    STORY_COMPLETED: 'story.completed',
+    SESSION_COMPLETED: 'session.completed',
+    PARTICIPANT_JOINED: 'participant.joined'
+  },
+
+  DELIVERY_STATUS: {
+    PENDING: 'pending',
+    RETRYING: 'retrying',
+    SENDING: 'sending',
+    DELIVERED: 'delivered',
+    FAILED: 'failed'
+  },
+
+  type: 'PlanningPokerConstants'
+};
@@ -0,0 +1,364 @@
+/* global Class, GlideDateTime, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * ParticipantManagerFluent - Session participant roles and presence
+ *
+ * Handles joining (respecting planning_session.allow_spectators), leaving,
+ * role changes between dealer, participant and spectator, and last_activity
+ * presence tracking. A session has exactly one dealer participant, kept in
+ * sync with planning_session.dealer.
+ *
+ * @class ParticipantManagerFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var ParticipantManagerFluent = Class.create();
+
+ParticipantManagerFluent.prototype = {
+
+  /**
+   * Initialize the ParticipantManagerFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[ParticipantManagerFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.ROLES = PlanningPokerConstants.ROLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Join a session, or re-activate a previous participation (keeping its role)
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [userId] - sys_user sys_id (defaults to current user)
+   * @param {string} [role] - participant (default) or spectator
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   *
+   * @example
+   * var result = new ParticipantManagerFluent().join(sessionId, gs.getUserID(), 'spectator');
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  join: function(sessionId, userId, role) {
+    userId = userId || gs.getUserID();
+    role = role || this.ROLES.PARTICIPANT;
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['status', 'allow_spectators', 'dealer']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    var SESSION_STATUS = PlanningPokerConstants.SESSION_STATUS;
+    if (session.status === SESSION_STATUS.COMPLETED || session.status === SESSION_STATUS.CANCELLED) {
+      return this._failure('Session is ' + session.status);
+    }
+
+    if (role === this.ROLES.DEALER) {
+      return this._failure('Use changeRole to make a participant the dealer');
+    }
+
+    if (role !== this.ROLES.PARTICIPANT && role !== this.ROLES.SPECTATOR) {
+      return this._failure('Invalid role: ' + role);
+    }
+
+    if (role === this.ROLES.SPECTATOR && !session.allow_spectators) {
+      return this._failure('This session does not allow spectators');
+    }
+
+    var now = this._now();
+    var existing = this.getParticipant(sessionId, userId);
+
+    if (existing) {
+      // Rejoining keeps the existing role; role changes go through changeRole
+      var result = this.helper.updateSafe(this.TABLES.PARTICIPANT, existing.sys_id, {
+        is_active: true,
+        last_activity: now
+      });
+
+      return {
+        success: result.success,
+        sysId: result.success ? existing.sys_id : null,
+        error: result.error
+      };
+    }
+
+    return this.helper.insertSafe(this.TABLES.PARTICIPANT, {
+      session: sessionId,
+      user: userId,
+      role: role,
+      is_active: true,
+      joined_at: now,
+      last_activity: now
+    });
+  },
+
+  /**
+   * Leave a session (participant row is kept but marked inactive)
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [userId] - sys_user sys_id (defaults to current user)
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  leave: function(sessionId, userId) {
+    userId = userId || gs.getUserID();
+
+    var participant = this.getParticipant(sessionId, userId);
+    if (!participant || !participant.is_active) {
+      return this._failure('User is not an active participant of this session');
+    }
+
+    if (participant.role === this.ROLES.DEALER) {
+      return this._failure('The dealer cannot leave; promote another participant to dealer first');
+    }
+
+    return this.helper.updateSafe(this.TABLES.PARTICIPANT, participant.sys_id, {
+      is_active: false,
+      last_activity: this._now()
+    });
+  },
+
+  /**
+   * Remove a participant from a session on the dealer's behalf. The row is
+   * kept (inactive) so votes already cast stay attributed.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} userId - sys_user sys_id of the participant to remove
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  removeParticipant: function(sessionId, userId) {
+    return this.leave(sessionId, userId);
+  },
+
+  /**
+   * Change a participant's role. Promoting a user to dealer demotes the
+   * current dealer to participant and updates planning_session.dealer.
+   * The dealer cannot be demoted directly; promote someone else instead.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} userId - sys_user sys_id of the participant
+   * @param {string} newRole - dealer, participant or spectator
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  changeRole: function(sessionId, userId, newRole) {
+    if ([this.ROLES.DEALER, this.ROLES.PARTICIPANT, this.ROLES.SPECTATOR].indexOf(newRole) === -1) {
+      return this._failure('Invalid role: ' + newRole);
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['dealer', 'allow_spectators']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    var participant = this.getParticipant(sessionId, userId);
+    if (!participant || !participant.is_active) {
+      return this._failure('User is not an active participant of this session');
+    }
+
+    if (participant.role === newRole) {
+      return { success: true, error: null };
+    }
+
+    if (participant.role === this.ROLES.DEALER) {
+      return this._failure('The session must keep a dealer; promote another participant to dealer instead');
+    }
+
+    if (newRole === this.ROLES.SPECTATOR && !session.allow_spectators) {
+      return this._failure('This session does not allow spectators');
+    }
+
+    if (newRole === this.ROLES.DEALER) {
+      return this._transferDealer(sessionId, session.dealer, participant);
+    }
+
+    return this.helper.updateSafe(this.TABLES.PARTICIPANT, participant.sys_id, { role: newRole });
+  },
+
+  /**
+   * Make the dealer participant match planning_session.dealer. Enrolls the
+   * session dealer if needed and demotes any other dealer participant.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  syncDealer: function(sessionId) {
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['dealer']);
+    if (!session || !session.dealer) {
+      return this._failure('Session or dealer not found: ' + sessionId);
+    }
+
+    var dealers = this.helper.query(
+      this.TABLES.PARTICIPANT,
+      { session: sessionId, role: this.ROLES.DEALER },
+      ['sys_id', 'user']
+    );
+
+    for (var i = 0; i < dealers.length; i++) {
+      if (dealers[i].user !== session.dealer) {
+        var demoted = this.helper.updateSafe(this.TABLES.PARTICIPANT, dealers[i].sys_id, { role: this.ROLES.PARTICIPANT });
+        if (!demoted.success) {
+          return demoted;
+        }
+      }
+    }
+
+    var participant = this.getParticipant(sessionId, session.dealer);
+    if (participant) {
+      if (participant.role === this.ROLES.DEALER && participant.is_active) {
+        return { success: true, error: null };
+      }
+      return this.helper.updateSafe(this.TABLES.PARTICIPANT, participant.sys_id, {
+        role: this.ROLES.DEALER,
+        is_active: true
+      });
+    }
+
+    var now = this._now();
+    var inserted = this.helper.insertSafe(this.TABLES.PARTICIPANT, {
+      session: sessionId,
+      user: session.dealer,
+      role: this.ROLES.DEALER,
+      is_active: true,
+      joined_at: now,
+      last_activity: now
+    });
+
+    return {
+      success: inserted.success,
+      error: inserted.error
+    };
+  },
+
+  /**
+   * Record activity (vote, heartbeat) for a participant
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [userId] - sys_user sys_id (defaults to current user)
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  touch: function(sessionId, userId) {
+    userId = userId || gs.getUserID();
+
+    var participant = this.getParticipant(sessionId, userId);
+    if (!participant) {
+      return { success: false, error: 'User is not a participant of this session' };
+    }
+
+    return this.helper.updateSafe(this.TABLES.PARTICIPANT, participant.sys_id, { last_activity: this._now() });
+  },
+
+  /**
+   * Heartbeat from a connected client; alias of touch for the current user
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  heartbeat: function(sessionId) {
+    return this.touch(sessionId, gs.getUserID());
+  },
+
+  /**
+   * Get a user's participant record for a session
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} userId - sys_user sys_id
+   * @returns {Object|null} Participant record or null
+   */
+  getParticipant: function(sessionId, userId) {
+    var participants = this.helper.query(
+      this.TABLES.PARTICIPANT,
+      { session: sessionId, user: userId },
+      ['sys_id', 'user', 'role', 'is_active', 'joined_at', 'last_activity']
+    );
+
+    return participants.length > 0 ? participants[0] : null;
+  },
+
+  /**
+   * Check whether a user may run the session: the planning_session.dealer
+   * or an active participant with role dealer
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [userId] - sys_user sys_id (defaults to current user)
+   * @returns {boolean} True if the user is the session's dealer
+   */
+  isDealer: function(sessionId, userId) {
+    userId = userId || gs.getUserID();
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['dealer']);
+    if (!session) {
+      return false;
+    }
+
+    if (session.dealer === userId) {
+      return true;
+    }
+
+    var participant = this.getParticipant(sessionId, userId);
+    return !!participant && !!participant.is_active && participant.role === this.ROLES.DEALER;
+  },
+
+  /**
+   * List a session's participants
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {boolean} [activeOnly] - Only return active participants
+   * @returns {Array<Object>} Participant records (user$DISPLAY holds the user's name)
+   */
+  getParticipants: function(sessionId, activeOnly) {
+    var filters = { session: sessionId };
+    if (activeOnly) {
+      filters.is_active = true;
+    }
+
+    return this.helper.queryOrdered(
+      this.TABLES.PARTICIPANT,
+      filters,
+      ['sys_id', 'user', 'user$DISPLAY', 'role', 'is_active', 'joined_at', 'last_activity'],
+      'joined_at'
+    );
+  },
+
+  /**
+   * @private
+   */
+  _transferDealer: function(sessionId, currentDealer, newDealer) {
+    if (currentDealer) {
+      var previous = this.getParticipant(sessionId, currentDealer);
+      if (previous && previous.role === this.ROLES.DEALER) {
+        var demoted = this.helper.updateSafe(this.TABLES.PARTICIPANT, previous.sys_id, { role: this.ROLES.PARTICIPANT });
+        if (!demoted.success) {
+          return demoted;
+        }
+      }
+    }
+
+    var promoted = this.helper.updateSafe(this.TABLES.PARTICIPANT, newDealer.sys_id, { role: this.ROLES.DEALER });
+    if (!promoted.success) {
+      return promoted;
+    }
+
+    return this.helper.updateSafe(this.TABLES.SESSION, sessionId, { dealer: newDealer.user });
+  },
+
+  /**
+   * @private
+   */
+  _now: function() {
+    return new GlideDateTime().getValue();
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      sysId: null,
+      error: message
+    };
+  },
+
+  type: 'ParticipantManagerFluent'
+};
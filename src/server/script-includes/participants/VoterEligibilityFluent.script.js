@@ -0,0 +1,158 @@
+/* global Class, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants, ParticipantManagerFluent */
+
+/**
+ * VoterEligibilityFluent - Resolves who may vote in a session
+ *
+ * Eligible voters are the session's active participants with role
+ * participant or dealer, plus members of its active session_voter_groups.
+ * An explicit session_participant row always wins over group membership,
+ * so a group member made spectator (or who left) stays ineligible.
+ * Group members are enrolled as participants on first access.
+ *
+ * @class VoterEligibilityFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var VoterEligibilityFluent = Class.create();
+
+VoterEligibilityFluent.prototype = {
+
+  /**
+   * Initialize the VoterEligibilityFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[VoterEligibilityFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.ROLES = PlanningPokerConstants.ROLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Get every user eligible to vote in a session
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Array<string>} Unique sys_user sys_ids
+   *
+   * @example
+   * var voters = new VoterEligibilityFluent().getEligibleVoterIds(sessionId);
+   * gs.info('Expecting ' + voters.length + ' votes');
+   */
+  getEligibleVoterIds: function(sessionId) {
+    var self = this;
+    var participants = this.helper.query(
+      this.TABLES.PARTICIPANT,
+      { session: sessionId },
+      ['user', 'role', 'is_active']
+    );
+
+    var explicit = {};
+    var eligible = participants.reduce(function(acc, participant) {
+      explicit[participant.user] = true;
+      if (self._canVote(participant)) {
+        acc.push(participant.user);
+      }
+      return acc;
+    }, []);
+
+    var groupIds = this._getActiveGroupIds(sessionId);
+    for (var i = 0; i < groupIds.length; i++) {
+      var members = this.helper.query('sys_user_grmember', { group: groupIds[i] }, ['user']);
+      for (var j = 0; j < members.length; j++) {
+        var userId = members[j].user;
+        if (!explicit[userId] && eligible.indexOf(userId) === -1) {
+          eligible.push(userId);
+        }
+      }
+    }
+
+    return eligible;
+  },
+
+  /**
+   * Check whether a user may vote in a session
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} userId - sys_user sys_id
+   * @returns {boolean} True if the user is eligible
+   */
+  isEligible: function(sessionId, userId) {
+    var participant = new ParticipantManagerFluent().getParticipant(sessionId, userId);
+    if (participant) {
+      return this._canVote(participant);
+    }
+
+    return this.isVoterGroupMember(sessionId, userId);
+  },
+
+  /**
+   * Check whether a user belongs to one of the session's active voter groups
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} userId - sys_user sys_id
+   * @returns {boolean} True if the user is a member of an active voter group
+   */
+  isVoterGroupMember: function(sessionId, userId) {
+    var groupIds = this._getActiveGroupIds(sessionId);
+    if (groupIds.length === 0) {
+      return false;
+    }
+
+    return new GlideQuery('sys_user_grmember')
+      .where('group', 'IN', groupIds)
+      .where('user', userId)
+      .selectOne('sys_id')
+      .isPresent();
+  },
+
+  /**
+   * Enroll a voter group member as a participant the first time they access
+   * the session. Users with an existing participant row are left untouched.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [userId] - sys_user sys_id (defaults to current user)
+   * @returns {Object} Result {success: boolean, enrolled: boolean, error: string|null}
+   */
+  ensureParticipant: function(sessionId, userId) {
+    userId = userId || gs.getUserID();
+
+    var participants = new ParticipantManagerFluent();
+    if (participants.getParticipant(sessionId, userId)) {
+      return { success: true, enrolled: false, error: null };
+    }
+
+    if (!this.isVoterGroupMember(sessionId, userId)) {
+      return { success: true, enrolled: false, error: null };
+    }
+
+    var result = participants.join(sessionId, userId, this.ROLES.PARTICIPANT);
+    if (!result.success) {
+      gs.warn(this.LOG_PREFIX + ' Could not enroll voter group member ' + userId + ': ' + result.error);
+    }
+
+    return {
+      success: result.success,
+      enrolled: result.success,
+      error: result.error
+    };
+  },
+
+  /**
+   * @private
+   */
+  _canVote: function(participant) {
+    return !!participant.is_active &&
+      (participant.role === this.ROLES.PARTICIPANT || participant.role === this.ROLES.DEALER);
+  },
+
+  /**
+   * @private
+   */
+  _getActiveGroupIds: function(sessionId) {
+    return this.helper.query(this.TABLES.VOTER_GROUP, { session: sessionId, is_active: true }, ['group'])
+      .map(function(voterGroup) {
+        return voterGroup.group;
+      });
+  },
+
+  type: 'VoterEligibilityFluent'
+};
@@ -0,0 +1,203 @@
+/* global Class, GlideDateTime, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants, WebhookDispatcherFluent */
+
+/**
+ * SessionEventFeedFluent - Per-session change feed
+ *
+ * Business rules publish one session_event row per change (vote cast,
+ * reveal, re-vote, story advanced, participant joined/left, ...). Clients
+ * poll getEvents with the cursor of the last event they saw and reload
+ * whatever the new events touch. Cursors are epoch milliseconds, bumped
+ * past the session's latest cursor so they strictly increase per session.
+ * The unique (session, cursor) index rejects a cursor that two concurrent
+ * publishes both picked; the one that loses retries with the next cursor.
+ *
+ * Events never carry unrevealed vote values; a vote_cast event only says
+ * who voted on which story.
+ *
+ * Published events are also handed to WebhookDispatcherFluent, which queues
+ * outbound webhook deliveries for the ones subscribers can receive.
+ *
+ * @class SessionEventFeedFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var SessionEventFeedFluent = Class.create();
+
+SessionEventFeedFluent.DEFAULT_LIMIT = 100;
+SessionEventFeedFluent.CURSOR_ATTEMPTS = 5;
+
+SessionEventFeedFluent.prototype = {
+
+  /**
+   * Initialize the SessionEventFeedFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[SessionEventFeedFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Append an event to a session's feed
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} eventType - One of PlanningPokerConstants.EVENT_TYPES
+   * @param {Object} [details] - Optional {story: sys_id, user: sys_id, payload: Object}
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   *
+   * @example
+   * new SessionEventFeedFluent().publish(sessionId, PlanningPokerConstants.EVENT_TYPES.VOTES_REVEALED, {
+   *   story: storyId,
+   *   payload: { times_revoted: 0 }
+   * });
+   */
+  publish: function(sessionId, eventType, details) {
+    details = details || {};
+
+    if (!sessionId || !eventType) {
+      return this._failure('Session and event type are required');
+    }
+
+    var event = {
+      session: sessionId,
+      event_type: eventType,
+      story: details.story || '',
+      user: details.user || '',
+      payload: details.payload ? JSON.stringify(details.payload) : ''
+    };
+
+    var result;
+    for (var attempt = 0; attempt < SessionEventFeedFluent.CURSOR_ATTEMPTS; attempt++) {
+      event.cursor = this._nextCursor(sessionId);
+      result = this.helper.insertSafe(this.TABLES.EVENT, event);
+      if (result.success || !this._cursorTaken(sessionId, event.cursor)) {
+        break;
+      }
+    }
+
+    if (!result.success) {
+      gs.warn(this.LOG_PREFIX + ' Could not publish ' + eventType + ' for session ' + sessionId + ': ' + result.error);
+      return result;
+    }
+
+    // A webhook problem must never fail the change that published the event
+    try {
+      new WebhookDispatcherFluent().enqueue(sessionId, eventType, details);
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Could not queue webhooks for ' + eventType + ': ' + error.message);
+    }
+
+    return result;
+  },
+
+  /**
+   * Events published after a cursor, oldest first. Without a cursor no
+   * events are returned, only the current cursor to start polling from.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {number|string} [since] - Cursor of the last event already seen
+   * @param {number} [limit] - Maximum events to return (default 100)
+   * @returns {Object} {events: Array<Object>, cursor: number, has_more: boolean}
+   *
+   * @example
+   * var feed = new SessionEventFeedFluent().getEvents(sessionId, lastCursor);
+   * feed.events.forEach(function(event) {
+   *   gs.info(event.cursor + ' ' + event.event_type);
+   * });
+   * lastCursor = feed.cursor;
+   */
+  getEvents: function(sessionId, since, limit) {
+    var cursor = parseInt(since, 10);
+    if (isNaN(cursor)) {
+      return { events: [], cursor: this.getLatestCursor(sessionId), has_more: false };
+    }
+
+    limit = limit || SessionEventFeedFluent.DEFAULT_LIMIT;
+    var events = [];
+
+    try {
+      new GlideQuery(this.TABLES.EVENT)
+        .where('session', sessionId)
+        .where('cursor', '>', cursor)
+        .orderBy('cursor')
+        .limit(limit)
+        .select('cursor', 'event_type', 'story', 'user', 'user$DISPLAY', 'payload', 'sys_created_on')
+        .forEach(function(event) {
+          events.push(this._toEvent(event));
+        }.bind(this));
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Error reading events for session ' + sessionId + ': ' + error.message);
+    }
+
+    return {
+      events: events,
+      cursor: events.length > 0 ? events[events.length - 1].cursor : cursor,
+      has_more: events.length === limit
+    };
+  },
+
+  /**
+   * Cursor of the session's most recent event, or 0 for an empty feed
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {number} Latest cursor
+   */
+  getLatestCursor: function(sessionId) {
+    var latest = this.helper.queryOrdered(this.TABLES.EVENT, { session: sessionId }, ['cursor'], 'cursor', true, 1);
+    return latest.length > 0 ? parseInt(latest[0].cursor, 10) || 0 : 0;
+  },
+
+  /**
+   * @private
+   */
+  _nextCursor: function(sessionId) {
+    var now = new GlideDateTime().getNumericValue();
+    var latest = this.getLatestCursor(sessionId);
+    return now > latest ? now : latest + 1;
+  },
+
+  /**
+   * @private
+   */
+  _cursorTaken: function(sessionId, cursor) {
+    return this.helper.query(this.TABLES.EVENT, { session: sessionId, cursor: cursor }, ['sys_id']).length > 0;
+  },
+
+  /**
+   * @private
+   */
+  _toEvent: function(record) {
+    var payload = null;
+    if (record.payload) {
+      try {
+        payload = JSON.parse(record.payload);
+      } catch (error) {
+        payload = null;
+      }
+    }
+
+    return {
+      cursor: parseInt(record.cursor, 10),
+      event_type: record.event_type,
+      story: record.story || null,
+      user: record.user || null,
+      user_name: record['user$DISPLAY'] || '',
+      payload: payload,
+      created_on: record.sys_created_on
+    };
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      sysId: null,
+      error: message
+    };
+  },
+
+  type: 'SessionEventFeedFluent'
+};
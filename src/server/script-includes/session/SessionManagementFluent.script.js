@@ -0,0 +1,774 @@
+/* global Class, GlideDateTime, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * SessionManagementFluent - Planning session lifecycle operations
+ *
+ * Creates sessions with the default scoring method, enrolls the dealer as a
+ * participant and enforces the status transitions defined on
+ * planning_session.status (pending → active → completed/cancelled).
+ * All database access goes through FluentQueryHelper.
+ *
+ * @class SessionManagementFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var SessionManagementFluent = Class.create();
+
+/**
+ * Allowed status transitions keyed by current status
+ * @type {Object<string, Array<string>>}
+ */
+SessionManagementFluent.TRANSITIONS = {
+  pending: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+/**
+ * Join code settings. Ambiguous characters (0/O, 1/I) are left out so codes
+ * can be read aloud and typed from chat.
+ */
+SessionManagementFluent.CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+SessionManagementFluent.CODE_LENGTH = 6;
+SessionManagementFluent.CODE_MAX_ATTEMPTS = 10;
+
+/**
+ * Session fields that may be changed through updateSession
+ * @type {Array<string>}
+ */
+SessionManagementFluent.UPDATABLE_FIELDS = [
+  'name', 'description', 'scoring_method', 'allow_spectators', 'auto_reveal', 'anonymous_voting',
+  'voting_time_limit', 'consensus_policy', 'consensus_majority_percent', 'consensus_spread'
+];
+
+/**
+ * Fields returned for session lists and story lists
+ * @type {Array<string>}
+ */
+SessionManagementFluent.SESSION_FIELDS = [
+  'sys_id', 'name', 'description', 'session_code', 'dealer', 'scoring_method', 'status', 'current_story',
+  'start_time', 'end_time', 'total_stories', 'stories_completed', 'stories_skipped', 'total_votes',
+  'allow_spectators', 'auto_reveal', 'anonymous_voting', 'voting_time_limit', 'consensus_policy',
+  'consensus_majority_percent', 'consensus_spread'
+];
+SessionManagementFluent.STORY_FIELDS = [
+  'sys_id', 'session', 'story', 'title', 'description', 'acceptance_criteria', 'order', 'status',
+  'final_score', 'vote_count', 'times_revoted', 'average_score', 'min_score', 'max_score', 'consensus_reached',
+  'time_limit', 'voting_started_at', 'voting_deadline', 'completed_at', 'non_voters', 'consensus_rule', 'suggested_score',
+  'score_overridden', 'external_source', 'external_key', 'external_url'
+];
+
+SessionManagementFluent.prototype = {
+
+  /**
+   * Initialize the SessionManagementFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[SessionManagementFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STATUS = PlanningPokerConstants.SESSION_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Create a new planning session and enroll the dealer as a participant
+   *
+   * @param {Object} data - Session field values
+   * @param {string} data.name - Session name (required)
+   * @param {string} [data.description] - Session description
+   * @param {string} [data.dealer] - Dealer sys_user sys_id (defaults to current user)
+   * @param {string} [data.scoring_method] - Scoring method sys_id (defaults to is_default=true method)
+   * @param {boolean} [data.allow_spectators] - Whether spectators may join
+   * @param {boolean} [data.auto_reveal] - Reveal automatically when all votes are in
+   * @param {boolean} [data.anonymous_voting] - Hide who voted what from everyone except admins
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   *
+   * @example
+   * var sessions = new SessionManagementFluent();
+   * var result = sessions.createSession({ name: 'Sprint 42 Planning' });
+   * if (result.success) {
+   *   gs.info('Session created: ' + result.sysId);
+   * }
+   */
+  createSession: function(data) {
+    data = data || {};
+
+    if (!data.name) {
+      return this._failure('Session name is required');
+    }
+
+    var dealer = data.dealer || gs.getUserID();
+    var scoringMethod = data.scoring_method || this.getDefaultScoringMethod();
+
+    if (!scoringMethod) {
+      return this._failure('No default scoring method configured');
+    }
+
+    var sessionCode = this.generateSessionCode();
+    if (!sessionCode) {
+      return this._failure('Could not generate a unique session code');
+    }
+
+    var sessionData = {
+      name: data.name,
+      description: data.description || '',
+      session_code: sessionCode,
+      dealer: dealer,
+      scoring_method: scoringMethod,
+      status: this.STATUS.PENDING
+    };
+
+    if (data.allow_spectators !== undefined) {
+      sessionData.allow_spectators = !!data.allow_spectators;
+    }
+    if (data.auto_reveal !== undefined) {
+      sessionData.auto_reveal = !!data.auto_reveal;
+    }
+    if (data.anonymous_voting !== undefined) {
+      sessionData.anonymous_voting = !!data.anonymous_voting;
+    }
+    if (data.voting_time_limit !== undefined) {
+      sessionData.voting_time_limit = this._parseTimeLimit(data.voting_time_limit);
+      if (sessionData.voting_time_limit === null) {
+        return this._failure('voting_time_limit must be a whole number of seconds');
+      }
+    }
+
+    var consensusError = this._applyConsensusSettings(data, sessionData);
+    if (consensusError) {
+      return this._failure(consensusError);
+    }
+
+    var sessionResult = this.helper.insertSafe(this.TABLES.SESSION, sessionData);
+    if (!sessionResult.success) {
+      return sessionResult;
+    }
+
+    var now = this._now();
+    var participantResult = this.helper.insertSafe(this.TABLES.PARTICIPANT, {
+      session: sessionResult.sysId,
+      user: dealer,
+      role: PlanningPokerConstants.ROLES.DEALER,
+      is_active: true,
+      joined_at: now,
+      last_activity: now
+    });
+
+    if (!participantResult.success) {
+      // Roll back so we never leave a session without its dealer participant
+      this.helper.deleteSafe(this.TABLES.SESSION, sessionResult.sysId);
+      return this._failure('Failed to enroll dealer: ' + participantResult.error);
+    }
+
+    return sessionResult;
+  },
+
+  /**
+   * Retrieve a session record
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {Array<string>} [fields] - Fields to select (empty = all fields)
+   * @returns {Object|null} Session record or null if not found
+   */
+  getSession: function(sessionId, fields) {
+    return this.helper.getSafe(this.TABLES.SESSION, sessionId, fields || []);
+  },
+
+  /**
+   * List sessions, most recent first
+   *
+   * @param {Object} [filters] - Optional filters (status, dealer, and accessibleBy: a sys_user sys_id to
+   *   keep only the sessions that user deals, participates in or may join through a voter group)
+   * @param {number} [limit] - Maximum sessions to return (default 50)
+   * @returns {Array<Object>} Session records
+   */
+  listSessions: function(filters, limit) {
+    filters = filters || {};
+
+    var query = new GlideQuery(this.TABLES.SESSION);
+    if (filters.status) {
+      query = query.where('status', filters.status);
+    }
+    if (filters.dealer) {
+      query = query.where('dealer', filters.dealer);
+    }
+    if (filters.accessibleBy) {
+      var sessionIds = this._accessibleSessionIds(filters.accessibleBy);
+      if (sessionIds.length === 0) {
+        return [];
+      }
+      query = query.where('sys_id', 'IN', sessionIds);
+    }
+
+    query = query.orderByDesc('created_on').limit(limit || 50);
+
+    var sessions = [];
+    query.select.apply(query, SessionManagementFluent.SESSION_FIELDS).forEach(function(session) {
+      sessions.push(session);
+    });
+
+    return sessions;
+  },
+
+  /**
+   * Update a session's editable fields and optionally transition its status
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {Object} data - Field values (name, description, scoring_method, allow_spectators, auto_reveal,
+   *   anonymous_voting, voting_time_limit, consensus_policy, consensus_majority_percent, consensus_spread, status)
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  updateSession: function(sessionId, data) {
+    data = data || {};
+
+    var session = this.getSession(sessionId, ['status']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    var update = {};
+    SessionManagementFluent.UPDATABLE_FIELDS.forEach(function(field) {
+      if (data[field] !== undefined) {
+        update[field] = data[field];
+      }
+    });
+
+    if (update.voting_time_limit !== undefined) {
+      update.voting_time_limit = this._parseTimeLimit(update.voting_time_limit);
+      if (update.voting_time_limit === null) {
+        return this._failure('voting_time_limit must be a whole number of seconds');
+      }
+    }
+
+    var consensusError = this._applyConsensusSettings(data, update);
+    if (consensusError) {
+      return this._failure(consensusError);
+    }
+
+    if (update.scoring_method && session.status !== this.STATUS.PENDING) {
+      return this._failure('The scoring method can only be changed while the session is pending');
+    }
+
+    if (Object.keys(update).length > 0) {
+      var result = this.helper.updateSafe(this.TABLES.SESSION, sessionId, update);
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    if (data.status && data.status !== session.status) {
+      return this.transitionStatus(sessionId, data.status);
+    }
+
+    return { success: true, error: null };
+  },
+
+  /**
+   * Delete a session that is not active, along with its stories, votes,
+   * participants, voter groups, feed events, webhook deliveries and the
+   * webhook subscriptions limited to it. Story points write-back records are
+   * audit history of rm_story and are kept, with their session and
+   * session_story references cleared.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  deleteSession: function(sessionId) {
+    var session = this.getSession(sessionId, ['status']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    if (session.status === this.STATUS.ACTIVE) {
+      return this._failure('Active sessions must be completed or cancelled before deletion');
+    }
+
+    var writebacks = this.helper.query(this.TABLES.WRITEBACK, { session: sessionId }, ['sys_id']);
+    for (var w = 0; w < writebacks.length; w++) {
+      var detached = this.helper.updateSafe(this.TABLES.WRITEBACK, writebacks[w].sys_id, { session: '', session_story: '' });
+      if (!detached.success) {
+        return detached;
+      }
+    }
+
+    var children = [
+      this.TABLES.VOTE, this.TABLES.STORY, this.TABLES.PARTICIPANT, this.TABLES.VOTER_GROUP,
+      this.TABLES.EVENT, this.TABLES.WEBHOOK_DELIVERY, this.TABLES.WEBHOOK_SUBSCRIPTION
+    ];
+    for (var i = 0; i < children.length; i++) {
+      var records = this.helper.query(children[i], { session: sessionId }, ['sys_id']);
+      for (var j = 0; j < records.length; j++) {
+        var deleted = this.helper.deleteSafe(children[i], records[j].sys_id);
+        if (!deleted.success) {
+          return deleted;
+        }
+      }
+    }
+
+    return this.helper.deleteSafe(this.TABLES.SESSION, sessionId);
+  },
+
+  /**
+   * Resolve a join code to its session. Codes of completed or cancelled
+   * sessions have expired and no longer resolve.
+   *
+   * @param {string} code - Join code (case-insensitive)
+   * @returns {Object} Result {success: boolean, session: Object|null, error: string|null}
+   *
+   * @example
+   * var lookup = new SessionManagementFluent().getSessionByCode('k7m2qp');
+   * if (lookup.success) {
+   *   gs.info('Joining ' + lookup.session.name);
+   * }
+   */
+  getSessionByCode: function(code) {
+    var normalized = String(code || '').replace(/\s+/g, '').toUpperCase();
+    if (!normalized) {
+      return { success: false, session: null, error: 'Session code is required' };
+    }
+
+    var sessions = this.helper.query(
+      this.TABLES.SESSION,
+      { session_code: normalized },
+      ['sys_id', 'name', 'description', 'status', 'dealer', 'scoring_method', 'session_code', 'allow_spectators']
+    );
+
+    if (sessions.length === 0) {
+      return { success: false, session: null, error: 'No session found for code: ' + normalized };
+    }
+
+    var session = sessions[0];
+    if (session.status === this.STATUS.COMPLETED || session.status === this.STATUS.CANCELLED) {
+      return { success: false, session: null, error: 'Session code has expired' };
+    }
+
+    return { success: true, session: session, error: null };
+  },
+
+  /**
+   * Generate a join code that is not used by any other session
+   *
+   * @returns {string|null} Unique code, or null if no free code was found
+   */
+  generateSessionCode: function() {
+    var alphabet = SessionManagementFluent.CODE_ALPHABET;
+
+    for (var attempt = 0; attempt < SessionManagementFluent.CODE_MAX_ATTEMPTS; attempt++) {
+      var code = '';
+      for (var i = 0; i < SessionManagementFluent.CODE_LENGTH; i++) {
+        code += alphabet.charAt(Math.floor(Math.random() * alphabet.length));
+      }
+
+      if (!this.helper.exists(this.TABLES.SESSION, 'session_code', code)) {
+        return code;
+      }
+    }
+
+    gs.error(this.LOG_PREFIX + ' Exhausted attempts to generate a unique session code');
+    return null;
+  },
+
+  /**
+   * Get the sys_id of the active default scoring method
+   *
+   * @returns {string|null} Scoring method sys_id or null if none is flagged default
+   */
+  getDefaultScoringMethod: function() {
+    var methods = this.helper.queryOrdered(
+      this.TABLES.SCORING_METHOD,
+      { is_default: true, is_active: true },
+      ['sys_id'],
+      'order',
+      false,
+      1
+    );
+
+    return methods.length > 0 ? methods[0].sys_id : null;
+  },
+
+  /**
+   * Move a pending session to active and stamp start_time
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  activateSession: function(sessionId) {
+    return this.transitionStatus(sessionId, this.STATUS.ACTIVE);
+  },
+
+  /**
+   * Move an active session to completed and stamp end_time
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  completeSession: function(sessionId) {
+    return this.transitionStatus(sessionId, this.STATUS.COMPLETED);
+  },
+
+  /**
+   * Cancel a pending or active session and stamp end_time
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  cancelSession: function(sessionId) {
+    return this.transitionStatus(sessionId, this.STATUS.CANCELLED);
+  },
+
+  /**
+   * Apply a status transition, enforcing the allowed lifecycle
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} newStatus - Target status
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   *
+   * @example
+   * var result = new SessionManagementFluent().transitionStatus(sessionId, 'active');
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  transitionStatus: function(sessionId, newStatus) {
+    var session = this.getSession(sessionId, ['status']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    if (!this.canTransition(session.status, newStatus)) {
+      return this._failure('Invalid status transition: ' + session.status + ' → ' + newStatus);
+    }
+
+    var update = { status: newStatus };
+    if (newStatus === this.STATUS.ACTIVE) {
+      update.start_time = this._now();
+    } else {
+      update.end_time = this._now();
+    }
+
+    return this.helper.updateSafe(this.TABLES.SESSION, sessionId, update);
+  },
+
+  /**
+   * Move the session on after its current story is completed or skipped.
+   * current_story is set to the next pending story by order; when no story
+   * is left to estimate the session is completed (end_time is stamped).
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result {success: boolean, nextStory: string|null, sessionCompleted: boolean, error: string|null}
+   *
+   * @example
+   * var result = new SessionManagementFluent().advanceSession(sessionId);
+   * if (result.sessionCompleted) {
+   *   gs.info('All stories estimated');
+   * }
+   */
+  advanceSession: function(sessionId) {
+    var session = this.getSession(sessionId, ['status']);
+    if (!session) {
+      return this._advanceResult(false, null, false, 'Session not found: ' + sessionId);
+    }
+
+    if (session.status !== this.STATUS.ACTIVE) {
+      return this._advanceResult(false, null, false, 'Session is not active');
+    }
+
+    var STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    var nextStories = this.helper.queryOrdered(
+      this.TABLES.STORY,
+      { session: sessionId, status: STORY_STATUS.PENDING },
+      ['sys_id'],
+      'order',
+      false,
+      1
+    );
+
+    if (nextStories.length > 0) {
+      var advanced = this.helper.updateSafe(this.TABLES.SESSION, sessionId, { current_story: nextStories[0].sys_id });
+      return this._advanceResult(advanced.success, nextStories[0].sys_id, false, advanced.error);
+    }
+
+    var openStories = this.helper.count(this.TABLES.STORY, { session: sessionId, status: STORY_STATUS.VOTING }) +
+      this.helper.count(this.TABLES.STORY, { session: sessionId, status: STORY_STATUS.REVEALED });
+    if (openStories > 0) {
+      return this._advanceResult(true, null, false, null);
+    }
+
+    var cleared = this.helper.updateSafe(this.TABLES.SESSION, sessionId, { current_story: null });
+    if (!cleared.success) {
+      return this._advanceResult(false, null, false, cleared.error);
+    }
+
+    var completed = this.completeSession(sessionId);
+    return this._advanceResult(completed.success, null, completed.success, completed.error);
+  },
+
+  /**
+   * Get a session's stories in display order
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Array<Object>} Story records
+   */
+  getStories: function(sessionId) {
+    return this.helper.queryOrdered(
+      this.TABLES.STORY,
+      { session: sessionId },
+      SessionManagementFluent.STORY_FIELDS,
+      'order'
+    );
+  },
+
+  /**
+   * Add a story to the end of a session's story list
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {Object} data - Story field values
+   * @param {string} data.title - Story title (required)
+   * @param {string} [data.description] - Story details
+   * @param {string} [data.acceptance_criteria] - Acceptance criteria
+   * @param {string} [data.story] - rm_story sys_id
+   * @param {number} [data.order] - Display order (defaults to after the last story)
+   * @param {number} [data.time_limit] - Voting time box in seconds (overrides the session default)
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   *
+   * @example
+   * var result = new SessionManagementFluent().addStory(sessionId, { title: 'Login with SSO' });
+   */
+  addStory: function(sessionId, data) {
+    data = data || {};
+
+    if (!data.title) {
+      return this._failure('Story title is required');
+    }
+
+    var session = this.getSession(sessionId, ['status']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    if (session.status === this.STATUS.COMPLETED || session.status === this.STATUS.CANCELLED) {
+      return this._failure('Stories cannot be added to a ' + session.status + ' session');
+    }
+
+    var storyData = {
+      session: sessionId,
+      title: data.title,
+      description: data.description || '',
+      acceptance_criteria: data.acceptance_criteria || '',
+      order: data.order !== undefined ? parseInt(data.order, 10) : this.getNextStoryOrder(sessionId),
+      status: PlanningPokerConstants.STORY_STATUS.PENDING
+    };
+
+    if (data.story) {
+      storyData.story = data.story;
+    }
+
+    if (data.time_limit !== undefined) {
+      storyData.time_limit = this._parseTimeLimit(data.time_limit);
+      if (storyData.time_limit === null) {
+        return this._failure('time_limit must be a whole number of seconds');
+      }
+    }
+
+    return this.helper.insertSafe(this.TABLES.STORY, storyData);
+  },
+
+  /**
+   * Set a story's own voting time box. It applies from the next voting
+   * round; 0 falls back to the session's voting_time_limit.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @param {number} seconds - Time box in seconds (0 = use the session default)
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  setStoryTimeLimit: function(storyId, seconds) {
+    var timeLimit = this._parseTimeLimit(seconds);
+    if (timeLimit === null) {
+      return this._failure('time_limit must be a whole number of seconds');
+    }
+
+    if (!this.helper.exists(this.TABLES.STORY, 'sys_id', storyId)) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    return this.helper.updateSafe(this.TABLES.STORY, storyId, { time_limit: timeLimit });
+  },
+
+  /**
+   * Get the order value that places a new story after the session's last story
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {number} Next order value
+   */
+  getNextStoryOrder: function(sessionId) {
+    var last = this.helper.queryOrdered(this.TABLES.STORY, { session: sessionId }, ['order'], 'order', true, 1);
+    return last.length > 0 ? (parseInt(last[0].order, 10) || 0) + 1 : 1;
+  },
+
+  /**
+   * Reorder a session's stories. Listed stories come first in the given
+   * order; any stories not listed keep their relative order after them.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {Array<string>} storyIds - Story sys_ids in the desired order
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  reorderStories: function(sessionId, storyIds) {
+    if (!Array.isArray(storyIds) || storyIds.length === 0) {
+      return this._failure('A list of story ids is required');
+    }
+
+    var existing = this.getStories(sessionId).map(function(story) {
+      return story.sys_id;
+    });
+
+    for (var i = 0; i < storyIds.length; i++) {
+      if (existing.indexOf(storyIds[i]) === -1) {
+        return this._failure('Story does not belong to this session: ' + storyIds[i]);
+      }
+    }
+
+    var ordered = storyIds.concat(existing.filter(function(storyId) {
+      return storyIds.indexOf(storyId) === -1;
+    }));
+
+    for (var j = 0; j < ordered.length; j++) {
+      var result = this.helper.updateSafe(this.TABLES.STORY, ordered[j], { order: j + 1 });
+      if (!result.success) {
+        return result;
+      }
+    }
+
+    return { success: true, error: null };
+  },
+
+  /**
+   * Check whether a status transition is allowed
+   *
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition: function(fromStatus, toStatus) {
+    var allowed = SessionManagementFluent.TRANSITIONS[fromStatus] || [];
+    return allowed.indexOf(toStatus) !== -1;
+  },
+
+  /**
+   * Sessions a user deals, is an active participant of, or may join as a
+   * member of one of the session's active voter groups
+   * @private
+   */
+  _accessibleSessionIds: function(userId) {
+    var sessionIds = {};
+    var addSession = function(record) {
+      sessionIds[record.session] = true;
+    };
+
+    this.helper.query(this.TABLES.SESSION, { dealer: userId }, ['sys_id']).forEach(function(session) {
+      sessionIds[session.sys_id] = true;
+    });
+    this.helper.query(this.TABLES.PARTICIPANT, { user: userId, is_active: true }, ['session']).forEach(addSession);
+
+    var groupIds = this.helper.query('sys_user_grmember', { user: userId }, ['group']).map(function(member) {
+      return member.group;
+    });
+    if (groupIds.length > 0) {
+      new GlideQuery(this.TABLES.VOTER_GROUP)
+        .where('group', 'IN', groupIds)
+        .where('is_active', true)
+        .select('session')
+        .forEach(addSession);
+    }
+
+    return Object.keys(sessionIds);
+  },
+
+  /**
+   * @private
+   */
+  _advanceResult: function(success, nextStory, sessionCompleted, error) {
+    return {
+      success: success,
+      nextStory: nextStory,
+      sessionCompleted: sessionCompleted,
+      error: error || null
+    };
+  },
+
+  /**
+   * Validate and copy consensus_policy, consensus_majority_percent and
+   * consensus_spread from data into target. The policy applies from the
+   * next reveal; stories already revealed keep their consensus_rule.
+   * @private
+   * @returns {string|null} Error message or null when valid
+   */
+  _applyConsensusSettings: function(data, target) {
+    if (data.consensus_policy !== undefined) {
+      var POLICY = PlanningPokerConstants.CONSENSUS_POLICY;
+      var policies = Object.keys(POLICY).map(function(key) {
+        return POLICY[key];
+      });
+      if (policies.indexOf(data.consensus_policy) === -1) {
+        return 'consensus_policy must be one of: ' + policies.join(', ');
+      }
+      target.consensus_policy = data.consensus_policy;
+    }
+
+    if (data.consensus_majority_percent !== undefined) {
+      var percent = Number(data.consensus_majority_percent);
+      if (!(Math.floor(percent) === percent && percent > 0 && percent <= 100)) {
+        return 'consensus_majority_percent must be a whole number from 1 to 100';
+      }
+      target.consensus_majority_percent = percent;
+    }
+
+    if (data.consensus_spread !== undefined) {
+      var spread = Number(data.consensus_spread);
+      if (!(isFinite(spread) && spread >= 0)) {
+        return 'consensus_spread must be a number of 0 or more';
+      }
+      target.consensus_spread = spread;
+    }
+
+    return null;
+  },
+
+  /**
+   * Time limits are whole, non-negative seconds; empty means no limit
+   * @private
+   * @returns {number|null} Seconds, or null when invalid
+   */
+  _parseTimeLimit: function(value) {
+    if (value === null || value === '') {
+      return 0;
+    }
+
+    var seconds = Number(value);
+    return isFinite(seconds) && seconds >= 0 && Math.floor(seconds) === seconds ? seconds : null;
+  },
+
+  /**
+   * Current date/time in internal format for glide_date_time fields
+   * @private
+   */
+  _now: function() {
+    return new GlideDateTime().getValue();
+  },
+
+  /**
+   * Build a failed result object and log the reason
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      sysId: null,
+      error: message
+    };
+  },
+
+  type: 'SessionManagementFluent'
+};
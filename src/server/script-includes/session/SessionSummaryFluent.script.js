@@ -0,0 +1,162 @@
+/* global Class, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * SessionSummaryFluent - Maintains the read-only summary counters
+ *
+ * Keeps session_stories.vote_count and planning_session.total_votes,
+ * total_stories, stories_completed and stories_skipped in sync with the
+ * underlying rows. Counters are recounted rather than incremented so they
+ * stay correct when votes are superseded by a re-vote (is_current=false)
+ * or records are deleted. Called from the summary business rules and
+ * usable directly to repair a session whose counters have drifted.
+ *
+ * @class SessionSummaryFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var SessionSummaryFluent = Class.create();
+
+SessionSummaryFluent.prototype = {
+
+  /**
+   * Initialize the SessionSummaryFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[SessionSummaryFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Recount a story's current votes into vote_count
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  updateStoryVoteCount: function(storyId) {
+    if (!storyId) {
+      return { success: false, error: 'Missing storyId' };
+    }
+
+    return this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      vote_count: this.helper.count(this.TABLES.VOTE, { session_story: storyId, is_current: true })
+    });
+  },
+
+  /**
+   * Recount a session's current votes into total_votes
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  updateSessionVoteCount: function(sessionId) {
+    if (!sessionId) {
+      return { success: false, error: 'Missing sessionId' };
+    }
+
+    return this.helper.updateSafe(this.TABLES.SESSION, sessionId, {
+      total_votes: this.helper.count(this.TABLES.VOTE, { session: sessionId, is_current: true })
+    });
+  },
+
+  /**
+   * Recount a session's total, completed and skipped stories
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  updateSessionStoryCounts: function(sessionId) {
+    if (!sessionId) {
+      return { success: false, error: 'Missing sessionId' };
+    }
+
+    return this.helper.updateSafe(this.TABLES.SESSION, sessionId, this._storyCounts(sessionId));
+  },
+
+  /**
+   * Recalculate every summary counter for a session and its stories from scratch
+   *
+   * times_revoted is raised to MAX(vote_sequence) - 1 when the vote history
+   * shows more rounds than recorded; it is never lowered, because a re-vote
+   * with no votes cast yet leaves no trace in planning_vote. Rounds abandoned
+   * by undoLastRevote (undone_at set) do not count.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Object} Result {success: boolean, storiesRepaired: number, counts: Object|null, errors: Array<string>}
+   *
+   * @example
+   * // Background script: fix a session whose counters have drifted
+   * var result = new SessionSummaryFluent().repairSession(sessionId);
+   * gs.info(JSON.stringify(result));
+   */
+  repairSession: function(sessionId) {
+    var errors = [];
+    var storiesRepaired = 0;
+
+    if (!this.helper.getSafe(this.TABLES.SESSION, sessionId, ['sys_id'])) {
+      return {
+        success: false,
+        storiesRepaired: 0,
+        counts: null,
+        errors: ['Session not found: ' + sessionId]
+      };
+    }
+
+    var stories = this.helper.query(this.TABLES.STORY, { session: sessionId }, ['sys_id', 'times_revoted']);
+
+    for (var i = 0; i < stories.length; i++) {
+      var story = stories[i];
+      var latestVote = new GlideQuery(this.TABLES.VOTE)
+        .where('session_story', story.sys_id)
+        .whereNull('undone_at')
+        .orderByDesc('vote_sequence')
+        .selectOne('vote_sequence')
+        .orElse(null);
+      var maxSequence = latestVote ? parseInt(latestVote.vote_sequence, 10) || 0 : 0;
+
+      var result = this.helper.updateSafe(this.TABLES.STORY, story.sys_id, {
+        vote_count: this.helper.count(this.TABLES.VOTE, { session_story: story.sys_id, is_current: true }),
+        times_revoted: Math.max(parseInt(story.times_revoted, 10) || 0, maxSequence - 1)
+      });
+
+      if (result.success) {
+        storiesRepaired++;
+      } else {
+        errors.push('Story ' + story.sys_id + ': ' + result.error);
+      }
+    }
+
+    var counts = this._storyCounts(sessionId);
+    counts.total_votes = this.helper.count(this.TABLES.VOTE, { session: sessionId, is_current: true });
+
+    var sessionResult = this.helper.updateSafe(this.TABLES.SESSION, sessionId, counts);
+    if (!sessionResult.success) {
+      errors.push('Session ' + sessionId + ': ' + sessionResult.error);
+    }
+
+    if (errors.length > 0) {
+      gs.warn(this.LOG_PREFIX + ' repairSession finished with errors: ' + errors.join('; '));
+    }
+
+    return {
+      success: errors.length === 0,
+      storiesRepaired: storiesRepaired,
+      counts: counts,
+      errors: errors
+    };
+  },
+
+  /**
+   * @private
+   */
+  _storyCounts: function(sessionId) {
+    return {
+      total_stories: this.helper.count(this.TABLES.STORY, { session: sessionId }),
+      stories_completed: this.helper.count(this.TABLES.STORY, { session: sessionId, status: this.STORY_STATUS.COMPLETED }),
+      stories_skipped: this.helper.count(this.TABLES.STORY, { session: sessionId, status: this.STORY_STATUS.SKIPPED })
+    };
+  },
+
+  type: 'SessionSummaryFluent'
+};
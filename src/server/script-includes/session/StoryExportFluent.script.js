@@ -0,0 +1,158 @@
+/* global Class, GlideDateTime, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * StoryExportFluent - CSV and JSON export of a completed session's stories
+ *
+ * Writes the stories in session order with their estimation results
+ * (final_score, average_score, min_score, max_score, consensus_reached,
+ * times_revoted). The title, external_key, description,
+ * acceptance_criteria and time_limit columns use the field names
+ * StoryImportFluent reads, so an export can be imported into another
+ * session as is.
+ *
+ * @class StoryExportFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var StoryExportFluent = Class.create();
+
+StoryExportFluent.COLUMNS = [
+  'order', 'title', 'external_key', 'description', 'acceptance_criteria', 'time_limit', 'status', 'final_score',
+  'average_score', 'min_score', 'max_score', 'consensus_reached', 'times_revoted'
+];
+
+StoryExportFluent.CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json'
+};
+
+StoryExportFluent.prototype = {
+
+  /**
+   * Initialize the StoryExportFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[StoryExportFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Export a completed session's stories
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} [format] - 'csv' (default) or 'json'
+   * @returns {Object} Result {success: boolean, content: string|null, contentType: string|null, filename: string|null, error: string|null}
+   *
+   * @example
+   * var file = new StoryExportFluent().exportStories(sessionId, 'csv');
+   * if (file.success) {
+   *   gs.info(file.filename + ':\n' + file.content);
+   * }
+   */
+  exportStories: function(sessionId, format) {
+    format = format || 'csv';
+    if (!StoryExportFluent.CONTENT_TYPES.hasOwnProperty(format)) {
+      return this._failure('Unsupported export format: ' + format + ' (csv or json)');
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['sys_id', 'name', 'status']);
+    if (!session) {
+      return this._failure('Session not found: ' + sessionId);
+    }
+
+    if (session.status !== PlanningPokerConstants.SESSION_STATUS.COMPLETED) {
+      return this._failure('Only completed sessions can be exported (status: ' + session.status + ')');
+    }
+
+    var stories = this.helper.queryOrdered(this.TABLES.STORY, { session: sessionId }, StoryExportFluent.COLUMNS, 'order');
+
+    var content = format === 'json' ?
+      JSON.stringify({
+        session: { sys_id: session.sys_id, name: session.name },
+        exported_at: new GlideDateTime().getValue(),
+        stories: stories.map(this._pickColumns)
+      }, null, 2) :
+      this._toCsv(stories);
+
+    return {
+      success: true,
+      content: content,
+      contentType: StoryExportFluent.CONTENT_TYPES[format],
+      filename: this._fileName(session.name) + '.' + format,
+      error: null
+    };
+  },
+
+  /**
+   * Export columns of a story, in COLUMNS order
+   * @private
+   */
+  _pickColumns: function(story) {
+    var row = {};
+    StoryExportFluent.COLUMNS.forEach(function(column) {
+      row[column] = story[column] === undefined ? null : story[column];
+    });
+    return row;
+  },
+
+  /**
+   * @private
+   */
+  _toCsv: function(stories) {
+    var lines = [StoryExportFluent.COLUMNS.join(',')];
+
+    stories.forEach(function(story) {
+      lines.push(StoryExportFluent.COLUMNS.map(function(column) {
+        return this._csvValue(story[column]);
+      }, this).join(','));
+    }, this);
+
+    return lines.join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Quote a CSV value when needed. Text starting with =, +, -, @, a tab or
+   * a carriage return is prefixed with ' so spreadsheets do not run it as a formula; text that
+   * already starts with ' before one of them gets another ', as
+   * StoryImportFluent strips exactly one.
+   * @private
+   */
+  _csvValue: function(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    var text = String(value);
+    if (typeof value === 'string' && /^'*[=+\-@\t\r]/.test(text) && isNaN(text)) {
+      text = '\'' + text;
+    }
+
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  },
+
+  /**
+   * File name from the session name, e.g. 'Sprint 42 / Web' → 'sprint-42-web'
+   * @private
+   */
+  _fileName: function(name) {
+    var slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'planning-session';
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      content: null,
+      contentType: null,
+      filename: null,
+      error: message
+    };
+  },
+
+  type: 'StoryExportFluent'
+};
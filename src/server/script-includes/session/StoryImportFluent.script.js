@@ -0,0 +1,599 @@
+/* global Class, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants, SessionManagementFluent, StorySyncFluent */
+
+/**
+ * StoryImportFluent - Bulk import of backlog stories into a session
+ *
+ * Selects rm_story records (Agile Development 2.0) by sprint, epic, product
+ * and/or an encoded query, issues from an external tool through a
+ * StorySyncFluent adapter (Jira, Azure DevOps), or rows of a pasted CSV or
+ * JSON file, and appends them to a session as session_stories in one
+ * FluentQueryHelper.batchInsert, copying title, description and
+ * acceptance_criteria. Source order is kept: stories are appended after the
+ * session's last story (rm_story by order, then number; files in row
+ * order). Backlog and external stories already in the session are skipped;
+ * file rows that fail validation or repeat an earlier row are reported and
+ * left out.
+ *
+ * @class StoryImportFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var StoryImportFluent = Class.create();
+
+StoryImportFluent.BACKLOG_TABLE = 'rm_story';
+StoryImportFluent.MAX_STORIES = 500;
+
+/**
+ * session_stories fields a CSV or JSON file can set, with their maximum
+ * length (0 = whole number of seconds)
+ * @type {Object<string, number>}
+ */
+StoryImportFluent.FILE_FIELDS = {
+  title: 255,
+  external_key: 100,
+  description: 4000,
+  acceptance_criteria: 4000,
+  time_limit: 0
+};
+
+StoryImportFluent.prototype = {
+
+  /**
+   * Initialize the StoryImportFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[StoryImportFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+    this.sessions = new SessionManagementFluent();
+  },
+
+  /**
+   * Import backlog stories into a session
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {Object} criteria - At least one selector is required
+   * @param {string} [criteria.sprint] - rm_sprint sys_id
+   * @param {string} [criteria.epic] - rm_epic sys_id
+   * @param {string} [criteria.product] - cmdb_application_product_model sys_id
+   * @param {string} [criteria.query] - Encoded query over rm_story
+   * @param {number} [criteria.limit] - Maximum stories to import (default and cap 500)
+   * @returns {Object} Result {success: boolean, imported: number, skipped: number, errors: Array<Object>, error: string|null}
+   *   errors lists failed rows as {story: rm_story sys_id, number, error}
+   *
+   * @example
+   * var result = new StoryImportFluent().importFromBacklog(sessionId, { sprint: sprintId });
+   * gs.info('Imported ' + result.imported + ', skipped ' + result.skipped);
+   * result.errors.forEach(function(row) {
+   *   gs.warn(row.number + ': ' + row.error);
+   * });
+   */
+  importFromBacklog: function(sessionId, criteria) {
+    criteria = criteria || {};
+
+    if (!criteria.sprint && !criteria.epic && !criteria.product && !criteria.query) {
+      return this._failure('A sprint, epic, product or encoded query is required');
+    }
+
+    var sessionError = this._checkSession(sessionId);
+    if (sessionError) {
+      return this._failure(sessionError);
+    }
+
+    var backlog = this._findBacklogStories(criteria);
+    if (backlog === null) {
+      return this._failure('Could not query ' + StoryImportFluent.BACKLOG_TABLE + '; check the encoded query');
+    }
+
+    var existing = this.helper.query(this.TABLES.STORY, { session: sessionId }, ['story']).map(function(story) {
+      return story.story;
+    });
+
+    var toImport = backlog.filter(function(story) {
+      return existing.indexOf(story.sys_id) === -1;
+    });
+
+    return this._appendStories(sessionId, toImport.map(function(story) {
+      return {
+        row: { story: story.sys_id, number: story.number },
+        fields: {
+          story: story.sys_id,
+          title: story.short_description || story.number,
+          description: story.description || '',
+          acceptance_criteria: story.acceptance_criteria || ''
+        }
+      };
+    }), backlog.length - toImport.length);
+  },
+
+  /**
+   * Import issues from an external Agile tool through its StorySyncFluent
+   * adapter. Issues whose external_key is already in the session are skipped.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} source - Adapter source key, e.g. 'jira' or 'azure_devops'
+   * @param {string} query - Query in the tool's language (JQL, WIQL)
+   * @param {number} [limit] - Maximum issues to import (default and cap 500)
+   * @returns {Object} Result {success: boolean, imported: number, skipped: number, errors: Array<Object>, error: string|null}
+   *   errors lists failed rows as {external_key, error}
+   *
+   * @example
+   * var result = new StoryImportFluent().importFromExternal(sessionId, 'jira', 'sprint = 42 ORDER BY rank');
+   */
+  importFromExternal: function(sessionId, source, query, limit) {
+    if (!query) {
+      return this._failure('A query is required');
+    }
+
+    var sessionError = this._checkSession(sessionId);
+    if (sessionError) {
+      return this._failure(sessionError);
+    }
+
+    var adapter = new StorySyncFluent().getAdapter(source);
+    if (!adapter) {
+      return this._failure('No story sync adapter for source: ' + source);
+    }
+    if (!adapter.isConfigured()) {
+      return this._failure(source + ' is not configured (set ' + PlanningPokerConstants.SCOPE + '.' + source + '.base_url)');
+    }
+
+    var issues;
+    try {
+      issues = adapter.fetchStories(query, Math.min(parseInt(limit, 10) || StoryImportFluent.MAX_STORIES, StoryImportFluent.MAX_STORIES));
+    } catch (error) {
+      return this._failure('Could not fetch stories from ' + source + ': ' + error.message);
+    }
+
+    var existing = this.helper.query(
+      this.TABLES.STORY,
+      { session: sessionId, external_source: source },
+      ['external_key']
+    ).map(function(story) {
+      return story.external_key;
+    });
+
+    var toImport = issues.filter(function(issue) {
+      return existing.indexOf(issue.external_key) === -1;
+    });
+
+    return this._appendStories(sessionId, toImport.map(function(issue) {
+      return {
+        row: { external_key: issue.external_key },
+        fields: {
+          external_source: source,
+          external_key: issue.external_key,
+          external_url: issue.url || '',
+          title: issue.title,
+          description: issue.description || '',
+          acceptance_criteria: issue.acceptance_criteria || ''
+        }
+      };
+    }), issues.length - toImport.length);
+  },
+
+  /**
+   * Import stories from CSV text. The first row names the columns; by
+   * default a column maps to the session_stories field of the same name
+   * (case-insensitive), and mapping renames the source columns.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} csv - CSV text (comma separated, RFC 4180 quoting)
+   * @param {Object} [mapping] - Field to column name, e.g. {title: 'Summary'}
+   * @returns {Object} Result {success: boolean, imported: number, skipped: number, errors: Array<Object>, error: string|null}
+   *   errors lists failed rows as {row, error}; row 1 is the first row after the header
+   *
+   * @example
+   * var result = new StoryImportFluent().importFromCsv(sessionId,
+   *   'Summary,Details\nLogin page,"SSO, then MFA"', { title: 'Summary', description: 'Details' });
+   */
+  importFromCsv: function(sessionId, csv, mapping) {
+    var rows;
+    try {
+      rows = this._parseCsv(csv || '');
+    } catch (error) {
+      return this._failure('Invalid CSV: ' + error.message);
+    }
+
+    if (rows.length === 0) {
+      return this._failure('The CSV has no header row');
+    }
+
+    var header = rows[0].map(function(column) {
+      return column.trim();
+    });
+    var records = rows.slice(1).map(function(values) {
+      var record = {};
+      header.forEach(function(column, index) {
+        record[column] = values[index] === undefined ? '' : this._unguardCsvValue(values[index]);
+      }, this);
+      return record;
+    }, this);
+
+    return this._importFileRecords(sessionId, records, mapping, header);
+  },
+
+  /**
+   * Import stories from JSON: an array of objects, or {stories: [...]} as
+   * written by StoryExportFluent. Keys map to fields like CSV columns.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string|Array|Object} json - JSON text or the parsed value
+   * @param {Object} [mapping] - Field to key name, e.g. {title: 'summary'}
+   * @returns {Object} Result {success: boolean, imported: number, skipped: number, errors: Array<Object>, error: string|null}
+   *   errors lists failed rows as {row, error}; row 1 is the first element
+   */
+  importFromJson: function(sessionId, json, mapping) {
+    var data = json;
+    if (typeof json === 'string') {
+      try {
+        data = JSON.parse(json);
+      } catch (error) {
+        return this._failure('Invalid JSON: ' + error.message);
+      }
+    }
+
+    var records = Array.isArray(data) ? data : data && data.stories;
+    if (!Array.isArray(records)) {
+      return this._failure('JSON must be an array of stories or an object with a stories array');
+    }
+
+    return this._importFileRecords(sessionId, records, mapping, null);
+  },
+
+  /**
+   * Error message when stories cannot be added to the session, else null
+   * @private
+   */
+  _checkSession: function(sessionId) {
+    var session = this.sessions.getSession(sessionId, ['status']);
+    if (!session) {
+      return 'Session not found: ' + sessionId;
+    }
+
+    var STATUS = PlanningPokerConstants.SESSION_STATUS;
+    if (session.status === STATUS.COMPLETED || session.status === STATUS.CANCELLED) {
+      return 'Stories cannot be added to a ' + session.status + ' session';
+    }
+
+    return null;
+  },
+
+  /**
+   * Append pending stories after the session's last story in one
+   * batchInsert. Each entry is {row: identifies the source row in errors,
+   * fields: session_stories values}.
+   * @private
+   */
+  _appendStories: function(sessionId, entries, skipped) {
+    var order = this.sessions.getNextStoryOrder(sessionId);
+    var records = entries.map(function(entry, index) {
+      var record = {
+        session: sessionId,
+        order: order + index,
+        status: PlanningPokerConstants.STORY_STATUS.PENDING
+      };
+      Object.keys(entry.fields).forEach(function(field) {
+        record[field] = entry.fields[field];
+      });
+      return record;
+    });
+
+    var inserted = records.length > 0 ? this.helper.batchInsert(this.TABLES.STORY, records) : { inserted: 0, errors: [] };
+    var errors = this._rowErrors(inserted.errors, entries);
+
+    if (errors.length > 0) {
+      gs.warn(this.LOG_PREFIX + ' ' + errors.length + ' of ' + records.length + ' stories failed to import into session ' + sessionId);
+    }
+
+    return {
+      success: errors.length === 0,
+      imported: inserted.inserted,
+      skipped: skipped,
+      errors: errors,
+      error: errors.length > 0 ? errors.length + ' stories could not be imported' : null
+    };
+  },
+
+  /**
+   * Validate and map file records, then append the valid ones. header is
+   * the CSV header, used to report mapped columns that do not exist; null
+   * for JSON, where keys are checked per row.
+   * @private
+   */
+  _importFileRecords: function(sessionId, records, mapping, header) {
+    var sessionError = this._checkSession(sessionId);
+    if (sessionError) {
+      return this._failure(sessionError);
+    }
+
+    mapping = mapping || {};
+    var unknown = Object.keys(mapping).filter(function(field) {
+      return !StoryImportFluent.FILE_FIELDS.hasOwnProperty(field);
+    });
+    if (unknown.length > 0) {
+      return this._failure('Unknown field in column mapping: ' + unknown.join(', '));
+    }
+
+    if (header) {
+      var missing = Object.keys(mapping).filter(function(field) {
+        return this._findColumn(header, mapping[field]) === null;
+      }, this);
+      if (missing.length > 0) {
+        return this._failure('Mapped column not found: ' + missing.map(function(field) {
+          return mapping[field];
+        }).join(', '));
+      }
+      if (this._findColumn(header, mapping.title || 'title') === null) {
+        return this._failure('No title column; map one with {title: \'<column>\'}');
+      }
+    }
+
+    var entries = [];
+    var errors = [];
+    var seen = {};
+
+    records.forEach(function(record, index) {
+      var row = index + 1;
+      if (header && this._isBlank(record)) {
+        return;
+      }
+
+      var mapped = this._mapRecord(record, mapping);
+      if (mapped.error) {
+        errors.push({ row: row, error: mapped.error });
+        return;
+      }
+
+      var duplicate = this._duplicateOf(mapped.fields, row, seen);
+      if (duplicate) {
+        errors.push({ row: row, error: duplicate });
+        return;
+      }
+
+      entries.push({ row: { row: row }, fields: mapped.fields });
+    }, this);
+
+    if (entries.length + errors.length > StoryImportFluent.MAX_STORIES) {
+      return this._failure('At most ' + StoryImportFluent.MAX_STORIES + ' stories can be imported at once');
+    }
+
+    if (errors.length > 0) {
+      gs.warn(this.LOG_PREFIX + ' ' + errors.length + ' rows failed validation for session ' + sessionId);
+    }
+
+    var result = this._appendStories(sessionId, entries, 0);
+    errors = errors.concat(result.errors).sort(function(a, b) {
+      return a.row - b.row;
+    });
+
+    return {
+      success: errors.length === 0,
+      imported: result.imported,
+      skipped: 0,
+      errors: errors,
+      error: errors.length > 0 ? errors.length + ' stories could not be imported' : null
+    };
+  },
+
+  /**
+   * Map one file record to session_stories fields and validate it
+   * @private
+   */
+  _mapRecord: function(record, mapping) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return { error: 'Row is not an object' };
+    }
+
+    var keys = Object.keys(record);
+    var fields = {};
+    var problems = [];
+
+    Object.keys(StoryImportFluent.FILE_FIELDS).forEach(function(field) {
+      var key = this._findColumn(keys, mapping[field] || field);
+      var value = key === null || record[key] === null || record[key] === undefined ? '' : String(record[key]).trim();
+      var maxLength = StoryImportFluent.FILE_FIELDS[field];
+
+      if (value === '') {
+        return;
+      }
+
+      if (maxLength === 0) {
+        if (!/^\d+$/.test(value)) {
+          problems.push(field + ' must be a whole number of seconds');
+          return;
+        }
+        fields[field] = parseInt(value, 10);
+        return;
+      }
+
+      if (value.length > maxLength) {
+        problems.push(field + ' is longer than ' + maxLength + ' characters');
+        return;
+      }
+      fields[field] = value;
+    }, this);
+
+    if (!fields.title && problems.length === 0) {
+      problems.push('title is required');
+    }
+
+    return problems.length > 0 ? { error: problems.join('; ') } : { fields: fields };
+  },
+
+  /**
+   * Error message when a file row repeats an earlier one, else null. Rows
+   * with an external_key are matched on it, other rows on the title
+   * (case-insensitive). seen collects the rows checked so far.
+   * @private
+   */
+  _duplicateOf: function(fields, row, seen) {
+    var field = fields.external_key ? 'external_key' : 'title';
+    var key = field + ':' + fields[field].toLowerCase();
+
+    if (seen.hasOwnProperty(key)) {
+      return 'Duplicate ' + field + ' \'' + fields[field] + '\' (same as row ' + seen[key] + ')';
+    }
+
+    seen[key] = row;
+    return null;
+  },
+
+  /**
+   * Drop the ' that StoryExportFluent puts before CSV text starting with
+   * =, +, -, @, a tab or a carriage return so spreadsheets do not run it as
+   * a formula
+   * @private
+   */
+  _unguardCsvValue: function(value) {
+    return /^'+[=+\-@\t\r]/.test(value) ? value.substring(1) : value;
+  },
+
+  /**
+   * Case-insensitive column lookup; the matching name, or null
+   * @private
+   */
+  _findColumn: function(columns, name) {
+    var wanted = String(name).trim().toLowerCase();
+    for (var i = 0; i < columns.length; i++) {
+      if (String(columns[i]).trim().toLowerCase() === wanted) {
+        return columns[i];
+      }
+    }
+    return null;
+  },
+
+  /**
+   * True when every value of a CSV record is empty (e.g. a trailing blank line)
+   * @private
+   */
+  _isBlank: function(record) {
+    return Object.keys(record).every(function(key) {
+      return String(record[key]).trim() === '';
+    });
+  },
+
+  /**
+   * Split CSV text into rows of values. Handles quoted values with commas,
+   * doubled quotes and line breaks, CRLF line endings and a leading BOM.
+   * @private
+   */
+  _parseCsv: function(text) {
+    var rows = [];
+    var row = [];
+    var value = '';
+    var quoted = false;
+    var i = text.charAt(0) === '\uFEFF' ? 1 : 0;
+
+    for (; i < text.length; i++) {
+      var ch = text.charAt(i);
+
+      if (quoted) {
+        if (ch === '"' && text.charAt(i + 1) === '"') {
+          value += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          value += ch;
+        }
+      } else if (ch === '"' && value === '') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(value);
+        value = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text.charAt(i + 1) === '\n') {
+          i++;
+        }
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += ch;
+      }
+    }
+
+    if (quoted) {
+      throw new Error('unterminated quoted value');
+    }
+
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  },
+
+  /**
+   * rm_story records matching the criteria in backlog order, or null when
+   * the query fails (e.g. an invalid encoded query)
+   * @private
+   */
+  _findBacklogStories: function(criteria) {
+    var limit = Math.min(parseInt(criteria.limit, 10) || StoryImportFluent.MAX_STORIES, StoryImportFluent.MAX_STORIES);
+    var stories = [];
+
+    try {
+      var query = criteria.query ?
+        GlideQuery.parse(StoryImportFluent.BACKLOG_TABLE, criteria.query) :
+        new GlideQuery(StoryImportFluent.BACKLOG_TABLE);
+
+      ['sprint', 'epic', 'product'].forEach(function(field) {
+        if (criteria[field]) {
+          query = query.where(field, criteria[field]);
+        }
+      });
+
+      query
+        .orderBy('order')
+        .orderBy('number')
+        .limit(limit)
+        .select('number', 'short_description', 'description', 'acceptance_criteria')
+        .forEach(function(story) {
+          stories.push(story);
+        });
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Error querying backlog stories: ' + error.message);
+      return null;
+    }
+
+    return stories;
+  },
+
+  /**
+   * Map batchInsert's 'Record <index>: <error>' messages back to the source rows
+   * @private
+   */
+  _rowErrors: function(messages, entries) {
+    return (messages || []).map(function(message) {
+      var match = /^Record (\d+): (.*)$/.exec(message);
+      var entry = match ? entries[parseInt(match[1], 10)] : null;
+      var row = {};
+
+      Object.keys(entry ? entry.row : {}).forEach(function(key) {
+        row[key] = entry.row[key];
+      });
+      row.error = match ? match[2] : message;
+      return row;
+    });
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      imported: 0,
+      skipped: 0,
+      errors: [],
+      error: message
+    };
+  },
+
+  type: 'StoryImportFluent'
+};
@@ -0,0 +1,252 @@
+/* global Class, GlideDateTime, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * StoryPointsWritebackFluent - Copy agreed estimates back to rm_story
+ *
+ * When a session story linked to rm_story is completed, its final_score is
+ * written to rm_story.story_points: the scoring value's story_points
+ * mapping when set (e.g. T-shirt M = 5), otherwise its numeric_value for
+ * numeric methods. rm_story.story_points is an integer field, so fractional
+ * points (e.g. the 0.5 card) are skipped rather than silently rounded; map
+ * such cards to whole points with scoring_value.story_points. Every attempt
+ * is audited in story_points_writeback with the previous and new points, so
+ * an applied write-back can be reverted as long as nobody has changed the
+ * story points since.
+ *
+ * Writing rm_story needs a cross-scope privilege for the app.
+ *
+ * @class StoryPointsWritebackFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var StoryPointsWritebackFluent = Class.create();
+
+StoryPointsWritebackFluent.BACKLOG_TABLE = 'rm_story';
+
+StoryPointsWritebackFluent.FIELDS = [
+  'sys_id', 'session', 'session_story', 'story', 'story$DISPLAY', 'final_score', 'previous_points', 'new_points',
+  'status', 'message', 'written_by', 'written_by$DISPLAY', 'reverted_by', 'reverted_at', 'sys_created_on'
+];
+
+StoryPointsWritebackFluent.prototype = {
+
+  /**
+   * Initialize the StoryPointsWritebackFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[StoryPointsWritebackFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STATUS = PlanningPokerConstants.WRITEBACK_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Write a completed story's final_score to its rm_story. Stories without
+   * an rm_story are ignored; a final_score with no points mapping, or one
+   * that maps to fractional points, is audited as skipped.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, sysId: string|null, status: string|null, error: string|null}
+   *   sysId is the story_points_writeback record
+   *
+   * @example
+   * var result = new StoryPointsWritebackFluent().writeBack(storyId);
+   * if (result.status === 'skipped') {
+   *   gs.info('No story points mapping for the final score');
+   * }
+   */
+  writeBack: function(storyId) {
+    var story = this.helper.getSafe(this.TABLES.STORY, storyId, ['sys_id', 'session', 'story', 'status', 'final_score']);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== PlanningPokerConstants.STORY_STATUS.COMPLETED || !story.final_score) {
+      return this._failure('Only completed stories with a final score can be written back');
+    }
+
+    if (!story.story) {
+      return { success: true, sysId: null, status: null, error: null };
+    }
+
+    var audit = {
+      session: story.session,
+      session_story: storyId,
+      story: story.story,
+      final_score: story.final_score,
+      written_by: gs.getUserID()
+    };
+
+    var points = this.getStoryPoints(story.session, story.final_score);
+    if (points === null) {
+      return this._audit(audit, this.STATUS.SKIPPED, 'No story points mapping for final score ' + story.final_score);
+    }
+
+    if (Math.floor(points) !== points) {
+      return this._audit(audit, this.STATUS.SKIPPED, 'Final score ' + story.final_score + ' maps to ' + points +
+        ' story points, but rm_story.story_points only holds whole numbers');
+    }
+
+    var backlogStory = this.helper.getSafe(StoryPointsWritebackFluent.BACKLOG_TABLE, story.story, ['story_points']);
+    if (!backlogStory) {
+      return this._audit(audit, this.STATUS.FAILED, 'Backlog story not found: ' + story.story);
+    }
+
+    audit.previous_points = this._toPoints(backlogStory.story_points);
+    audit.new_points = points;
+
+    var result = this.helper.updateSafe(StoryPointsWritebackFluent.BACKLOG_TABLE, story.story, { story_points: points });
+    if (!result.success) {
+      return this._audit(audit, this.STATUS.FAILED, result.error);
+    }
+
+    return this._audit(audit, this.STATUS.APPLIED, '');
+  },
+
+  /**
+   * Restore the story points an applied write-back replaced. Refused when
+   * rm_story.story_points no longer holds the written value.
+   *
+   * @param {string} writebackId - story_points_writeback sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   *
+   * @example
+   * var result = new StoryPointsWritebackFluent().revert(writebackId);
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  revert: function(writebackId) {
+    var writeback = this.helper.getSafe(this.TABLES.WRITEBACK, writebackId, ['story', 'status', 'previous_points', 'new_points']);
+    if (!writeback) {
+      return this._failure('Write-back not found: ' + writebackId);
+    }
+
+    if (writeback.status !== this.STATUS.APPLIED) {
+      return this._failure('Only applied write-backs can be reverted (status: ' + writeback.status + ')');
+    }
+
+    var backlogStory = this.helper.getSafe(StoryPointsWritebackFluent.BACKLOG_TABLE, writeback.story, ['story_points']);
+    if (!backlogStory) {
+      return this._failure('Backlog story not found: ' + writeback.story);
+    }
+
+    if (this._toPoints(backlogStory.story_points) !== this._toPoints(writeback.new_points)) {
+      return this._failure('Story points were changed after the write-back (now ' + backlogStory.story_points + '); not reverted');
+    }
+
+    var previous = this._toPoints(writeback.previous_points);
+    var result = this.helper.updateSafe(StoryPointsWritebackFluent.BACKLOG_TABLE, writeback.story, {
+      story_points: previous === null ? '' : previous
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    return this.helper.updateSafe(this.TABLES.WRITEBACK, writebackId, {
+      status: this.STATUS.REVERTED,
+      reverted_by: gs.getUserID(),
+      reverted_at: new GlideDateTime().getValue()
+    });
+  },
+
+  /**
+   * Write-back audit records for a session story, newest first
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Array<Object>} story_points_writeback records
+   */
+  getWritebacks: function(storyId) {
+    return this.helper.queryOrdered(
+      this.TABLES.WRITEBACK,
+      { session_story: storyId },
+      StoryPointsWritebackFluent.FIELDS,
+      'sys_created_on',
+      true
+    );
+  },
+
+  /**
+   * Story points for a final score in the session's scoring method: the
+   * scoring value's story_points, else numeric_value for numeric methods
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} finalScore - Agreed estimate
+   * @returns {number|null} Story points, or null when the value has no mapping
+   */
+  getStoryPoints: function(sessionId, finalScore) {
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['scoring_method']);
+    var method = session ? this.helper.getSafe(this.TABLES.SCORING_METHOD, session.scoring_method, ['is_numeric']) : null;
+    if (!method) {
+      return null;
+    }
+
+    var values = this.helper.query(
+      this.TABLES.SCORING_VALUE,
+      { scoring_method: session.scoring_method, value: finalScore },
+      ['story_points', 'numeric_value', 'is_special']
+    );
+    if (values.length === 0 || values[0].is_special) {
+      return null;
+    }
+
+    var mapped = this._toPoints(values[0].story_points);
+    if (mapped !== null) {
+      return mapped;
+    }
+
+    return method.is_numeric ? this._toPoints(values[0].numeric_value) : null;
+  },
+
+  /**
+   * Insert the audit record for a write-back attempt
+   * @private
+   */
+  _audit: function(audit, status, message) {
+    audit.status = status;
+    audit.message = message;
+
+    var result = this.helper.insertSafe(this.TABLES.WRITEBACK, audit);
+    if (!result.success) {
+      gs.error(this.LOG_PREFIX + ' Could not audit write-back for story ' + audit.session_story + ': ' + result.error);
+    }
+    if (status === this.STATUS.FAILED) {
+      gs.warn(this.LOG_PREFIX + ' Write-back failed for story ' + audit.session_story + ': ' + message);
+    }
+
+    return {
+      success: status !== this.STATUS.FAILED,
+      sysId: result.sysId,
+      status: status,
+      error: status === this.STATUS.FAILED ? message : null
+    };
+  },
+
+  /**
+   * Parse a decimal field value, null when empty
+   * @private
+   */
+  _toPoints: function(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    var points = parseFloat(value);
+    return isNaN(points) ? null : points;
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      sysId: null,
+      status: null,
+      error: message
+    };
+  },
+
+  type: 'StoryPointsWritebackFluent'
+};
@@ -0,0 +1,344 @@
+/* global Class, GlideAggregate, GlideDateTime, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants, StatisticsCalculatorFluent */
+
+/**
+ * DashboardStatisticsFluent - Roll-up statistics across planning sessions
+ *
+ * Aggregates planning_session and session_stories for the statistics
+ * dashboard: stories estimated per session, consensus rate, average number
+ * of re-votes, how often dealers overrode the suggested score, final_score
+ * distribution per scoring method and average time per story. Story counts
+ * and sums are computed server-side with GlideAggregate; session rows come
+ * from one GlideQuery with every filter applied before the limit. Time per
+ * story runs from the opening of a completed story's voting round
+ * (voting_started_at) to its completed_at, so breaks between stories are
+ * not counted.
+ *
+ * @class DashboardStatisticsFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var DashboardStatisticsFluent = Class.create();
+
+DashboardStatisticsFluent.DEFAULT_LIMIT = 100;
+
+DashboardStatisticsFluent.prototype = {
+
+  /**
+   * Initialize the DashboardStatisticsFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[DashboardStatisticsFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Build the dashboard for the sessions matching the filters
+   *
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.dealer] - Dealer sys_user sys_id
+   * @param {string} [filters.group] - Voter group (team) sys_user_group sys_id
+   * @param {string} [filters.scoring_method] - Scoring method sys_id
+   * @param {string} [filters.since] - Only sessions started on or after this date-time (yyyy-MM-dd HH:mm:ss)
+   * @param {number} [filters.limit] - Most recent sessions to include (default 100)
+   * @returns {Object} {totals: Object, sessions: Array<Object>, score_distribution: Array<Object>}
+   *
+   * @example
+   * var dashboard = new DashboardStatisticsFluent().getDashboardStats({ group: teamGroupId });
+   * gs.info('Consensus rate: ' + dashboard.totals.consensus_rate + '%');
+   */
+  getDashboardStats: function(filters) {
+    var sessions = this._getSessions(filters || {});
+    var sessionIds = sessions.map(function(session) {
+      return session.sys_id;
+    });
+
+    var storyCounts = this._getStoryCounts(sessionIds);
+    var overrideCounts = this._getOverrideCounts(sessionIds);
+    var storyTimes = this._getStoryTimes(sessionIds);
+
+    var totals = { sessions: sessions.length, estimated: 0, skipped: 0, consensus: 0, revotes: 0, durationMs: 0, timedStories: 0, suggested: 0, overridden: 0 };
+
+    var rows = sessions.map(function(session) {
+      var counts = storyCounts[session.sys_id] || { estimated: 0, skipped: 0, consensus: 0, revotes: 0 };
+      var overrides = overrideCounts[session.sys_id] || { suggested: 0, overridden: 0 };
+      var timing = storyTimes[session.sys_id] || { durationMs: 0, stories: 0 };
+
+      totals.estimated += counts.estimated;
+      totals.skipped += counts.skipped;
+      totals.consensus += counts.consensus;
+      totals.revotes += counts.revotes;
+      totals.suggested += overrides.suggested;
+      totals.overridden += overrides.overridden;
+      totals.durationMs += timing.durationMs;
+      totals.timedStories += timing.stories;
+
+      return {
+        sys_id: session.sys_id,
+        name: session.name,
+        status: session.status,
+        scoring_method: session['scoring_method$DISPLAY'] || '',
+        start_time: session.start_time,
+        stories_estimated: counts.estimated,
+        stories_skipped: counts.skipped,
+        consensus_rate: this._percent(counts.consensus, counts.estimated),
+        average_revotes: this._ratio(counts.revotes, counts.estimated),
+        override_rate: this._percent(overrides.overridden, overrides.suggested),
+        average_seconds_per_story: timing.stories > 0 ? Math.round(timing.durationMs / timing.stories / 1000) : null
+      };
+    }, this);
+
+    return {
+      totals: {
+        sessions: totals.sessions,
+        stories_estimated: totals.estimated,
+        stories_skipped: totals.skipped,
+        consensus_rate: this._percent(totals.consensus, totals.estimated),
+        average_revotes: this._ratio(totals.revotes, totals.estimated),
+        override_rate: this._percent(totals.overridden, totals.suggested),
+        average_seconds_per_story: totals.timedStories > 0 ? Math.round(totals.durationMs / totals.timedStories / 1000) : null
+      },
+      sessions: rows,
+      score_distribution: this.getScoreDistribution(sessionIds)
+    };
+  },
+
+  /**
+   * Count completed stories by final_score, grouped per scoring method.
+   * Scores are listed in the scoring method's card order.
+   *
+   * @param {Array<string>} sessionIds - Session sys_ids to include
+   * @returns {Array<Object>} [{scoring_method, name, total, scores: [{value, count}]}]
+   */
+  getScoreDistribution: function(sessionIds) {
+    if (!sessionIds || sessionIds.length === 0) {
+      return [];
+    }
+
+    var byMethod = {};
+    var ga = new GlideAggregate(this.TABLES.STORY);
+    ga.addQuery('session', 'IN', sessionIds.join(','));
+    ga.addQuery('status', this.STORY_STATUS.COMPLETED);
+    ga.addNotNullQuery('final_score');
+    ga.addAggregate('COUNT');
+    ga.groupBy('session.scoring_method');
+    ga.groupBy('final_score');
+    ga.query();
+
+    while (ga.next()) {
+      var methodId = ga.getValue('session.scoring_method');
+      if (!byMethod[methodId]) {
+        byMethod[methodId] = {};
+      }
+      byMethod[methodId][ga.getValue('final_score')] = parseInt(ga.getAggregate('COUNT'), 10) || 0;
+    }
+
+    var calculator = new StatisticsCalculatorFluent();
+
+    return Object.keys(byMethod).map(function(methodId) {
+      var method = this.helper.getSafe(this.TABLES.SCORING_METHOD, methodId, ['name']);
+      var valueMap = calculator.getScoringValueMap(methodId);
+      var counts = byMethod[methodId];
+
+      var scores = Object.keys(counts).map(function(value) {
+        return { value: value, count: counts[value] };
+      }).sort(function(a, b) {
+        return this._cardOrder(valueMap, a.value) - this._cardOrder(valueMap, b.value);
+      }.bind(this));
+
+      return {
+        scoring_method: methodId,
+        name: method ? method.name : '',
+        total: scores.reduce(function(sum, score) {
+          return sum + score.count;
+        }, 0),
+        scores: scores
+      };
+    }, this);
+  },
+
+  /**
+   * Most recent sessions that have been started, filtered in the query so
+   * the limit applies to matching sessions only
+   * @private
+   */
+  _getSessions: function(filters) {
+    var query = new GlideQuery(this.TABLES.SESSION)
+      .whereNotNull('start_time');
+
+    if (filters.dealer) {
+      query = query.where('dealer', filters.dealer);
+    }
+    if (filters.scoring_method) {
+      query = query.where('scoring_method', filters.scoring_method);
+    }
+    if (filters.since) {
+      query = query.where('start_time', '>=', filters.since);
+    }
+    if (filters.group) {
+      var teamSessions = this.helper.query(
+        this.TABLES.VOTER_GROUP,
+        { group: filters.group, is_active: true },
+        ['session']
+      ).map(function(voterGroup) {
+        return voterGroup.session;
+      });
+
+      if (teamSessions.length === 0) {
+        return [];
+      }
+      query = query.where('sys_id', 'IN', teamSessions);
+    }
+
+    var sessions = [];
+    query
+      .orderByDesc('start_time')
+      .limit(filters.limit || DashboardStatisticsFluent.DEFAULT_LIMIT)
+      .select('name', 'status', 'scoring_method', 'scoring_method$DISPLAY', 'start_time')
+      .forEach(function(session) {
+        sessions.push(session);
+      });
+
+    return sessions;
+  },
+
+  /**
+   * Estimated/skipped/consensus counts and re-vote sums per session in one grouped query
+   * @private
+   */
+  _getStoryCounts: function(sessionIds) {
+    var counts = {};
+    if (sessionIds.length === 0) {
+      return counts;
+    }
+
+    var ga = new GlideAggregate(this.TABLES.STORY);
+    ga.addQuery('session', 'IN', sessionIds.join(','));
+    ga.addQuery('status', 'IN', [this.STORY_STATUS.COMPLETED, this.STORY_STATUS.SKIPPED].join(','));
+    ga.addAggregate('COUNT');
+    ga.addAggregate('SUM', 'times_revoted');
+    ga.groupBy('session');
+    ga.groupBy('status');
+    ga.groupBy('consensus_reached');
+    ga.query();
+
+    while (ga.next()) {
+      var sessionId = ga.getValue('session');
+      var count = parseInt(ga.getAggregate('COUNT'), 10) || 0;
+
+      if (!counts[sessionId]) {
+        counts[sessionId] = { estimated: 0, skipped: 0, consensus: 0, revotes: 0 };
+      }
+
+      if (ga.getValue('status') === this.STORY_STATUS.SKIPPED) {
+        counts[sessionId].skipped += count;
+        continue;
+      }
+
+      counts[sessionId].estimated += count;
+      counts[sessionId].revotes += parseInt(ga.getAggregate('SUM', 'times_revoted'), 10) || 0;
+      if (ga.getValue('consensus_reached') === '1' || ga.getValue('consensus_reached') === 'true') {
+        counts[sessionId].consensus += count;
+      }
+    }
+
+    return counts;
+  },
+
+  /**
+   * Completed stories that had a suggested score, and how many of those the
+   * dealer finished with a different final_score, per session
+   * @private
+   */
+  _getOverrideCounts: function(sessionIds) {
+    var counts = {};
+    if (sessionIds.length === 0) {
+      return counts;
+    }
+
+    var ga = new GlideAggregate(this.TABLES.STORY);
+    ga.addQuery('session', 'IN', sessionIds.join(','));
+    ga.addQuery('status', this.STORY_STATUS.COMPLETED);
+    ga.addNotNullQuery('suggested_score');
+    ga.addAggregate('COUNT');
+    ga.groupBy('session');
+    ga.groupBy('score_overridden');
+    ga.query();
+
+    while (ga.next()) {
+      var sessionId = ga.getValue('session');
+      var count = parseInt(ga.getAggregate('COUNT'), 10) || 0;
+
+      if (!counts[sessionId]) {
+        counts[sessionId] = { suggested: 0, overridden: 0 };
+      }
+
+      counts[sessionId].suggested += count;
+      if (ga.getValue('score_overridden') === '1' || ga.getValue('score_overridden') === 'true') {
+        counts[sessionId].overridden += count;
+      }
+    }
+
+    return counts;
+  },
+
+  /**
+   * Time from voting_started_at to completed_at summed over the completed
+   * stories of each session that have both
+   * @private
+   */
+  _getStoryTimes: function(sessionIds) {
+    var times = {};
+    if (sessionIds.length === 0) {
+      return times;
+    }
+
+    new GlideQuery(this.TABLES.STORY)
+      .where('session', 'IN', sessionIds)
+      .where('status', this.STORY_STATUS.COMPLETED)
+      .whereNotNull('voting_started_at')
+      .whereNotNull('completed_at')
+      .select('session', 'voting_started_at', 'completed_at')
+      .forEach(function(story) {
+        var duration = new GlideDateTime(story.completed_at).getNumericValue() -
+          new GlideDateTime(story.voting_started_at).getNumericValue();
+        if (duration < 0) {
+          return;
+        }
+
+        if (!times[story.session]) {
+          times[story.session] = { durationMs: 0, stories: 0 };
+        }
+        times[story.session].durationMs += duration;
+        times[story.session].stories++;
+      });
+
+    return times;
+  },
+
+  /**
+   * @private
+   */
+  _cardOrder: function(valueMap, value) {
+    var scoringValue = valueMap[value];
+    return scoringValue ? parseFloat(scoringValue.order) || 0 : Number.MAX_VALUE;
+  },
+
+  /**
+   * Percentage rounded to one decimal, null when there is nothing to measure
+   * @private
+   */
+  _percent: function(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : null;
+  },
+
+  /**
+   * @private
+   */
+  _ratio: function(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 100) / 100 : null;
+  },
+
+  type: 'DashboardStatisticsFluent'
+};
@@ -0,0 +1,354 @@
+/* global Class, gs, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * StatisticsCalculatorFluent - Story vote statistics
+ *
+ * Computes average/min/max/consensus and a suggested final score for a story
+ * from its current votes and writes them to the read-only summary fields on
+ * session_stories. The suggestion is the median snapped to the nearest card
+ * for numeric methods and the mode for T-shirt style methods, with the
+ * higher card winning ties.
+ * Special values (is_special, e.g. '?' and 'Coffee') are excluded from the math.
+ * Non-numeric methods (e.g. T-shirt sizes) get ordinal min/max by
+ * scoring_value.order and no average.
+ *
+ * Consensus follows planning_session.consensus_policy:
+ *   unanimous - every vote is the same card
+ *   majority  - the most common card has at least consensus_majority_percent of the votes
+ *   adjacent  - all votes are within one step of each other in the card order
+ *   spread    - max - min numeric_value is at most consensus_spread
+ *               (card steps for non-numeric methods)
+ *
+ * @class StatisticsCalculatorFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var StatisticsCalculatorFluent = Class.create();
+
+StatisticsCalculatorFluent.prototype = {
+
+  /**
+   * Initialize the StatisticsCalculatorFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[StatisticsCalculatorFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Calculate statistics for a story's current votes and store them on the story
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, statistics: Object|null, error: string|null}
+   *
+   * @example
+   * var stats = new StatisticsCalculatorFluent().calculateStoryStatistics(storyId);
+   * if (stats.success) {
+   *   gs.info('Consensus: ' + stats.statistics.consensus_reached);
+   * }
+   */
+  calculateStoryStatistics: function(storyId) {
+    var story = this.helper.getSafe(this.TABLES.STORY, storyId, ['session']);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    var session = this._getSession(story.session);
+    var method = session ? this.helper.getSafe(this.TABLES.SCORING_METHOD, session.scoring_method, ['sys_id', 'is_numeric']) : null;
+    if (!method) {
+      return this._failure('Scoring method not found for session: ' + story.session);
+    }
+
+    var votes = this.helper.query(
+      this.TABLES.VOTE,
+      { session_story: storyId, is_current: true },
+      ['vote_value']
+    );
+
+    var statistics = this.computeStatistics(votes, this.getScoringValueMap(method.sys_id), method.is_numeric, session);
+
+    var result = this.helper.updateSafe(this.TABLES.STORY, storyId, statistics);
+    if (!result.success) {
+      return this._failure(result.error);
+    }
+
+    return {
+      success: true,
+      statistics: statistics,
+      error: null
+    };
+  },
+
+  /**
+   * Reset a story's statistics (used when a new voting round starts)
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  clearStoryStatistics: function(storyId) {
+    return this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      average_score: null,
+      min_score: '',
+      max_score: '',
+      consensus_reached: false,
+      consensus_rule: '',
+      suggested_score: ''
+    });
+  },
+
+  /**
+   * Compute statistics from a list of votes without touching the database
+   *
+   * @param {Array<Object>} votes - Vote records with vote_value
+   * @param {Object<string, Object>} valueMap - Scoring values keyed by value (see getScoringValueMap)
+   * @param {boolean} isNumeric - Whether the scoring method supports averaging
+   * @param {Object} [policy] - Session consensus settings {consensus_policy, consensus_majority_percent, consensus_spread}; unanimous when omitted
+   * @returns {Object} {average_score: number|null, min_score: string, max_score: string, consensus_reached: boolean, consensus_rule: string, suggested_score: string}
+   *
+   * @example
+   * var calculator = new StatisticsCalculatorFluent();
+   * var statistics = calculator.computeStatistics(
+   *   [{ vote_value: 'M' }, { vote_value: 'M' }, { vote_value: 'L' }],
+   *   calculator.getScoringValueMap(methodId),
+   *   false,
+   *   { consensus_policy: 'adjacent' }
+   * );
+   * // statistics.consensus_reached === true, statistics.suggested_score === 'M'
+   */
+  computeStatistics: function(votes, valueMap, isNumeric, policy) {
+    var rankKey = isNumeric ? 'numeric_value' : 'order';
+    policy = policy || {};
+
+    var counted = (votes || []).reduce(function(acc, vote) {
+      var scoringValue = valueMap[vote.vote_value];
+      if (scoringValue && !scoringValue.is_special && scoringValue[rankKey] !== null && scoringValue[rankKey] !== undefined) {
+        acc.push(scoringValue);
+      }
+      return acc;
+    }, []);
+
+    if (counted.length === 0) {
+      return {
+        average_score: null,
+        min_score: '',
+        max_score: '',
+        consensus_reached: false,
+        consensus_rule: '',
+        suggested_score: ''
+      };
+    }
+
+    var summary = counted.reduce(function(acc, scoringValue) {
+      var rank = parseFloat(scoringValue[rankKey]);
+      if (acc.min === null || rank < parseFloat(acc.min[rankKey])) {
+        acc.min = scoringValue;
+      }
+      if (acc.max === null || rank > parseFloat(acc.max[rankKey])) {
+        acc.max = scoringValue;
+      }
+      acc.sum += rank;
+      return acc;
+    }, { min: null, max: null, sum: 0 });
+
+    var deck = this._getDeck(valueMap, rankKey);
+    var positions = counted.map(function(scoringValue) {
+      return deck.indexOf(scoringValue.value);
+    });
+
+    return {
+      average_score: isNumeric ? Math.round(summary.sum / counted.length * 100) / 100 : null,
+      min_score: summary.min.value,
+      max_score: summary.max.value,
+      consensus_reached: this._isConsensus(policy, counted, positions, summary, isNumeric),
+      consensus_rule: this._describeRule(policy),
+      suggested_score: this._suggestScore(counted, deck, valueMap, rankKey, isNumeric)
+    };
+  },
+
+  /**
+   * Distance between the lowest and highest card of a set of votes:
+   * max - min numeric_value for numeric methods, card steps otherwise
+   *
+   * @param {string} minScore - Lowest card (min_score from computeStatistics)
+   * @param {string} maxScore - Highest card (max_score from computeStatistics)
+   * @param {Object<string, Object>} valueMap - Scoring values keyed by value (see getScoringValueMap)
+   * @param {boolean} isNumeric - Whether the scoring method supports averaging
+   * @returns {number|null} Spread, or null when either card is not a regular card
+   */
+  getSpread: function(minScore, maxScore, valueMap, isNumeric) {
+    if (!valueMap[minScore] || !valueMap[maxScore]) {
+      return null;
+    }
+
+    if (isNumeric) {
+      return Math.round((parseFloat(valueMap[maxScore].numeric_value) - parseFloat(valueMap[minScore].numeric_value)) * 100) / 100;
+    }
+
+    var deck = this._getDeck(valueMap, 'order');
+    return deck.indexOf(maxScore) - deck.indexOf(minScore);
+  },
+
+  /**
+   * Load a scoring method's values keyed by their display value
+   *
+   * @param {string} methodId - Scoring method sys_id
+   * @returns {Object<string, Object>} Map of value → scoring value record
+   */
+  getScoringValueMap: function(methodId) {
+    var values = this.helper.query(
+      this.TABLES.SCORING_VALUE,
+      { scoring_method: methodId },
+      ['sys_id', 'value', 'numeric_value', 'order', 'is_special']
+    );
+
+    return values.reduce(function(map, scoringValue) {
+      map[scoringValue.value] = scoringValue;
+      return map;
+    }, {});
+  },
+
+  /**
+   * @private
+   */
+  _getSession: function(sessionId) {
+    return this.helper.getSafe(this.TABLES.SESSION, sessionId, [
+      'scoring_method', 'consensus_policy', 'consensus_majority_percent', 'consensus_spread'
+    ]);
+  },
+
+  /**
+   * Regular (non-special) card values in deck order
+   * @private
+   */
+  _getDeck: function(valueMap, rankKey) {
+    return Object.keys(valueMap).map(function(value) {
+      return valueMap[value];
+    }).filter(function(scoringValue) {
+      return !scoringValue.is_special && scoringValue[rankKey] !== null && scoringValue[rankKey] !== undefined;
+    }).sort(function(a, b) {
+      return parseFloat(a[rankKey]) - parseFloat(b[rankKey]);
+    }).map(function(scoringValue) {
+      return scoringValue.value;
+    });
+  },
+
+  /**
+   * Apply the session's consensus policy to the counted votes
+   * @private
+   */
+  _isConsensus: function(policy, counted, positions, summary, isNumeric) {
+    var POLICY = PlanningPokerConstants.CONSENSUS_POLICY;
+    var stepSpread = Math.max.apply(null, positions) - Math.min.apply(null, positions);
+
+    if (policy.consensus_policy === POLICY.MAJORITY) {
+      var counts = this._countByValue(counted);
+      var top = Math.max.apply(null, Object.keys(counts).map(function(value) {
+        return counts[value];
+      }));
+      return top * 100 >= this._majorityPercent(policy) * counted.length;
+    }
+
+    if (policy.consensus_policy === POLICY.ADJACENT) {
+      return stepSpread <= 1;
+    }
+
+    if (policy.consensus_policy === POLICY.SPREAD) {
+      var spread = isNumeric ?
+        parseFloat(summary.max.numeric_value) - parseFloat(summary.min.numeric_value) :
+        stepSpread;
+      return spread <= this._spreadThreshold(policy);
+    }
+
+    return summary.min.value === summary.max.value;
+  },
+
+  /**
+   * Human-readable rule stored in session_stories.consensus_rule
+   * @private
+   */
+  _describeRule: function(policy) {
+    var POLICY = PlanningPokerConstants.CONSENSUS_POLICY;
+
+    if (policy.consensus_policy === POLICY.MAJORITY) {
+      return 'majority >= ' + this._majorityPercent(policy) + '%';
+    }
+    if (policy.consensus_policy === POLICY.ADJACENT) {
+      return 'adjacent cards';
+    }
+    if (policy.consensus_policy === POLICY.SPREAD) {
+      return 'spread <= ' + this._spreadThreshold(policy);
+    }
+    return POLICY.UNANIMOUS;
+  },
+
+  /**
+   * Suggested final score for the scoring method:
+   *   numeric methods     - the median vote snapped to the nearest card
+   *   non-numeric methods - the most common card (mode)
+   * Ties go to the higher card in both cases.
+   * @private
+   */
+  _suggestScore: function(counted, deck, valueMap, rankKey, isNumeric) {
+    if (!isNumeric) {
+      var counts = this._countByValue(counted);
+      return deck.reduce(function(best, value) {
+        var count = counts[value] || 0;
+        return count > 0 && (best === null || count >= counts[best]) ? value : best;
+      }, null);
+    }
+
+    var ranks = counted.map(function(scoringValue) {
+      return parseFloat(scoringValue[rankKey]);
+    }).sort(function(a, b) {
+      return a - b;
+    });
+    var middle = Math.floor(ranks.length / 2);
+    var median = ranks.length % 2 === 1 ? ranks[middle] : (ranks[middle - 1] + ranks[middle]) / 2;
+
+    return deck.reduce(function(best, value) {
+      var distance = Math.abs(parseFloat(valueMap[value][rankKey]) - median);
+      return best === null || distance <= best.distance ? { value: value, distance: distance } : best;
+    }, null).value;
+  },
+
+  /**
+   * @private
+   */
+  _countByValue: function(counted) {
+    return counted.reduce(function(acc, scoringValue) {
+      acc[scoringValue.value] = (acc[scoringValue.value] || 0) + 1;
+      return acc;
+    }, {});
+  },
+
+  /**
+   * @private
+   */
+  _majorityPercent: function(policy) {
+    var percent = parseInt(policy.consensus_majority_percent, 10);
+    return percent > 0 && percent <= 100 ? percent : 75;
+  },
+
+  /**
+   * @private
+   */
+  _spreadThreshold: function(policy) {
+    var spread = parseFloat(policy.consensus_spread);
+    return spread >= 0 ? spread : 2;
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      statistics: null,
+      error: message
+    };
+  },
+
+  type: 'StatisticsCalculatorFluent'
+};
@@ -0,0 +1,106 @@
+/* global Class, StorySyncAdapter */
+
+/**
+ * AzureDevOpsStorySyncAdapter - Azure DevOps Boards work item sync
+ *
+ * Pulls work items with a WIQL query and writes
+ * Microsoft.VSTS.Scheduling.StoryPoints back with a JSON Patch. Settings
+ * (x_902080_msmplnpkr_fluent.azure_devops.*):
+ *   base_url           - organization and project, e.g. https://dev.azure.com/acme/Web
+ *   api_token          - personal access token (Work Items read & write)
+ *   story_points_field - defaults to Microsoft.VSTS.Scheduling.StoryPoints
+ *
+ * @class AzureDevOpsStorySyncAdapter
+ * @extends StorySyncAdapter
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var AzureDevOpsStorySyncAdapter = Class.create();
+
+AzureDevOpsStorySyncAdapter.API_VERSION = '7.0';
+AzureDevOpsStorySyncAdapter.DEFAULT_STORY_POINTS_FIELD = 'Microsoft.VSTS.Scheduling.StoryPoints';
+
+AzureDevOpsStorySyncAdapter.prototype = Object.extendsObject(StorySyncAdapter, {
+
+  SOURCE: 'azure_devops',
+
+  /**
+   * Work items matching a WIQL query, in the query's order
+   *
+   * @param {string} query - WIQL, e.g. "SELECT [System.Id] FROM WorkItems WHERE [System.IterationPath] = 'Web\\Sprint 42'"
+   * @param {number} limit - Maximum work items to return
+   * @returns {Array<Object>} [{external_key, title, description, acceptance_criteria, url}]
+   */
+  fetchStories: function(query, limit) {
+    var found = this.request('POST', '/_apis/wit/wiql?$top=' + limit + '&api-version=' + AzureDevOpsStorySyncAdapter.API_VERSION, {
+      query: query
+    });
+    if (!found.success) {
+      throw new Error(found.error);
+    }
+
+    var ids = ((found.body && found.body.workItems) || []).slice(0, limit).map(function(workItem) {
+      return workItem.id;
+    });
+    if (ids.length === 0) {
+      return [];
+    }
+
+    // The work items batch endpoint takes at most 200 ids per call
+    var items = [];
+    for (var i = 0; i < ids.length; i += 200) {
+      var batch = this.request('POST', '/_apis/wit/workitemsbatch?api-version=' + AzureDevOpsStorySyncAdapter.API_VERSION, {
+        ids: ids.slice(i, i + 200),
+        fields: ['System.Id', 'System.Title', 'System.Description', 'Microsoft.VSTS.Common.AcceptanceCriteria']
+      });
+      if (!batch.success) {
+        throw new Error(batch.error);
+      }
+      items = items.concat((batch.body && batch.body.value) || []);
+    }
+
+    var baseUrl = this.getSetting('base_url').replace(/\/+$/, '');
+
+    return items.map(function(item) {
+      var fields = item.fields || {};
+      return {
+        external_key: String(item.id),
+        title: fields['System.Title'] || String(item.id),
+        description: fields['System.Description'] || '',
+        acceptance_criteria: fields['Microsoft.VSTS.Common.AcceptanceCriteria'] || '',
+        url: baseUrl + '/_workitems/edit/' + item.id
+      };
+    });
+  },
+
+  /**
+   * Set the story points field on a work item
+   *
+   * @param {string} externalKey - Work item id
+   * @param {number} points - Story points
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  pushStoryPoints: function(externalKey, points) {
+    var field = this.getSetting('story_points_field', AzureDevOpsStorySyncAdapter.DEFAULT_STORY_POINTS_FIELD);
+
+    var result = this.request(
+      'PATCH',
+      '/_apis/wit/workitems/' + encodeURIComponent(externalKey) + '?api-version=' + AzureDevOpsStorySyncAdapter.API_VERSION,
+      [{ op: 'add', path: '/fields/' + field, value: points }],
+      { 'Content-Type': 'application/json-patch+json' }
+    );
+    return {
+      success: result.success,
+      error: result.error
+    };
+  },
+
+  /**
+   * Personal access tokens use basic auth with an empty user name
+   * @param {sn_ws.RESTMessageV2} message - Request being built
+   */
+  authenticate: function(message) {
+    message.setBasicAuth('', this.getSetting('api_token'));
+  },
+
+  type: 'AzureDevOpsStorySyncAdapter'
+});
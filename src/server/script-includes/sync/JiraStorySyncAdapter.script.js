@@ -0,0 +1,100 @@
+/* global Class, StorySyncAdapter */
+
+/**
+ * JiraStorySyncAdapter - Jira (Cloud or Data Center) story sync
+ *
+ * Pulls issues with a JQL search and writes story points to the
+ * configured custom field. Settings (x_902080_msmplnpkr_fluent.jira.*):
+ *   base_url                  - e.g. https://acme.atlassian.net
+ *   user, api_token           - basic auth (account e-mail and API token)
+ *   story_points_field        - defaults to customfield_10016
+ *   acceptance_criteria_field - optional custom field copied to acceptance_criteria
+ *
+ * @class JiraStorySyncAdapter
+ * @extends StorySyncAdapter
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var JiraStorySyncAdapter = Class.create();
+
+JiraStorySyncAdapter.DEFAULT_STORY_POINTS_FIELD = 'customfield_10016';
+
+/**
+ * Issues requested per search call; Jira caps maxResults (50 on Cloud by default)
+ * @type {number}
+ */
+JiraStorySyncAdapter.PAGE_SIZE = 50;
+
+JiraStorySyncAdapter.prototype = Object.extendsObject(StorySyncAdapter, {
+
+  SOURCE: 'jira',
+
+  /**
+   * Issues matching a JQL query, paged with startAt until limit issues are
+   * read or the search total is reached
+   *
+   * @param {string} query - JQL, e.g. 'sprint = 42 AND issuetype = Story ORDER BY rank'
+   * @param {number} limit - Maximum issues to return
+   * @returns {Array<Object>} [{external_key, title, description, acceptance_criteria, url}]
+   */
+  fetchStories: function(query, limit) {
+    var criteriaField = this.getSetting('acceptance_criteria_field');
+    var fields = ['summary', 'description'];
+    if (criteriaField) {
+      fields.push(criteriaField);
+    }
+
+    var issues = [];
+    var total = null;
+    while (issues.length < limit && (total === null || issues.length < total)) {
+      var result = this.request('POST', '/rest/api/2/search', {
+        jql: query,
+        startAt: issues.length,
+        maxResults: Math.min(JiraStorySyncAdapter.PAGE_SIZE, limit - issues.length),
+        fields: fields
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      var page = (result.body && result.body.issues) || [];
+      if (page.length === 0) {
+        break;
+      }
+      issues = issues.concat(page.slice(0, limit - issues.length));
+      total = typeof result.body.total === 'number' ? result.body.total : null;
+    }
+
+    var baseUrl = this.getSetting('base_url').replace(/\/+$/, '');
+
+    return issues.map(function(issue) {
+      var issueFields = issue.fields || {};
+      return {
+        external_key: issue.key,
+        title: issueFields.summary || issue.key,
+        description: issueFields.description || '',
+        acceptance_criteria: criteriaField ? issueFields[criteriaField] || '' : '',
+        url: baseUrl + '/browse/' + issue.key
+      };
+    });
+  },
+
+  /**
+   * Set the story points field on an issue
+   *
+   * @param {string} externalKey - Issue key, e.g. PROJ-123
+   * @param {number} points - Story points
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  pushStoryPoints: function(externalKey, points) {
+    var fields = {};
+    fields[this.getSetting('story_points_field', JiraStorySyncAdapter.DEFAULT_STORY_POINTS_FIELD)] = points;
+
+    var result = this.request('PUT', '/rest/api/2/issue/' + encodeURIComponent(externalKey), { fields: fields });
+    return {
+      success: result.success,
+      error: result.error
+    };
+  },
+
+  type: 'JiraStorySyncAdapter'
+});
@@ -0,0 +1,166 @@
+/* global Class, gs, sn_ws, PlanningPokerConstants */
+
+/**
+ * StorySyncAdapter - Base class for external Agile tool adapters
+ *
+ * An adapter pulls issues from one tool into session_stories and pushes an
+ * agreed estimate back as story points, over outbound REST. Subclasses
+ * extend it with Object.extendsObject and implement:
+ *
+ *   fetchStories(query, limit)
+ *     → Array<{external_key, title, description, acceptance_criteria, url}>
+ *   pushStoryPoints(externalKey, points)
+ *     → {success: boolean, error: string|null}
+ *
+ * and are registered by script include name with
+ * StorySyncFluent.registerAdapter. Connection settings come from system
+ * properties named x_902080_msmplnpkr_fluent.<source>.<setting>, read with
+ * getSetting. Pointing base_url at a local server is how adapters are
+ * exercised without the real tool.
+ *
+ * @class StorySyncAdapter
+ * @namespace x_902080_msmplnpkr_fluent
+ *
+ * @example
+ * var MyToolStorySyncAdapter = Class.create();
+ * MyToolStorySyncAdapter.prototype = Object.extendsObject(StorySyncAdapter, {
+ *   SOURCE: 'my_tool',
+ *   fetchStories: function(query, limit) { ... },
+ *   pushStoryPoints: function(externalKey, points) { ... },
+ *   type: 'MyToolStorySyncAdapter'
+ * });
+ * // Once, e.g. from a fix script; the registration is stored in a system property
+ * StorySyncFluent.registerAdapter('my_tool', 'MyToolStorySyncAdapter');
+ */
+var StorySyncAdapter = Class.create();
+
+StorySyncAdapter.TIMEOUT_MS = 30000;
+
+StorySyncAdapter.prototype = {
+
+  /**
+   * Source key used for properties and session_stories.external_source
+   * @type {string}
+   */
+  SOURCE: '',
+
+  /**
+   * Initialize the adapter
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[' + this.type + ']';
+  },
+
+  /**
+   * Issues matching a tool-specific query, in the tool's order
+   *
+   * @param {string} query - Query in the tool's language (JQL, WIQL, ...)
+   * @param {number} limit - Maximum issues to return
+   * @returns {Array<Object>} [{external_key, title, description, acceptance_criteria, url}]
+   */
+  fetchStories: function() {
+    throw new Error(this.type + ' does not implement fetchStories');
+  },
+
+  /**
+   * Set an issue's story points
+   *
+   * @param {string} externalKey - Issue key or work item id
+   * @param {number} points - Story points to write
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  pushStoryPoints: function() {
+    throw new Error(this.type + ' does not implement pushStoryPoints');
+  },
+
+  /**
+   * Whether the adapter has the settings it needs to connect
+   *
+   * @returns {boolean} True when base_url is configured
+   */
+  isConfigured: function() {
+    return !!this.getSetting('base_url');
+  },
+
+  /**
+   * Read an adapter setting from x_902080_msmplnpkr_fluent.<source>.<name>
+   *
+   * @param {string} name - Setting name (e.g. 'base_url')
+   * @param {string} [defaultValue] - Value when the property is not set
+   * @returns {string} Setting value
+   */
+  getSetting: function(name, defaultValue) {
+    return gs.getProperty(PlanningPokerConstants.SCOPE + '.' + this.SOURCE + '.' + name, defaultValue || '');
+  },
+
+  /**
+   * Send a JSON request to the tool and parse the JSON response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - Path appended to base_url
+   * @param {Object|Array} [body] - Request body, sent as JSON
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Object} {success: boolean, status: number, body: Object|null, error: string|null}
+   */
+  request: function(method, path, body, headers) {
+    var baseUrl = this.getSetting('base_url').replace(/\/+$/, '');
+    if (!baseUrl) {
+      return { success: false, status: 0, body: null, error: this.SOURCE + '.base_url is not configured' };
+    }
+
+    try {
+      var message = new sn_ws.RESTMessageV2();
+      message.setEndpoint(baseUrl + path);
+      message.setHttpMethod(method);
+      message.setHttpTimeout(StorySyncAdapter.TIMEOUT_MS);
+      message.setRequestHeader('Accept', 'application/json');
+      message.setRequestHeader('Content-Type', 'application/json');
+      this.authenticate(message);
+
+      Object.keys(headers || {}).forEach(function(name) {
+        message.setRequestHeader(name, headers[name]);
+      });
+
+      if (body !== undefined && body !== null) {
+        message.setRequestBody(JSON.stringify(body));
+      }
+
+      var response = message.execute();
+      var status = response.getStatusCode();
+      var text = response.getBody();
+      var parsed = null;
+
+      if (text) {
+        try {
+          parsed = JSON.parse(text);
+        } catch (parseError) {
+          parsed = null;
+        }
+      }
+
+      if (status < 200 || status >= 300) {
+        var error = method + ' ' + path + ' returned HTTP ' + status + (response.getErrorMessage() ? ': ' + response.getErrorMessage() : '');
+        gs.warn(this.LOG_PREFIX + ' ' + error);
+        return { success: false, status: status, body: parsed, error: error };
+      }
+
+      return { success: true, status: status, body: parsed, error: null };
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' ' + method + ' ' + path + ' failed: ' + error.message);
+      return { success: false, status: 0, body: null, error: error.message };
+    }
+  },
+
+  /**
+   * Add credentials to an outbound request. Defaults to basic auth with the
+   * user and api_token settings.
+   *
+   * @param {sn_ws.RESTMessageV2} message - Request being built
+   */
+  authenticate: function(message) {
+    message.setBasicAuth(this.getSetting('user'), this.getSetting('api_token'));
+  },
+
+  type: 'StorySyncAdapter'
+};
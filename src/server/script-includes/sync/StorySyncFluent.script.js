@@ -0,0 +1,210 @@
+/* global Class, gs, x_902080_msmplnpkr_fluent, FluentQueryHelper, PlanningPokerConstants, StoryPointsWritebackFluent */
+
+/**
+ * StorySyncFluent - Registry and entry point for external story sync
+ *
+ * Resolves a StorySyncAdapter by source key (session_stories.external_source)
+ * and pushes a completed story's agreed estimate back to the tool it was
+ * imported from. Story points come from the same mapping as the rm_story
+ * write-back (StoryPointsWritebackFluent.getStoryPoints). Importing is done
+ * by StoryImportFluent.importFromExternal.
+ *
+ * jira and azure_devops are built in. Further tools register the name of
+ * their adapter script include with StorySyncFluent.registerAdapter, which
+ * stores it in the x_902080_msmplnpkr_fluent.story_sync.adapters system
+ * property (a JSON map of source key to script include name), so the
+ * registration outlives the transaction that made it. Adapters are looked
+ * up by name in the application scope each time they are needed.
+ *
+ * @class StorySyncFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var StorySyncFluent = Class.create();
+
+/**
+ * Built-in adapter script includes, by source key
+ * @type {Object<string, string>}
+ */
+StorySyncFluent.BUILT_IN_ADAPTERS = {
+  jira: 'JiraStorySyncAdapter',
+  azure_devops: 'AzureDevOpsStorySyncAdapter'
+};
+
+/**
+ * System property holding the registered adapters as a JSON map of source
+ * key to script include name
+ * @type {string}
+ */
+StorySyncFluent.ADAPTERS_PROPERTY = PlanningPokerConstants.SCOPE + '.story_sync.adapters';
+
+/**
+ * Register an adapter script include for a source. Replaces a built-in
+ * adapter when the source key matches.
+ *
+ * @param {string} source - Source key, e.g. 'my_tool'
+ * @param {string} adapterName - Name of a StorySyncAdapter subclass script include in this application scope
+ * @returns {boolean} True when registered; false for an empty source or an unknown script include
+ */
+StorySyncFluent.registerAdapter = function(source, adapterName) {
+  if (!source || !StorySyncFluent.resolveAdapter(adapterName)) {
+    gs.warn('[StorySyncFluent] Not registering ' + adapterName + ' for source ' + source + ': unknown adapter');
+    return false;
+  }
+
+  var registered = StorySyncFluent.getRegisteredAdapters();
+  registered[source] = adapterName;
+  gs.setProperty(StorySyncFluent.ADAPTERS_PROPERTY, JSON.stringify(registered));
+  return true;
+};
+
+/**
+ * Adapters registered with registerAdapter, by source key
+ *
+ * @returns {Object<string, string>} Script include names
+ */
+StorySyncFluent.getRegisteredAdapters = function() {
+  var value = gs.getProperty(StorySyncFluent.ADAPTERS_PROPERTY, '');
+  if (!value) {
+    return {};
+  }
+
+  try {
+    var registered = JSON.parse(value);
+    return registered && typeof registered === 'object' && !Array.isArray(registered) ? registered : {};
+  } catch (error) {
+    gs.error('[StorySyncFluent] ' + StorySyncFluent.ADAPTERS_PROPERTY + ' is not valid JSON: ' + error.message);
+    return {};
+  }
+};
+
+/**
+ * Adapter class for a script include name in this application scope
+ *
+ * @param {string} adapterName - Script include name, e.g. 'JiraStorySyncAdapter'
+ * @returns {Function|null} Adapter class, or null when there is no such script include
+ */
+StorySyncFluent.resolveAdapter = function(adapterName) {
+  var adapterClass = adapterName ? x_902080_msmplnpkr_fluent[adapterName] : null;
+  return typeof adapterClass === 'function' ? adapterClass : null;
+};
+
+StorySyncFluent.prototype = {
+
+  /**
+   * Initialize the StorySyncFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[StorySyncFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Adapter instance for a source
+   *
+   * @param {string} source - Source key
+   * @returns {StorySyncAdapter|null} Adapter, or null when none is registered
+   */
+  getAdapter: function(source) {
+    var adapterName = this.getAdapters()[source];
+    var adapterClass = StorySyncFluent.resolveAdapter(adapterName);
+    if (adapterName && !adapterClass) {
+      gs.error(this.LOG_PREFIX + ' Adapter script include ' + adapterName + ' for source ' + source + ' not found');
+    }
+
+    return adapterClass ? new adapterClass() : null;
+  },
+
+  /**
+   * Adapter script include names by source key: the built-in adapters
+   * merged with the registered ones
+   *
+   * @returns {Object<string, string>} Script include names
+   */
+  getAdapters: function() {
+    var adapters = {};
+    var registered = StorySyncFluent.getRegisteredAdapters();
+
+    [StorySyncFluent.BUILT_IN_ADAPTERS, registered].forEach(function(names) {
+      Object.keys(names).forEach(function(source) {
+        adapters[source] = names[source];
+      });
+    });
+
+    return adapters;
+  },
+
+  /**
+   * Push a completed story's final_score to its external issue as story
+   * points
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, points: number|null, error: string|null}
+   *
+   * @example
+   * var result = new StorySyncFluent().pushFinalScore(storyId);
+   * if (!result.success) {
+   *   gs.warn('Sync failed: ' + result.error);
+   * }
+   */
+  pushFinalScore: function(storyId) {
+    var story = this.helper.getSafe(
+      this.TABLES.STORY,
+      storyId,
+      ['session', 'status', 'final_score', 'external_source', 'external_key']
+    );
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (!story.external_source || !story.external_key) {
+      return this._failure('Story was not imported from an external tool');
+    }
+
+    if (story.status !== PlanningPokerConstants.STORY_STATUS.COMPLETED || !story.final_score) {
+      return this._failure('Only completed stories with a final score can be synced');
+    }
+
+    var adapter = this.getAdapter(story.external_source);
+    if (!adapter) {
+      return this._failure('No story sync adapter for source: ' + story.external_source);
+    }
+
+    var points = new StoryPointsWritebackFluent().getStoryPoints(story.session, story.final_score);
+    if (points === null) {
+      return this._failure('No story points mapping for final score ' + story.final_score);
+    }
+
+    var result;
+    try {
+      result = adapter.pushStoryPoints(story.external_key, points);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      return this._failure('Could not update ' + story.external_key + ' in ' + story.external_source + ': ' + result.error);
+    }
+
+    return {
+      success: true,
+      points: points,
+      error: null
+    };
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      points: null,
+      error: message
+    };
+  },
+
+  type: 'StorySyncFluent'
+};
@@ -0,0 +1,196 @@
+/* global Class, FluentQueryHelper, PlanningPokerConstants, StatisticsCalculatorFluent, VotingOperationsFluent */
+
+/**
+ * VoteHistoryFluent - Voting rounds and convergence per story
+ *
+ * Reads the versioned vote history kept by VotingOperationsFluent: every
+ * round of a story (one vote_sequence each) with the voters' values and
+ * voted_at timestamps, plus how much the spread between the lowest and
+ * highest card narrowed from one round to the next.
+ *
+ * Rounds abandoned by undoLastRevote are kept with undone: true. They sit
+ * before the round that replaced them and are left out of spread_change
+ * and convergence.
+ *
+ * Spread is max - min numeric_value for numeric methods and card steps for
+ * non-numeric methods; special values ('?', 'Coffee') are ignored. Values in
+ * the current round stay hidden until the story is revealed, and voters are
+ * left out of rounds with visible values in anonymous sessions, as in
+ * VotingOperationsFluent.getResults.
+ *
+ * @class VoteHistoryFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var VoteHistoryFluent = Class.create();
+
+VoteHistoryFluent.prototype = {
+
+  /**
+   * Initialize the VoteHistoryFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[VoteHistoryFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Every voting round of a story, oldest first
+   *
+   * Each round lists its votes in voted_at order with min/max, spread and
+   * spread_change (previous round's spread minus this one; positive means
+   * the estimates converged). convergence is the total narrowing from the
+   * first to the last round with a spread.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object|null} {story, anonymous, rounds: Array<Object>, convergence: Object} or null if not found
+   *
+   * @example
+   * var history = new VoteHistoryFluent().getStoryHistory(storyId);
+   * history.rounds.forEach(function(round) {
+   *   gs.info('Round ' + round.sequence + ': spread ' + round.spread + ' (' + round.spread_change + ')');
+   * });
+   */
+  getStoryHistory: function(storyId) {
+    var story = this.helper.getSafe(this.TABLES.STORY, storyId, ['sys_id', 'session', 'title', 'status', 'times_revoted']);
+    if (!story) {
+      return null;
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, story.session, ['scoring_method']);
+    var method = session ? this.helper.getSafe(this.TABLES.SCORING_METHOD, session.scoring_method, ['sys_id', 'is_numeric']) : null;
+    var calculator = new StatisticsCalculatorFluent();
+    var valueMap = method ? calculator.getScoringValueMap(method.sys_id) : {};
+    var isNumeric = method ? !!method.is_numeric : false;
+
+    var voting = new VotingOperationsFluent();
+    var anonymous = voting.hidesVoters(story.session);
+    var revealed = [this.STORY_STATUS.REVEALED, this.STORY_STATUS.COMPLETED].indexOf(story.status) !== -1;
+    var rounds = this._groupRounds(storyId);
+    var previousSpread = null;
+
+    rounds.forEach(function(round) {
+      var hidden = round.is_current && !revealed;
+      var statistics = calculator.computeStatistics(round.votes, valueMap, isNumeric);
+
+      round.revealed = !hidden;
+      round.min_score = hidden ? null : statistics.min_score || null;
+      round.max_score = hidden ? null : statistics.max_score || null;
+      round.spread = hidden ? null : calculator.getSpread(statistics.min_score, statistics.max_score, valueMap, isNumeric);
+      round.spread_change = !round.undone && previousSpread !== null && round.spread !== null ?
+        Math.round((previousSpread - round.spread) * 100) / 100 :
+        null;
+
+      if (hidden) {
+        round.votes.forEach(function(vote) {
+          vote.vote_value = null;
+        });
+      } else if (anonymous) {
+        round.votes = voting.anonymizeVotes(round.votes, valueMap);
+      }
+      if (!round.undone && round.spread !== null) {
+        previousSpread = round.spread;
+      }
+    });
+
+    return {
+      story: story,
+      anonymous: anonymous,
+      rounds: rounds,
+      convergence: this._convergence(rounds)
+    };
+  },
+
+  /**
+   * Votes grouped by vote_sequence and undone_at, each round's votes in
+   * voted_at order. An undone round precedes the live round that reused its
+   * vote_sequence.
+   * @private
+   */
+  _groupRounds: function(storyId) {
+    var votes = this.helper.queryOrdered(
+      this.TABLES.VOTE,
+      { session_story: storyId },
+      ['voter', 'voter$DISPLAY', 'vote_value', 'vote_sequence', 'is_current', 'voted_at', 'undone_at'],
+      'vote_sequence'
+    );
+
+    var rounds = [];
+    var byKey = {};
+
+    votes.forEach(function(vote) {
+      var sequence = parseInt(vote.vote_sequence, 10) || 1;
+      var undoneAt = vote.undone_at || null;
+      var key = sequence + '|' + (undoneAt || '');
+      if (!byKey[key]) {
+        byKey[key] = {
+          sequence: sequence,
+          is_current: false,
+          undone: !!undoneAt,
+          undone_at: undoneAt,
+          started_at: null,
+          ended_at: null,
+          votes: []
+        };
+        rounds.push(byKey[key]);
+      }
+
+      var round = byKey[key];
+      round.is_current = round.is_current || !!vote.is_current;
+      round.votes.push({
+        voter: vote.voter,
+        voter_name: vote['voter$DISPLAY'] || '',
+        vote_value: vote.vote_value,
+        voted_at: vote.voted_at
+      });
+    });
+
+    rounds.sort(function(a, b) {
+      if (a.sequence !== b.sequence) {
+        return a.sequence - b.sequence;
+      }
+      if (a.undone !== b.undone) {
+        return a.undone ? -1 : 1;
+      }
+      return a.undone_at < b.undone_at ? -1 : a.undone_at > b.undone_at ? 1 : 0;
+    });
+
+    rounds.forEach(function(round) {
+      round.votes.sort(function(a, b) {
+        return a.voted_at < b.voted_at ? -1 : a.voted_at > b.voted_at ? 1 : 0;
+      });
+      round.started_at = round.votes[0].voted_at;
+      round.ended_at = round.votes[round.votes.length - 1].voted_at;
+    });
+
+    return rounds;
+  },
+
+  /**
+   * Overall narrowing between the first and last rounds that have a spread
+   * @private
+   */
+  _convergence: function(rounds) {
+    var measured = rounds.filter(function(round) {
+      return !round.undone && round.spread !== null;
+    });
+
+    if (measured.length === 0) {
+      return { first_spread: null, last_spread: null, narrowed_by: null, rounds_measured: 0 };
+    }
+
+    var first = measured[0].spread;
+    var last = measured[measured.length - 1].spread;
+
+    return {
+      first_spread: first,
+      last_spread: last,
+      narrowed_by: Math.round((first - last) * 100) / 100,
+      rounds_measured: measured.length
+    };
+  },
+
+  type: 'VoteHistoryFluent'
+};
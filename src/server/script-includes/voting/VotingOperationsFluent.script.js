@@ -0,0 +1,825 @@
+/* global Class, GlideDateTime, GlideQuery, gs, FluentQueryHelper, PlanningPokerConstants, StatisticsCalculatorFluent, ParticipantManagerFluent, VoterEligibilityFluent */
+
+/**
+ * VotingOperationsFluent - Vote casting, revealing and re-voting
+ *
+ * Implements the versioned vote flow: each voting round on a story uses
+ * vote_sequence = times_revoted + 1, and only the latest round is flagged
+ * is_current. A re-vote retires the current round instead of deleting it so
+ * the history is preserved (see VoteHistoryFluent), and undoLastRevote can
+ * bring the previous round back; the abandoned round is kept, stamped with
+ * undone_at.
+ *
+ * Voting rounds can be time-boxed (session_stories.time_limit, else
+ * planning_session.voting_time_limit). Opening a round stamps
+ * voting_deadline; revealExpiredStories, run by the voting timer job,
+ * reveals rounds past their deadline through the same revealVotes path as
+ * auto_reveal, even when votes are missing.
+ *
+ * Sessions with anonymous_voting hide planning_vote.voter from everyone but
+ * admins and application admins once values are visible (see hidesVoters). Who has voted stays
+ * visible so the dealer knows when to reveal.
+ *
+ * @class VotingOperationsFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var VotingOperationsFluent = Class.create();
+
+VotingOperationsFluent.prototype = {
+
+  /**
+   * Initialize the VotingOperationsFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[VotingOperationsFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.STORY_STATUS = PlanningPokerConstants.STORY_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Open voting on a pending story and make it the session's current story
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  startVoting: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== this.STORY_STATUS.PENDING) {
+      return this._failure('Voting can only start on a pending story (status: ' + story.status + ')');
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, story.session, ['status', 'current_story']);
+    if (!session || session.status !== PlanningPokerConstants.SESSION_STATUS.ACTIVE) {
+      return this._failure('Session is not active');
+    }
+
+    if (session.current_story && session.current_story !== storyId) {
+      var current = this._getStory(session.current_story);
+      if (current && (current.status === this.STORY_STATUS.VOTING || current.status === this.STORY_STATUS.REVEALED)) {
+        return this._failure('Complete or skip the current story first');
+      }
+    }
+
+    var result = this.helper.updateSafe(this.TABLES.STORY, storyId, this._openRound(story, {}));
+    if (!result.success) {
+      return result;
+    }
+
+    return this.helper.updateSafe(this.TABLES.SESSION, story.session, { current_story: storyId });
+  },
+
+  /**
+   * Cast a vote on a story. If the voter already has a current vote in this
+   * round it is changed in place rather than duplicated. Only eligible voters
+   * may vote (see VoterEligibilityFluent); voter group members are enrolled
+   * as participants on their first vote.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @param {string} value - Vote value (must match a scoring_value for the session's method)
+   * @param {string} [voterId] - Voter sys_user sys_id (defaults to current user)
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   *
+   * @example
+   * var voting = new VotingOperationsFluent();
+   * var result = voting.castVote(storyId, 'M');
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  castVote: function(storyId, value, voterId) {
+    voterId = voterId || gs.getUserID();
+
+    var story = this._getStory(storyId);
+    var error = this._validateVote(story, storyId, value);
+    if (error) {
+      return this._failure(error);
+    }
+
+    var eligibility = new VoterEligibilityFluent();
+    eligibility.ensureParticipant(story.session, voterId);
+    if (!eligibility.isEligible(story.session, voterId)) {
+      return this._failure('User is not eligible to vote in this session');
+    }
+
+    new ParticipantManagerFluent().touch(story.session, voterId);
+
+    var existing = this._getCurrentVote(storyId, voterId);
+    if (existing) {
+      return this._updateVote(existing, value);
+    }
+
+    return this.helper.insertSafe(this.TABLES.VOTE, {
+      session: story.session,
+      session_story: storyId,
+      voter: voterId,
+      vote_value: value,
+      vote_sequence: this._currentSequence(story),
+      is_current: true,
+      voted_at: this._now()
+    });
+  },
+
+  /**
+   * Change the voter's current vote in the active round
+   *
+   * @param {string} storyId - Session story sys_id
+   * @param {string} value - New vote value
+   * @param {string} [voterId] - Voter sys_user sys_id (defaults to current user)
+   * @returns {Object} Result object {success: boolean, sysId: string|null, error: string|null}
+   */
+  changeVote: function(storyId, value, voterId) {
+    voterId = voterId || gs.getUserID();
+
+    var story = this._getStory(storyId);
+    var error = this._validateVote(story, storyId, value);
+    if (error) {
+      return this._failure(error);
+    }
+
+    if (!new VoterEligibilityFluent().isEligible(story.session, voterId)) {
+      return this._failure('User is not eligible to vote in this session');
+    }
+
+    var existing = this._getCurrentVote(storyId, voterId);
+    if (!existing) {
+      return this._failure('No current vote to change for this story');
+    }
+
+    new ParticipantManagerFluent().touch(story.session, voterId);
+
+    return this._updateVote(existing, value);
+  },
+
+  /**
+   * Reveal the votes on a story (voting → revealed) and calculate its
+   * average/min/max/consensus statistics. Eligible voters without a current
+   * vote are recorded in non_voters.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  revealVotes: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== this.STORY_STATUS.VOTING) {
+      return this._failure('Only stories in voting can be revealed (status: ' + story.status + ')');
+    }
+
+    var result = this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      status: this.STORY_STATUS.REVEALED,
+      non_voters: this._getNonVoters(story.session, storyId).join(',')
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    var statistics = new StatisticsCalculatorFluent().calculateStoryStatistics(storyId);
+    return {
+      success: statistics.success,
+      error: statistics.error
+    };
+  },
+
+  /**
+   * Start a new voting round on a story. Current votes are retired
+   * (is_current=false), times_revoted is incremented and the story returns
+   * to voting so new votes are cast with vote_sequence + 1.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  revote: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== this.STORY_STATUS.VOTING && story.status !== this.STORY_STATUS.REVEALED) {
+      return this._failure('Only stories in voting or revealed can be re-voted (status: ' + story.status + ')');
+    }
+
+    var currentVotes = this.getCurrentVotes(storyId);
+    for (var i = 0; i < currentVotes.length; i++) {
+      var retired = this.helper.updateSafe(this.TABLES.VOTE, currentVotes[i].sys_id, { is_current: false });
+      if (!retired.success) {
+        return retired;
+      }
+    }
+
+    var result = this.helper.updateSafe(this.TABLES.STORY, storyId, this._openRound(story, {
+      times_revoted: (parseInt(story.times_revoted, 10) || 0) + 1
+    }));
+    if (!result.success) {
+      return result;
+    }
+
+    return new StatisticsCalculatorFluent().clearStoryStatistics(storyId);
+  },
+
+  /**
+   * Undo the last re-vote: the current round's votes are retired and
+   * stamped with undone_at, the previous round (vote_sequence - 1) becomes
+   * current again and the story returns to revealed with that round's
+   * statistics.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   *
+   * @example
+   * var result = new VotingOperationsFluent().undoLastRevote(storyId);
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  undoLastRevote: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== this.STORY_STATUS.VOTING && story.status !== this.STORY_STATUS.REVEALED) {
+      return this._failure('Only stories in voting or revealed can undo a re-vote (status: ' + story.status + ')');
+    }
+
+    var timesRevoted = parseInt(story.times_revoted, 10) || 0;
+    if (timesRevoted < 1) {
+      return this._failure('Story has not been re-voted');
+    }
+
+    // Leave voting first so restoring the previous round cannot trigger auto_reveal
+    var result = this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      status: this.STORY_STATUS.REVEALED,
+      times_revoted: timesRevoted - 1,
+      voting_deadline: ''
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    var undoneAt = this._now();
+    var currentVotes = this.getCurrentVotes(storyId);
+    for (var i = 0; i < currentVotes.length; i++) {
+      var undone = this.helper.updateSafe(this.TABLES.VOTE, currentVotes[i].sys_id, { is_current: false, undone_at: undoneAt });
+      if (!undone.success) {
+        return undone;
+      }
+    }
+
+    // Skip earlier undone rounds that reused the same vote_sequence
+    var previousVotes = [];
+    new GlideQuery(this.TABLES.VOTE)
+      .where('session_story', storyId)
+      .where('vote_sequence', timesRevoted)
+      .whereNull('undone_at')
+      .select('sys_id')
+      .forEach(function(vote) {
+        previousVotes.push(vote);
+      });
+    for (var j = 0; j < previousVotes.length; j++) {
+      var restored = this.helper.updateSafe(this.TABLES.VOTE, previousVotes[j].sys_id, { is_current: true });
+      if (!restored.success) {
+        return restored;
+      }
+    }
+
+    result = this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      non_voters: this._getNonVoters(story.session, storyId).join(',')
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    var statistics = new StatisticsCalculatorFluent().calculateStoryStatistics(storyId);
+    return {
+      success: statistics.success,
+      error: statistics.error
+    };
+  },
+
+  /**
+   * Accept a final score for a revealed story (revealed → completed).
+   * score_overridden records whether it differs from the suggested_score
+   * calculated at reveal; completed_at is stamped.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @param {string} finalScore - Agreed estimate (must match a scoring_value for the session's method)
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  completeStory: function(storyId, finalScore) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status !== this.STORY_STATUS.REVEALED) {
+      return this._failure('Only revealed stories can be completed (status: ' + story.status + ')');
+    }
+
+    if (!this._isValidValue(story.session, finalScore)) {
+      return this._failure('Invalid final score for this scoring method: ' + finalScore);
+    }
+
+    return this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      status: this.STORY_STATUS.COMPLETED,
+      final_score: finalScore,
+      score_overridden: !!story.suggested_score && story.suggested_score !== finalScore,
+      completed_at: this._now()
+    });
+  },
+
+  /**
+   * Complete a revealed story with its suggested_score (one-click accept)
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   *
+   * @example
+   * var result = new VotingOperationsFluent().acceptSuggestedScore(storyId);
+   * if (!result.success) {
+   *   gs.addErrorMessage(result.error);
+   * }
+   */
+  acceptSuggestedScore: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (!story.suggested_score) {
+      return this._failure('No suggested score for this story; choose a final score instead');
+    }
+
+    return this.completeStory(storyId, story.suggested_score);
+  },
+
+  /**
+   * Skip a story that has not been completed
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result object {success: boolean, error: string|null}
+   */
+  skipStory: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story) {
+      return this._failure('Story not found: ' + storyId);
+    }
+
+    if (story.status === this.STORY_STATUS.COMPLETED || story.status === this.STORY_STATUS.SKIPPED) {
+      return this._failure('Story is already ' + story.status);
+    }
+
+    return this.helper.updateSafe(this.TABLES.STORY, storyId, {
+      status: this.STORY_STATUS.SKIPPED,
+      completed_at: this._now()
+    });
+  },
+
+  /**
+   * Reveal the story automatically when the session has auto_reveal enabled
+   * and every eligible voter has a current vote on the session's current story
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result {success: boolean, revealed: boolean, error: string|null}
+   */
+  autoRevealIfComplete: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story || story.status !== this.STORY_STATUS.VOTING) {
+      return { success: true, revealed: false, error: null };
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, story.session, ['auto_reveal', 'current_story']);
+    if (!session || !session.auto_reveal || session.current_story !== storyId) {
+      return { success: true, revealed: false, error: null };
+    }
+
+    var eligible = new VoterEligibilityFluent().getEligibleVoterIds(story.session);
+    if (eligible.length === 0) {
+      return { success: true, revealed: false, error: null };
+    }
+
+    var voted = this.getCurrentVotes(storyId).map(function(vote) {
+      return vote.voter;
+    });
+    var allVoted = eligible.every(function(userId) {
+      return voted.indexOf(userId) !== -1;
+    });
+
+    if (!allVoted) {
+      return { success: true, revealed: false, error: null };
+    }
+
+    var result = this.revealVotes(storyId);
+    return {
+      success: result.success,
+      revealed: result.success,
+      error: result.error
+    };
+  },
+
+  /**
+   * Reveal a story whose timed voting round has passed its deadline,
+   * whether or not every eligible voter has voted
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object} Result {success: boolean, revealed: boolean, error: string|null}
+   */
+  revealIfExpired: function(storyId) {
+    var story = this._getStory(storyId);
+    if (!story || story.status !== this.STORY_STATUS.VOTING || this.getSecondsRemaining(story) !== 0) {
+      return { success: true, revealed: false, error: null };
+    }
+
+    var result = this.revealVotes(storyId);
+    return {
+      success: result.success,
+      revealed: result.success,
+      error: result.error
+    };
+  },
+
+  /**
+   * Reveal every story in voting whose deadline has passed. Called by the
+   * Planning Poker - Voting Timer scheduled job.
+   *
+   * @returns {Object} {revealed: number, errors: Array<string>}
+   *
+   * @example
+   * var run = new VotingOperationsFluent().revealExpiredStories();
+   * gs.info('Timed out rounds revealed: ' + run.revealed);
+   */
+  revealExpiredStories: function() {
+    var run = { revealed: 0, errors: [] };
+    var expired = [];
+
+    try {
+      new GlideQuery(this.TABLES.STORY)
+        .where('status', this.STORY_STATUS.VOTING)
+        .whereNotNull('voting_deadline')
+        .where('voting_deadline', '<=', this._now())
+        .select('sys_id')
+        .forEach(function(story) {
+          expired.push(story.sys_id);
+        });
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Error finding expired voting rounds: ' + error.message);
+      run.errors.push(error.message);
+      return run;
+    }
+
+    for (var i = 0; i < expired.length; i++) {
+      var result = this.revealIfExpired(expired[i]);
+      if (result.revealed) {
+        run.revealed++;
+      } else if (!result.success) {
+        run.errors.push(expired[i] + ': ' + result.error);
+      }
+    }
+
+    return run;
+  },
+
+  /**
+   * Seconds left in a story's timed voting round
+   *
+   * @param {Object} story - Story record with voting_deadline
+   * @returns {number|null} Seconds remaining (0 once expired), or null when untimed
+   */
+  getSecondsRemaining: function(story) {
+    if (!story || !story.voting_deadline) {
+      return null;
+    }
+
+    var remaining = new GlideDateTime(story.voting_deadline).getNumericValue() - new GlideDateTime().getNumericValue();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+  },
+
+  /**
+   * Get a story's results. Vote values and the distribution are only
+   * included once the story has been revealed; before that the votes list
+   * only shows who has voted. Once revealed, non_voters lists the eligible
+   * voters who did not vote in the round. In anonymous sessions revealed
+   * votes carry no voter, name or time and are sorted in card order.
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Object|null} {story, revealed, anonymous, votes: Array, non_voters: Array, distribution: Object|null} or null if not found
+   *
+   * @example
+   * var results = new VotingOperationsFluent().getResults(storyId);
+   * if (results && results.revealed) {
+   *   gs.info('Average: ' + results.story.average_score);
+   * }
+   */
+  getResults: function(storyId) {
+    var story = this.helper.getSafe(this.TABLES.STORY, storyId, [
+      'sys_id', 'session', 'title', 'status', 'final_score', 'vote_count', 'times_revoted',
+      'average_score', 'min_score', 'max_score', 'consensus_reached', 'consensus_rule', 'suggested_score',
+      'score_overridden', 'voting_deadline', 'non_voters'
+    ]);
+    if (!story) {
+      return null;
+    }
+
+    var revealed = [this.STORY_STATUS.REVEALED, this.STORY_STATUS.COMPLETED].indexOf(story.status) !== -1;
+    var votes = this.helper.query(
+      this.TABLES.VOTE,
+      { session_story: storyId, is_current: true },
+      ['voter', 'voter$DISPLAY', 'vote_value', 'voted_at']
+    );
+
+    var distribution = revealed ? votes.reduce(function(acc, vote) {
+      acc[vote.vote_value] = (acc[vote.vote_value] || 0) + 1;
+      return acc;
+    }, {}) : null;
+
+    var anonymous = this.hidesVoters(story.session);
+    var visibleVotes = votes.map(function(vote) {
+      return {
+        voter: vote.voter,
+        voter_name: vote['voter$DISPLAY'] || '',
+        vote_value: revealed ? vote.vote_value : null,
+        voted_at: vote.voted_at
+      };
+    });
+
+    return {
+      story: story,
+      revealed: revealed,
+      anonymous: anonymous,
+      votes: anonymous && revealed ? this.anonymizeVotes(visibleVotes, this._scoringValueMap(story.session)) : visibleVotes,
+      non_voters: revealed ? this._getUsers(story.non_voters) : [],
+      distribution: distribution
+    };
+  },
+
+  /**
+   * Whether the current user must not see who cast which vote in a session:
+   * true when the session has anonymous_voting and the user is neither an
+   * admin nor an application admin
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {boolean} True when voter identities are to be hidden
+   */
+  hidesVoters: function(sessionId) {
+    if (gs.hasRole('admin') || gs.hasRole(PlanningPokerConstants.APP_ROLES.ADMIN)) {
+      return false;
+    }
+
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['anonymous_voting']);
+    return !!session && !!session.anonymous_voting;
+  },
+
+  /**
+   * Strip voter, name and voted_at from votes with visible values and sort
+   * them in card order, so the order cannot be matched against who voted when.
+   * Values missing from the deck go last.
+   *
+   * @param {Array<Object>} votes - Votes with voter, voter_name, vote_value, voted_at
+   * @param {Object<string, Object>} valueMap - Scoring values keyed by value
+   *   (see StatisticsCalculatorFluent.getScoringValueMap)
+   * @returns {Array<Object>} Anonymous votes
+   */
+  anonymizeVotes: function(votes, valueMap) {
+    var cardOrder = function(value) {
+      var scoringValue = valueMap[value];
+      return scoringValue ? parseFloat(scoringValue.order) || 0 : Number.MAX_VALUE;
+    };
+
+    return votes.map(function(vote) {
+      return {
+        voter: null,
+        voter_name: '',
+        vote_value: vote.vote_value,
+        voted_at: null
+      };
+    }).sort(function(a, b) {
+      var difference = cardOrder(a.vote_value) - cardOrder(b.vote_value);
+      if (difference !== 0) {
+        return difference;
+      }
+      return String(a.vote_value) < String(b.vote_value) ? -1 : String(a.vote_value) > String(b.vote_value) ? 1 : 0;
+    });
+  },
+
+  /**
+   * Get the current round's votes for a story
+   *
+   * @param {string} storyId - Session story sys_id
+   * @returns {Array<Object>} Vote records (sys_id, voter, vote_value, vote_sequence, voted_at)
+   */
+  getCurrentVotes: function(storyId) {
+    return this.helper.query(
+      this.TABLES.VOTE,
+      { session_story: storyId, is_current: true },
+      ['sys_id', 'voter', 'vote_value', 'vote_sequence', 'voted_at']
+    );
+  },
+
+  /**
+   * Get the scoring values available to a session, in display order
+   *
+   * @param {string} sessionId - Session sys_id
+   * @returns {Array<Object>} Scoring value records (sys_id, value, numeric_value, order, is_special)
+   */
+  getScoringValues: function(sessionId) {
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['scoring_method']);
+    if (!session) {
+      return [];
+    }
+
+    return this.helper.queryOrdered(
+      this.TABLES.SCORING_VALUE,
+      { scoring_method: session.scoring_method },
+      ['sys_id', 'value', 'numeric_value', 'order', 'is_special', 'description'],
+      'order'
+    );
+  },
+
+  /**
+   * The session's scoring values keyed by value
+   * @private
+   */
+  _scoringValueMap: function(sessionId) {
+    return this.getScoringValues(sessionId).reduce(function(map, scoringValue) {
+      map[scoringValue.value] = scoringValue;
+      return map;
+    }, {});
+  },
+
+  /**
+   * Validate that a vote may be cast on the story with the given value
+   * @private
+   * @returns {string|null} Error message or null when valid
+   */
+  _validateVote: function(story, storyId, value) {
+    if (!story) {
+      return 'Story not found: ' + storyId;
+    }
+
+    if (story.status !== this.STORY_STATUS.VOTING) {
+      return 'Story is not open for voting (status: ' + story.status + ')';
+    }
+
+    if (this.getSecondsRemaining(story) === 0) {
+      return 'Voting time is up for this round';
+    }
+
+    if (!this._isValidValue(story.session, value)) {
+      return 'Invalid vote value for this scoring method: ' + value;
+    }
+
+    return null;
+  },
+
+  /**
+   * Check that a value exists in the session's scoring method
+   * @private
+   */
+  _isValidValue: function(sessionId, value) {
+    var session = this.helper.getSafe(this.TABLES.SESSION, sessionId, ['scoring_method']);
+    if (!session || !value) {
+      return false;
+    }
+
+    return this.helper.query(
+      this.TABLES.SCORING_VALUE,
+      { scoring_method: session.scoring_method, value: value },
+      ['sys_id']
+    ).length > 0;
+  },
+
+  /**
+   * @private
+   */
+  _getStory: function(storyId) {
+    return this.helper.getSafe(this.TABLES.STORY, storyId, [
+      'session', 'status', 'times_revoted', 'time_limit', 'voting_deadline', 'suggested_score'
+    ]);
+  },
+
+  /**
+   * Fields that open a voting round: status, start time and, when the story
+   * or session has a time box, the deadline. Clears the previous round's
+   * non_voters.
+   * @private
+   */
+  _openRound: function(story, fields) {
+    var session = this.helper.getSafe(this.TABLES.SESSION, story.session, ['voting_time_limit']);
+    var timeLimit = parseInt(story.time_limit, 10) || 0;
+    if (timeLimit <= 0 && session) {
+      timeLimit = parseInt(session.voting_time_limit, 10) || 0;
+    }
+
+    var now = new GlideDateTime();
+    var deadline = '';
+    if (timeLimit > 0) {
+      var expires = new GlideDateTime(now);
+      expires.addSeconds(timeLimit);
+      deadline = expires.getValue();
+    }
+
+    fields.status = this.STORY_STATUS.VOTING;
+    fields.voting_started_at = now.getValue();
+    fields.voting_deadline = deadline;
+    fields.non_voters = '';
+    return fields;
+  },
+
+  /**
+   * Eligible voters without a current vote on the story
+   * @private
+   */
+  _getNonVoters: function(sessionId, storyId) {
+    var voted = this.getCurrentVotes(storyId).map(function(vote) {
+      return vote.voter;
+    });
+
+    return new VoterEligibilityFluent().getEligibleVoterIds(sessionId).filter(function(userId) {
+      return voted.indexOf(userId) === -1;
+    });
+  },
+
+  /**
+   * Resolve a glide_list of sys_user sys_ids to {user, name} pairs
+   * @private
+   */
+  _getUsers: function(userList) {
+    if (!userList) {
+      return [];
+    }
+
+    return String(userList).split(',').map(function(userId) {
+      var user = this.helper.getSafe('sys_user', userId, ['name']);
+      return {
+        user: userId,
+        name: user ? user.name : ''
+      };
+    }, this);
+  },
+
+  /**
+   * @private
+   */
+  _getCurrentVote: function(storyId, voterId) {
+    var votes = this.helper.query(
+      this.TABLES.VOTE,
+      { session_story: storyId, voter: voterId, is_current: true },
+      ['sys_id', 'vote_value']
+    );
+
+    return votes.length > 0 ? votes[0] : null;
+  },
+
+  /**
+   * @private
+   */
+  _updateVote: function(vote, value) {
+    var result = this.helper.updateSafe(this.TABLES.VOTE, vote.sys_id, {
+      vote_value: value,
+      voted_at: this._now()
+    });
+
+    return {
+      success: result.success,
+      sysId: result.success ? vote.sys_id : null,
+      error: result.error
+    };
+  },
+
+  /**
+   * Vote sequence for the story's active round
+   * @private
+   */
+  _currentSequence: function(story) {
+    return (parseInt(story.times_revoted, 10) || 0) + 1;
+  },
+
+  /**
+   * @private
+   */
+  _now: function() {
+    return new GlideDateTime().getValue();
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      sysId: null,
+      error: message
+    };
+  },
+
+  type: 'VotingOperationsFluent'
+};
@@ -0,0 +1,505 @@
+/* global Class, GlideDateTime, GlideQuery, GlideRecord, GlideCertificateEncryption, gs, sn_ws, FluentQueryHelper, PlanningPokerConstants */
+
+/**
+ * WebhookDispatcherFluent - Outbound webhook notifications
+ *
+ * SessionEventFeedFluent.publish hands every feed event to enqueue, which
+ * maps it to a webhook event (session.started, story.revealed,
+ * story.completed, session.completed, participant.joined) and queues one
+ * webhook_delivery per matching active subscription. The request body is
+ * built once at that point, so retries send the same content:
+ *
+ *   json  - {event, occurred_at, session, story, participant} envelope
+ *   slack - {text} for Slack incoming webhooks
+ *   teams - MessageCard for Microsoft Teams incoming webhooks
+ *
+ * Deliveries are POSTed by an async business rule on webhook_delivery
+ * insert and retried by the Planning Poker - Webhook Retry scheduled job
+ * with exponential backoff (1, 2, 4, 8, 16 minutes) before being marked
+ * failed. Each attempt first claims the delivery by moving it to sending
+ * with a conditional update, so the async rule and overlapping retry runs
+ * never POST the same attempt twice. Requests carry X-PlanningPoker-Event, X-PlanningPoker-Delivery
+ * (stable across retries), X-PlanningPoker-Timestamp and, when the
+ * subscription has a secret, X-PlanningPoker-Signature:
+ *
+ *   sha256=<base64 HMAC-SHA256(secret, timestamp + '.' + body)>
+ *
+ * @class WebhookDispatcherFluent
+ * @namespace x_902080_msmplnpkr_fluent
+ */
+var WebhookDispatcherFluent = Class.create();
+
+WebhookDispatcherFluent.MAX_ATTEMPTS = 6;
+WebhookDispatcherFluent.RETRY_DELAY_SECONDS = 60;
+WebhookDispatcherFluent.TIMEOUT_MS = 10000;
+WebhookDispatcherFluent.RETRY_BATCH = 100;
+WebhookDispatcherFluent.SENDING_LEASE_SECONDS = 300;
+
+WebhookDispatcherFluent.prototype = {
+
+  /**
+   * Initialize the WebhookDispatcherFluent
+   * @constructor
+   */
+  initialize: function() {
+    this.LOG_PREFIX = '[WebhookDispatcherFluent]';
+    this.TABLES = PlanningPokerConstants.TABLES;
+    this.EVENTS = PlanningPokerConstants.WEBHOOK_EVENTS;
+    this.STATUS = PlanningPokerConstants.DELIVERY_STATUS;
+    this.helper = new FluentQueryHelper();
+  },
+
+  /**
+   * Queue deliveries of a feed event to every matching subscription.
+   * Feed events without a webhook equivalent are ignored.
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} eventType - One of PlanningPokerConstants.EVENT_TYPES
+   * @param {Object} [details] - {story: sys_id, user: sys_id, payload: Object} as passed to publish
+   * @returns {Object} Result object {success: boolean, queued: number, error: string|null}
+   *
+   * @example
+   * new WebhookDispatcherFluent().enqueue(sessionId, PlanningPokerConstants.EVENT_TYPES.VOTES_REVEALED, {
+   *   story: storyId
+   * });
+   */
+  enqueue: function(sessionId, eventType, details) {
+    details = details || {};
+
+    var event = this.toWebhookEvent(eventType, details.payload);
+    if (!event) {
+      return { success: true, queued: 0, error: null };
+    }
+
+    var subscriptions = this.getSubscriptions(sessionId, event);
+    if (subscriptions.length === 0) {
+      return { success: true, queued: 0, error: null };
+    }
+
+    var envelope = this._buildEnvelope(sessionId, event, details);
+    var nextAttempt = this._later(WebhookDispatcherFluent.RETRY_DELAY_SECONDS);
+    var errors = [];
+
+    subscriptions.forEach(function(subscription) {
+      var result = this.helper.insertSafe(this.TABLES.WEBHOOK_DELIVERY, {
+        subscription: subscription.sys_id,
+        session: sessionId,
+        event: event,
+        payload: JSON.stringify(this._formatBody(subscription.format, envelope)),
+        status: this.STATUS.PENDING,
+        attempts: 0,
+        // Fallback for the retry job in case the async send never runs
+        next_attempt_at: nextAttempt
+      });
+      if (!result.success) {
+        errors.push(subscription.sys_id + ': ' + result.error);
+      }
+    }, this);
+
+    if (errors.length > 0) {
+      gs.warn(this.LOG_PREFIX + ' Could not queue ' + event + ' for session ' + sessionId + ': ' + errors.join('; '));
+    }
+
+    return {
+      success: errors.length === 0,
+      queued: subscriptions.length - errors.length,
+      error: errors.length > 0 ? errors.join('; ') : null
+    };
+  },
+
+  /**
+   * Webhook event name for a feed event, or null when it is not sent
+   *
+   * @param {string} eventType - One of PlanningPokerConstants.EVENT_TYPES
+   * @param {Object} [payload] - Feed event payload (status, previous_status, ...)
+   * @returns {string|null} One of PlanningPokerConstants.WEBHOOK_EVENTS
+   */
+  toWebhookEvent: function(eventType, payload) {
+    var FEED = PlanningPokerConstants.EVENT_TYPES;
+    var SESSION_STATUS = PlanningPokerConstants.SESSION_STATUS;
+    payload = payload || {};
+
+    if (eventType === FEED.SESSION_STATUS_CHANGED) {
+      if (payload.status === SESSION_STATUS.ACTIVE && payload.previous_status === SESSION_STATUS.PENDING) {
+        return this.EVENTS.SESSION_STARTED;
+      }
+      return payload.status === SESSION_STATUS.COMPLETED ? this.EVENTS.SESSION_COMPLETED : null;
+    }
+
+    if (eventType === FEED.VOTES_REVEALED) {
+      return this.EVENTS.STORY_REVEALED;
+    }
+
+    if (eventType === FEED.STORY_STATUS_CHANGED) {
+      return payload.status === PlanningPokerConstants.STORY_STATUS.COMPLETED ? this.EVENTS.STORY_COMPLETED : null;
+    }
+
+    return eventType === FEED.PARTICIPANT_JOINED ? this.EVENTS.PARTICIPANT_JOINED : null;
+  },
+
+  /**
+   * Active subscriptions that want an event from a session: session empty
+   * or matching, events empty or listing the event
+   *
+   * @param {string} sessionId - Session sys_id
+   * @param {string} event - Webhook event name
+   * @returns {Array<Object>} Subscriptions {sys_id, format}
+   */
+  getSubscriptions: function(sessionId, event) {
+    return this.helper.query(
+      this.TABLES.WEBHOOK_SUBSCRIPTION,
+      { active: true },
+      ['sys_id', 'format', 'events', 'session']
+    ).filter(function(subscription) {
+      if (subscription.session && subscription.session !== sessionId) {
+        return false;
+      }
+
+      var events = (subscription.events || '').split(',').map(function(name) {
+        return name.trim();
+      }).filter(function(name) {
+        return name !== '';
+      });
+      return events.length === 0 || events.indexOf(event) !== -1;
+    });
+  },
+
+  /**
+   * POST a queued delivery and record the outcome. Failures with no
+   * response, 408, 429 or 5xx are retried with backoff until MAX_ATTEMPTS;
+   * other 4xx responses fail straight away. Nothing is sent when another
+   * transaction has already claimed the attempt.
+   *
+   * @param {string} deliveryId - webhook_delivery sys_id
+   * @returns {Object} Result object {success: boolean, status: string|null, error: string|null}
+   */
+  deliver: function(deliveryId) {
+    var delivery = this.helper.getSafe(
+      this.TABLES.WEBHOOK_DELIVERY,
+      deliveryId,
+      ['sys_id', 'subscription', 'event', 'payload', 'status', 'attempts']
+    );
+    if (!delivery) {
+      return this._failure('Delivery not found: ' + deliveryId);
+    }
+
+    if (delivery.status === this.STATUS.DELIVERED || delivery.status === this.STATUS.FAILED) {
+      return this._failure('Delivery ' + deliveryId + ' is already ' + delivery.status);
+    }
+
+    var attempts = (parseInt(delivery.attempts, 10) || 0) + 1;
+    if (!this._claim(delivery, attempts)) {
+      return this._failure('Delivery ' + deliveryId + ' is already being sent');
+    }
+
+    var subscription = this.helper.getSafe(this.TABLES.WEBHOOK_SUBSCRIPTION, delivery.subscription, ['url', 'active']);
+    if (!subscription || !subscription.active) {
+      return this._record(delivery, attempts, this.STATUS.FAILED, 0, 'Subscription is inactive or was deleted');
+    }
+
+    var sent = this._post(subscription.url, delivery, this._getSecret(delivery.subscription));
+    if (sent.success) {
+      return this._record(delivery, attempts, this.STATUS.DELIVERED, sent.status, '');
+    }
+
+    var retryable = sent.status === 0 || sent.status === 408 || sent.status === 429 || sent.status >= 500;
+    var status = retryable && attempts < WebhookDispatcherFluent.MAX_ATTEMPTS ? this.STATUS.RETRYING : this.STATUS.FAILED;
+    return this._record(delivery, attempts, status, sent.status, sent.error);
+  },
+
+  /**
+   * Send every pending or retrying delivery whose next attempt is due, and
+   * take over sending deliveries whose claim ran out without an outcome.
+   * Called by the Planning Poker - Webhook Retry scheduled job.
+   *
+   * @returns {Object} {attempted: number, delivered: number, failed: number, errors: Array<string>}
+   *
+   * @example
+   * var run = new WebhookDispatcherFluent().retryDue();
+   * gs.info('Webhooks delivered: ' + run.delivered + ' of ' + run.attempted);
+   */
+  retryDue: function() {
+    var run = { attempted: 0, delivered: 0, failed: 0, errors: [] };
+    var due = [];
+
+    try {
+      new GlideQuery(this.TABLES.WEBHOOK_DELIVERY)
+        .where('status', 'IN', [this.STATUS.PENDING, this.STATUS.RETRYING, this.STATUS.SENDING])
+        .where('next_attempt_at', '<=', new GlideDateTime().getValue())
+        .orderBy('next_attempt_at')
+        .limit(WebhookDispatcherFluent.RETRY_BATCH)
+        .select('sys_id')
+        .forEach(function(delivery) {
+          due.push(delivery.sys_id);
+        });
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Error finding due deliveries: ' + error.message);
+      run.errors.push(error.message);
+      return run;
+    }
+
+    for (var i = 0; i < due.length; i++) {
+      var result = this.deliver(due[i]);
+      if (result.status === null) {
+        continue;
+      }
+
+      run.attempted++;
+      if (result.status === this.STATUS.DELIVERED) {
+        run.delivered++;
+      } else if (result.status === this.STATUS.FAILED) {
+        run.failed++;
+        run.errors.push(due[i] + ': ' + result.error);
+      }
+    }
+
+    return run;
+  },
+
+  /**
+   * Signature header value for a request body
+   *
+   * @param {string} secret - Subscription secret
+   * @param {string|number} timestamp - X-PlanningPoker-Timestamp value (epoch seconds)
+   * @param {string} body - Exact request body
+   * @returns {string} 'sha256=' + base64 HMAC-SHA256 of timestamp + '.' + body
+   */
+  sign: function(secret, timestamp, body) {
+    var mac = new GlideCertificateEncryption().generateMac(gs.base64Encode(secret), 'HmacSHA256', timestamp + '.' + body);
+    return 'sha256=' + mac;
+  },
+
+  /**
+   * Event envelope shared by all subscriptions of an event. Vote values and
+   * voters are never included, so anonymous sessions stay anonymous.
+   * @private
+   */
+  _buildEnvelope: function(sessionId, event, details) {
+    var session = this.helper.getSafe(
+      this.TABLES.SESSION,
+      sessionId,
+      ['sys_id', 'name', 'session_code', 'status', 'total_stories', 'stories_completed']
+    ) || { sys_id: sessionId };
+
+    var envelope = {
+      event: event,
+      occurred_at: new GlideDateTime().getValue(),
+      session: session,
+      story: null,
+      participant: null
+    };
+
+    if (details.story) {
+      envelope.story = this.helper.getSafe(
+        this.TABLES.STORY,
+        details.story,
+        ['sys_id', 'title', 'status', 'final_score', 'average_score', 'min_score', 'max_score', 'consensus_reached', 'times_revoted']
+      );
+    }
+
+    if (details.user) {
+      var user = this.helper.getSafe('sys_user', details.user, ['name']);
+      envelope.participant = {
+        user: details.user,
+        name: user ? user.name : '',
+        role: details.payload ? details.payload.role || null : null
+      };
+    }
+
+    return envelope;
+  },
+
+  /**
+   * Request body for a subscription format
+   * @private
+   */
+  _formatBody: function(format, envelope) {
+    if (format === 'slack') {
+      return { text: this._summary(envelope) };
+    }
+
+    if (format === 'teams') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: envelope.event,
+        title: 'Planning Poker: ' + (envelope.session.name || ''),
+        text: this._summary(envelope)
+      };
+    }
+
+    return envelope;
+  },
+
+  /**
+   * One-line chat message for an event
+   * @private
+   */
+  _summary: function(envelope) {
+    var session = '"' + (envelope.session.name || envelope.session.sys_id) + '"';
+    var story = envelope.story || {};
+    var title = '"' + (story.title || '') + '"';
+
+    if (envelope.event === this.EVENTS.SESSION_STARTED) {
+      return 'Planning session ' + session + ' started';
+    }
+
+    if (envelope.event === this.EVENTS.SESSION_COMPLETED) {
+      return 'Planning session ' + session + ' completed: ' + (envelope.session.stories_completed || 0) +
+        ' of ' + (envelope.session.total_stories || 0) + ' stories estimated';
+    }
+
+    if (envelope.event === this.EVENTS.STORY_REVEALED) {
+      var range = story.min_score === story.max_score ? story.min_score : story.min_score + ' to ' + story.max_score;
+      return 'Votes revealed for ' + title + ' in ' + session + ': ' + (range || 'no votes') +
+        (story.average_score ? ' (average ' + story.average_score + ')' : '') +
+        (story.consensus_reached ? ', consensus' : '');
+    }
+
+    if (envelope.event === this.EVENTS.STORY_COMPLETED) {
+      return title + ' estimated at ' + (story.final_score || '-') + ' in ' + session;
+    }
+
+    return (envelope.participant ? envelope.participant.name : 'Someone') + ' joined ' + session;
+  },
+
+  /**
+   * POST a delivery's stored body
+   * @private
+   */
+  _post: function(url, delivery, secret) {
+    var timestamp = String(Math.floor(new GlideDateTime().getNumericValue() / 1000));
+
+    try {
+      var message = new sn_ws.RESTMessageV2();
+      message.setEndpoint(url);
+      message.setHttpMethod('POST');
+      message.setHttpTimeout(WebhookDispatcherFluent.TIMEOUT_MS);
+      message.setRequestHeader('Content-Type', 'application/json');
+      message.setRequestHeader('X-PlanningPoker-Event', delivery.event);
+      message.setRequestHeader('X-PlanningPoker-Delivery', delivery.sys_id);
+      message.setRequestHeader('X-PlanningPoker-Timestamp', timestamp);
+      if (secret) {
+        message.setRequestHeader('X-PlanningPoker-Signature', this.sign(secret, timestamp, delivery.payload));
+      }
+      message.setRequestBody(delivery.payload);
+
+      var response = message.execute();
+      var status = response.getStatusCode();
+      if (status >= 200 && status < 300) {
+        return { success: true, status: status, error: null };
+      }
+
+      return {
+        success: false,
+        status: status,
+        error: 'HTTP ' + status + (response.getErrorMessage() ? ': ' + response.getErrorMessage() : '')
+      };
+    } catch (error) {
+      return { success: false, status: 0, error: error.message };
+    }
+  },
+
+  /**
+   * Decrypted subscription secret, '' when unset. GlideQuery only returns
+   * password2 values encrypted, so this is the one GlideRecord read.
+   * @private
+   */
+  _getSecret: function(subscriptionId) {
+    var subscription = new GlideRecord(this.TABLES.WEBHOOK_SUBSCRIPTION);
+    if (!subscription.get(subscriptionId)) {
+      return '';
+    }
+    return subscription.secret.getDecryptedValue() || '';
+  },
+
+  /**
+   * Claim an attempt: move the delivery to sending only if no one else
+   * has changed it since it was read (same status and attempts). A
+   * sending delivery can be taken over once SENDING_LEASE_SECONDS have
+   * passed, e.g. when the node sending it restarted.
+   * @private
+   */
+  _claim: function(delivery, attempts) {
+    var query = new GlideQuery(this.TABLES.WEBHOOK_DELIVERY)
+      .where('sys_id', delivery.sys_id)
+      .where('attempts', attempts - 1);
+
+    if (delivery.status === this.STATUS.SENDING) {
+      query = query
+        .where('status', this.STATUS.SENDING)
+        .where('next_attempt_at', '<=', new GlideDateTime().getValue());
+    } else {
+      query = query.where('status', 'IN', [this.STATUS.PENDING, this.STATUS.RETRYING]);
+    }
+
+    try {
+      return query.updateMultiple({
+        status: this.STATUS.SENDING,
+        attempts: attempts,
+        next_attempt_at: this._later(WebhookDispatcherFluent.SENDING_LEASE_SECONDS)
+      }).rowCount === 1;
+    } catch (error) {
+      gs.error(this.LOG_PREFIX + ' Could not claim delivery ' + delivery.sys_id + ': ' + error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Save an attempt's outcome; retrying deliveries get their next attempt
+   * after 1, 2, 4, 8 ... minutes
+   * @private
+   */
+  _record: function(delivery, attempts, status, responseCode, error) {
+    var update = {
+      status: status,
+      attempts: attempts,
+      response_code: responseCode,
+      last_error: error || '',
+      next_attempt_at: ''
+    };
+
+    if (status === this.STATUS.DELIVERED) {
+      update.delivered_at = new GlideDateTime().getValue();
+    } else if (status === this.STATUS.RETRYING) {
+      update.next_attempt_at = this._later(WebhookDispatcherFluent.RETRY_DELAY_SECONDS * Math.pow(2, attempts - 1));
+    } else {
+      gs.warn(this.LOG_PREFIX + ' Delivery ' + delivery.sys_id + ' (' + delivery.event + ') failed after ' + attempts + ' attempt(s): ' + error);
+    }
+
+    var result = this.helper.updateSafe(this.TABLES.WEBHOOK_DELIVERY, delivery.sys_id, update);
+    if (!result.success) {
+      gs.error(this.LOG_PREFIX + ' Could not record delivery ' + delivery.sys_id + ': ' + result.error);
+    }
+
+    return {
+      success: status === this.STATUS.DELIVERED,
+      status: status,
+      error: status === this.STATUS.DELIVERED ? null : error
+    };
+  },
+
+  /**
+   * Date-time value a number of seconds from now
+   * @private
+   */
+  _later: function(seconds) {
+    var time = new GlideDateTime();
+    time.addSeconds(seconds);
+    return time.getValue();
+  },
+
+  /**
+   * @private
+   */
+  _failure: function(message) {
+    gs.warn(this.LOG_PREFIX + ' ' + message);
+    return {
+      success: false,
+      status: null,
+      error: message
+    };
+  },
+
+  type: 'WebhookDispatcherFluent'
+};
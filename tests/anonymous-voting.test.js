@@ -0,0 +1,85 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8', '13', '?'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, {
+      scoring_method: method.sys_id,
+      value: value,
+      numeric_value: value === '?' ? null : Number(value),
+      order: index,
+      is_special: value === '?'
+    });
+  });
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer', scoring_method: method.sys_id, anonymous_voting: true });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'revealed', times_revoted: 0, order: 1 });
+  ['13', '2', '?', '8', '3'].forEach(function(value, index) {
+    runtime.insert(TABLES.VOTE, { session: session.sys_id, session_story: story.sys_id, voter: 'user_' + index, vote_value: value, vote_sequence: 1, is_current: true, voted_at: '2026-01-05 09:0' + index + ':00' });
+  });
+
+  return { runtime: runtime, story: story };
+}
+
+function values(votes) {
+  return Array.from(votes, function(vote) {
+    assert.strictEqual(vote.voter, null);
+    return vote.vote_value;
+  });
+}
+
+test('anonymous results are sorted in card order, not as strings', function() {
+  var env = setup();
+
+  var results = new (env.runtime.get('VotingOperationsFluent'))().getResults(env.story.sys_id);
+
+  assert.strictEqual(results.anonymous, true);
+  assert.deepStrictEqual(values(results.votes), ['2', '3', '8', '13', '?']);
+});
+
+test('anonymous history rounds are sorted in card order', function() {
+  var env = setup();
+
+  var history = new (env.runtime.get('VoteHistoryFluent'))().getStoryHistory(env.story.sys_id);
+
+  assert.deepStrictEqual(values(history.rounds[0].votes), ['2', '3', '8', '13', '?']);
+});
+
+test('anonymizeVotes puts values missing from the deck last', function() {
+  var env = setup();
+  var voting = new (env.runtime.get('VotingOperationsFluent'))();
+
+  var votes = voting.anonymizeVotes([{ vote_value: '40' }, { vote_value: '5' }, { vote_value: '1' }], { 1: { order: 0 }, 5: { order: 3 } });
+
+  assert.deepStrictEqual(values(votes), ['1', '5', '40']);
+});
+
+test('admins and application admins still see who voted in anonymous sessions', function() {
+  var env = setup();
+  var Voting = env.runtime.get('VotingOperationsFluent');
+  var voters = function() {
+    var results = new Voting().getResults(env.story.sys_id);
+    return [results.anonymous, Array.from(results.votes, function(vote) {
+      return vote.voter;
+    }).sort()];
+  };
+
+  assert.strictEqual(new Voting().hidesVoters(env.story.session), true);
+
+  ['admin', 'x_902080_msmplnpkr_fluent.admin'].forEach(function(role) {
+    env.runtime.setUser('dealer', [role]);
+
+    assert.strictEqual(new Voting().hidesVoters(env.story.session), false, role);
+    assert.deepStrictEqual(voters(), [false, ['user_0', 'user_1', 'user_2', 'user_3', 'user_4']], role);
+  });
+
+  env.runtime.setUser('dealer', ['x_902080_msmplnpkr_fluent.dealer']);
+  assert.strictEqual(new Voting().hidesVoters(env.story.session), true);
+});
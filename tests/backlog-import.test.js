@@ -0,0 +1,92 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer' });
+
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    session: session,
+    importer: new (runtime.get('StoryImportFluent'))(),
+    backlog: function(fields) {
+      return runtime.insert('rm_story', Object.assign({ sprint: 'sprint_1', description: '', acceptance_criteria: '' }, fields));
+    },
+    stories: function() {
+      return runtime.table(TABLES.STORY).filter(function(story) {
+        return story.session === session.sys_id;
+      }).sort(function(a, b) {
+        return a.order - b.order;
+      });
+    }
+  };
+}
+
+test('importFromBacklog maps short_description to title, in order then number', function() {
+  var env = setup();
+  var login = env.backlog({ number: 'STRY0010', short_description: 'Login', description: 'SSO login', acceptance_criteria: 'Works with MFA', order: 2 });
+  env.backlog({ number: 'STRY0003', short_description: 'Search', order: 2 });
+  env.backlog({ number: 'STRY0020', short_description: 'Export', order: 1 });
+  env.backlog({ number: 'STRY0001', short_description: '', order: 3 });
+  env.backlog({ number: 'STRY0002', short_description: 'Other sprint', order: 1, sprint: 'sprint_2' });
+
+  var result = env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.imported, 4);
+  assert.strictEqual(result.skipped, 0);
+  assert.deepStrictEqual(env.stories().map(function(story) {
+    return [story.order, story.title, story.status];
+  }), [[1, 'Export', 'pending'], [2, 'Search', 'pending'], [3, 'Login', 'pending'], [4, 'STRY0001', 'pending']]);
+
+  var imported = env.stories()[2];
+  assert.strictEqual(imported.story, login.sys_id);
+  assert.strictEqual(imported.description, 'SSO login');
+  assert.strictEqual(imported.acceptance_criteria, 'Works with MFA');
+});
+
+test('importFromBacklog skips stories already in the session', function() {
+  var env = setup();
+  env.backlog({ number: 'STRY0001', short_description: 'Login', order: 1 });
+  env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1' });
+  env.backlog({ number: 'STRY0002', short_description: 'Search', order: 2 });
+
+  var result = env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1' });
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.imported, 1);
+  assert.strictEqual(result.skipped, 1);
+  assert.deepStrictEqual(env.stories().map(function(story) {
+    return story.title;
+  }), ['Login', 'Search']);
+});
+
+test('importFromBacklog reads at most 500 stories, whatever the limit asked for', function() {
+  var env = setup();
+  for (var i = 1; i <= 502; i++) {
+    env.backlog({ number: 'STRY' + String(i).padStart(4, '0'), short_description: 'Story ' + i, order: i });
+  }
+
+  assert.strictEqual(env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1', limit: 2 }).imported, 2);
+  assert.strictEqual(env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1', limit: 1000 }).imported, 498);
+  assert.strictEqual(env.stories().length, 500);
+  assert.strictEqual(env.stories()[499].title, 'Story 500');
+
+  var other = env.runtime.insert(env.TABLES.SESSION, { name: 'Sprint 13', status: 'active', dealer: 'dealer' });
+  assert.strictEqual(env.importer.importFromBacklog(other.sys_id, { query: 'sprint=sprint_1' }).imported, 500);
+});
+
+test('importFromBacklog needs a selector and a session open for stories', function() {
+  var env = setup();
+
+  assert.strictEqual(env.importer.importFromBacklog(env.session.sys_id, {}).error, 'A sprint, epic, product or encoded query is required');
+
+  env.session.status = 'completed';
+  assert.strictEqual(env.importer.importFromBacklog(env.session.sys_id, { sprint: 'sprint_1' }).error, 'Stories cannot be added to a completed session');
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime();
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var teamSession = runtime.insert(TABLES.SESSION, { name: 'Team sprint', status: 'completed', start_time: '2026-01-05 09:00:00' });
+  runtime.insert(TABLES.VOTER_GROUP, { session: teamSession.sys_id, group: 'web_team', is_active: true });
+  runtime.insert(TABLES.SESSION, { name: 'Draft', status: 'pending' });
+  for (var day = 10; day < 20; day++) {
+    runtime.insert(TABLES.SESSION, { name: 'Sprint ' + day, status: 'completed', start_time: '2026-02-' + day + ' 09:00:00' });
+  }
+
+  return { runtime: runtime, dashboard: new (runtime.get('DashboardStatisticsFluent'))() };
+}
+
+// Copy into this realm's Array so deepStrictEqual compares values only
+function names(sessions) {
+  return Array.from(sessions, function(session) {
+    return session.name;
+  });
+}
+
+test('_getSessions filters by since before applying the limit', function() {
+  var env = setup();
+
+  var sessions = env.dashboard._getSessions({ since: '2026-02-15 00:00:00', limit: 3 });
+
+  assert.deepStrictEqual(names(sessions), ['Sprint 19', 'Sprint 18', 'Sprint 17']);
+  assert.deepStrictEqual(names(env.dashboard._getSessions({ since: '2026-02-18 00:00:00' })), ['Sprint 19', 'Sprint 18']);
+});
+
+test('_getSessions filters by voter group before applying the limit', function() {
+  var env = setup();
+
+  assert.deepStrictEqual(names(env.dashboard._getSessions({ group: 'web_team', limit: 3 })), ['Team sprint']);
+  assert.strictEqual(env.dashboard._getSessions({ group: 'no_team' }).length, 0);
+});
+
+test('_getSessions leaves out sessions that never started', function() {
+  var env = setup();
+
+  assert.strictEqual(names(env.dashboard._getSessions({})).indexOf('Draft'), -1);
+  assert.strictEqual(env.dashboard._getSessions({}).length, 11);
+});
+
+test('getDashboard requires the admin or dealer application role', function() {
+  var runtime = createRuntime({ user: 'someone', roles: [] });
+  var Ajax = runtime.get('PlanningPokerAjaxFluent');
+
+  var denied = JSON.parse(new Ajax({}).getDashboard());
+  assert.strictEqual(denied.success, false);
+  assert.strictEqual(denied.code, 'not_authorized');
+
+  ['x_902080_msmplnpkr_fluent.dealer', 'x_902080_msmplnpkr_fluent.admin'].forEach(function(role) {
+    runtime.setUser('someone', [role]);
+    assert.strictEqual(JSON.parse(new Ajax({}).getDashboard()).success, true, role);
+  });
+});
+
+test('getDashboardStats aggregates story counts, overrides, time per story and score distribution', function() {
+  var runtime = createRuntime();
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var fibonacci = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: fibonacci.sys_id, value: value, numeric_value: Number(value), order: index, is_special: false });
+  });
+  var tshirt = runtime.insert(TABLES.SCORING_METHOD, { name: 'T-Shirt Sizes', is_numeric: false });
+  ['S', 'M', 'L'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: tshirt.sys_id, value: value, order: index, is_special: false });
+  });
+
+  var numeric = runtime.insert(TABLES.SESSION, { name: 'Sprint 1', status: 'completed', scoring_method: fibonacci.sys_id, start_time: '2026-01-05 09:00:00', end_time: '2026-01-05 17:00:00' });
+  var sizes = runtime.insert(TABLES.SESSION, { name: 'Sprint 2', status: 'completed', scoring_method: tshirt.sys_id, start_time: '2026-01-06 10:00:00', end_time: '2026-01-06 12:00:00' });
+  var story = function(session, fields) {
+    runtime.insert(TABLES.STORY, Object.assign({ session: session.sys_id, title: 'Story', consensus_reached: false, times_revoted: 0, suggested_score: '', score_overridden: false }, fields));
+  };
+
+  // Two minutes and four minutes of voting, with a long break in between
+  story(numeric, { status: 'completed', final_score: '3', consensus_reached: true, suggested_score: '3', voting_started_at: '2026-01-05 09:00:00', completed_at: '2026-01-05 09:02:00' });
+  story(numeric, { status: 'completed', final_score: '5', times_revoted: 2, suggested_score: '3', score_overridden: true, voting_started_at: '2026-01-05 11:30:00', completed_at: '2026-01-05 11:34:00' });
+  story(numeric, { status: 'skipped', completed_at: '2026-01-05 12:00:00' });
+  story(numeric, { status: 'pending' });
+  story(sizes, { status: 'completed', final_score: 'M', consensus_reached: true, times_revoted: 1, suggested_score: 'M', voting_started_at: '2026-01-06 10:00:00', completed_at: '2026-01-06 10:01:00' });
+  story(sizes, { status: 'completed', final_score: 'S', consensus_reached: true });
+  story(sizes, { status: 'completed', final_score: 'M', consensus_reached: true });
+
+  var stats = JSON.parse(JSON.stringify(new (runtime.get('DashboardStatisticsFluent'))().getDashboardStats({})));
+
+  assert.deepStrictEqual(stats.totals, {
+    sessions: 2,
+    stories_estimated: 5,
+    stories_skipped: 1,
+    consensus_rate: 80,
+    average_revotes: 0.6,
+    override_rate: 33.3,
+    average_seconds_per_story: 140
+  });
+  assert.deepStrictEqual(stats.sessions.map(function(session) {
+    return [session.name, session.stories_estimated, session.stories_skipped, session.consensus_rate,
+      session.average_revotes, session.override_rate, session.average_seconds_per_story];
+  }), [
+    ['Sprint 2', 3, 0, 100, 0.33, 0, 60],
+    ['Sprint 1', 2, 1, 50, 1, 50, 180]
+  ]);
+  assert.deepStrictEqual(stats.score_distribution, [
+    { scoring_method: fibonacci.sys_id, name: 'Fibonacci', total: 2, scores: [{ value: '3', count: 1 }, { value: '5', count: 1 }] },
+    { scoring_method: tshirt.sys_id, name: 'T-Shirt Sizes', total: 3, scores: [{ value: 'S', count: 1 }, { value: 'M', count: 2 }] }
+  ]);
+});
+
+test('completing or skipping a story stamps completed_at', function() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: '3', numeric_value: 3, order: 0, is_special: false });
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 1', status: 'active', scoring_method: method.sys_id });
+  var revealed = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'revealed' });
+  var pending = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Logout', status: 'pending' });
+  var voting = new (runtime.get('VotingOperationsFluent'))();
+
+  runtime.advance(90);
+  assert.strictEqual(voting.completeStory(revealed.sys_id, '3').success, true);
+  assert.strictEqual(voting.skipStory(pending.sys_id).success, true);
+
+  assert.strictEqual(revealed.completed_at, '2026-01-05 09:01:30');
+  assert.strictEqual(pending.completed_at, '2026-01-05 09:01:30');
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'user_a' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: value, numeric_value: Number(value), order: index, is_special: false });
+  });
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer', scoring_method: method.sys_id, current_story: '' });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'voting', times_revoted: 0, order: 1 });
+  runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: 'dealer', role: 'dealer', is_active: true });
+  runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: 'user_a', role: 'participant', is_active: true });
+
+  var Ajax = runtime.get('PlanningPokerAjaxFluent');
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    session: session,
+    story: story,
+    call: function(name, params) {
+      var processor = new Ajax(Object.assign({ sysparm_name: name, sysparm_session_id: session.sys_id }, params || {}));
+      return JSON.parse(processor[name]());
+    }
+  };
+}
+
+test('getSessionState without a current story', function() {
+  var env = setup();
+
+  var answer = env.call('getSessionState');
+
+  assert.strictEqual(answer.success, true);
+  assert.strictEqual(answer.result.session.name, 'Sprint 12');
+  assert.strictEqual(answer.result.current_story, null);
+  assert.strictEqual(answer.result.results, null);
+  assert.strictEqual(answer.result.my_vote, null);
+  assert.strictEqual(answer.result.my_role, 'participant');
+  assert.strictEqual(answer.result.is_dealer, false);
+  assert.strictEqual(answer.result.can_vote, true);
+});
+
+test('getSessionState with a current story returns it with the results and the caller\'s vote', function() {
+  var env = setup();
+  env.session.current_story = env.story.sys_id;
+  assert.strictEqual(env.call('castVote', { sysparm_value: '5' }).success, true);
+
+  var answer = env.call('getSessionState');
+
+  assert.strictEqual(answer.success, true);
+  assert.strictEqual(answer.result.current_story.sys_id, env.story.sys_id);
+  assert.strictEqual(answer.result.current_story.title, 'Login');
+  assert.strictEqual(answer.result.current_story.seconds_remaining, null);
+  assert.strictEqual(answer.result.results.revealed, false);
+  assert.deepStrictEqual(answer.result.results.votes.map(function(vote) {
+    return [vote.voter, vote.vote_value];
+  }), [['user_a', null]]);
+  assert.strictEqual(answer.result.my_vote, '5');
+});
+
+test('non-participants and unknown sessions get error answers', function() {
+  var env = setup();
+  env.session.current_story = env.story.sys_id;
+  env.runtime.setUser('outsider');
+
+  assert.deepStrictEqual(env.call('getSessionState'), {
+    success: false,
+    error: 'You are not a participant of this session',
+    code: 'not_participant'
+  });
+  assert.strictEqual(env.call('castVote', { sysparm_value: '5' }).error, 'You are not a participant of this session');
+  assert.strictEqual(env.call('getParticipants').success, false);
+  assert.strictEqual(env.runtime.table(env.TABLES.VOTE).length, 0);
+
+  assert.deepStrictEqual(env.call('getSessionState', { sysparm_session_id: 'missing' }), {
+    success: false,
+    error: 'Session not found: missing',
+    code: 'not_found'
+  });
+});
+
+test('dealer-only methods answer participants with an error', function() {
+  var env = setup();
+  env.session.current_story = env.story.sys_id;
+
+  assert.strictEqual(env.call('reveal').error, 'Only the session dealer can reveal votes');
+  assert.deepStrictEqual(env.call('skipStory', { sysparm_story_id: env.story.sys_id }), {
+    success: false,
+    error: 'Only the session dealer can perform this action',
+    code: 'not_dealer'
+  });
+  assert.strictEqual(env.story.status, 'voting');
+});
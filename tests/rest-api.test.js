@@ -0,0 +1,110 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function call(runtime, handler, pathParams, queryParams) {
+  var response = {
+    status: null,
+    headers: {},
+    body: '',
+    setStatus: function(status) {
+      this.status = status;
+    },
+    setContentType: function(type) {
+      this.headers['Content-Type'] = type;
+    },
+    setHeader: function(name, value) {
+      this.headers[name] = value;
+    },
+    getStreamWriter: function() {
+      var target = this;
+      return {
+        writeString: function(text) {
+          target.body += text;
+        }
+      };
+    }
+  };
+
+  var api = new (runtime.get('PlanningPokerRestApiFluent'))();
+  api[handler]({ pathParams: pathParams || {}, queryParams: queryParams || {}, body: { data: {} } }, response);
+  return response;
+}
+
+function setup() {
+  var runtime = createRuntime({ user: 'outsider' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'completed', dealer: 'dealer' });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'completed', order: 1 });
+  runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: 'dealer', role: 'dealer', is_active: true });
+  runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: 'voter', role: 'participant', is_active: true });
+  runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: 'former', role: 'participant', is_active: false });
+
+  var other = runtime.insert(TABLES.SESSION, { name: 'Sprint 13', status: 'pending', dealer: 'someone' });
+  runtime.insert(TABLES.VOTER_GROUP, { session: other.sys_id, group: 'web_team', is_active: true });
+  runtime.insert('sys_user_grmember', { group: 'web_team', user: 'member' });
+
+  return { runtime: runtime, session: session, story: story, other: other };
+}
+
+var SESSION_READS = ['getSession', 'getStories', 'exportStories', 'getEvents'];
+var STORY_READS = ['getResults', 'getStoryHistory', 'getWritebacks'];
+
+test('session and story reads answer 403 to users outside the session', function() {
+  var env = setup();
+
+  ['outsider', 'former'].forEach(function(user) {
+    env.runtime.setUser(user);
+    SESSION_READS.forEach(function(handler) {
+      assert.strictEqual(call(env.runtime, handler, { session_id: env.session.sys_id }).status, 403, handler);
+    });
+    STORY_READS.forEach(function(handler) {
+      assert.strictEqual(call(env.runtime, handler, { story_id: env.story.sys_id }).status, 403, handler);
+    });
+  });
+});
+
+test('session and story reads are open to the dealer and participants', function() {
+  var env = setup();
+
+  ['dealer', 'voter'].forEach(function(user) {
+    env.runtime.setUser(user);
+    SESSION_READS.forEach(function(handler) {
+      assert.strictEqual(call(env.runtime, handler, { session_id: env.session.sys_id }).status, 200, handler);
+    });
+    STORY_READS.forEach(function(handler) {
+      assert.strictEqual(call(env.runtime, handler, { story_id: env.story.sys_id }).status, 200, handler);
+    });
+  });
+});
+
+test('voter group members are enrolled on first read', function() {
+  var env = setup();
+  env.runtime.setUser('member');
+
+  var response = call(env.runtime, 'getSession', { session_id: env.other.sys_id });
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(env.runtime.table(env.runtime.get('PlanningPokerConstants').TABLES.PARTICIPANT).filter(function(row) {
+    return row.user === 'member' && row.session === env.other.sys_id;
+  }).length, 1);
+});
+
+test('listSessions only returns sessions the caller may open', function() {
+  var env = setup();
+
+  var names = function(user) {
+    env.runtime.setUser(user);
+    return JSON.parse(call(env.runtime, 'listSessions').body).result.map(function(session) {
+      return session.name;
+    }).sort();
+  };
+
+  assert.deepStrictEqual(names('outsider'), []);
+  assert.deepStrictEqual(names('former'), []);
+  assert.deepStrictEqual(names('voter'), ['Sprint 12']);
+  assert.deepStrictEqual(names('member'), ['Sprint 13']);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime();
+  var session = runtime.insert(runtime.get('PlanningPokerConstants').TABLES.SESSION, { name: 'Sprint 12', status: 'active' });
+  var feed = new (runtime.get('SessionEventFeedFluent'))();
+
+  var publish = function(count) {
+    for (var i = 0; i < count; i++) {
+      assert.strictEqual(feed.publish(session.sys_id, 'vote_cast', { user: 'user_' + i }).success, true);
+    }
+  };
+
+  return { runtime: runtime, session: session, feed: feed, publish: publish };
+}
+
+function cursors(page) {
+  return Array.from(page.events, function(event) {
+    return event.cursor;
+  });
+}
+
+test('the first poll returns the latest cursor and no events', function() {
+  var env = setup();
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(env.feed.getEvents(env.session.sys_id))), { events: [], cursor: 0, has_more: false });
+
+  env.publish(3);
+  var first = env.feed.getEvents(env.session.sys_id, null);
+
+  assert.strictEqual(first.events.length, 0);
+  assert.strictEqual(first.cursor, env.feed.getLatestCursor(env.session.sys_id));
+  assert.strictEqual(env.feed.getEvents(env.session.sys_id, first.cursor).events.length, 0);
+});
+
+test('events published in the same millisecond get increasing, unique cursors', function() {
+  var env = setup();
+  env.publish(4);
+
+  var all = cursors(env.feed.getEvents(env.session.sys_id, 0));
+
+  assert.strictEqual(all.length, 4);
+  for (var i = 1; i < all.length; i++) {
+    assert.strictEqual(all[i], all[i - 1] + 1);
+  }
+});
+
+test('getEvents pages with has_more until the feed is drained', function() {
+  var env = setup();
+  env.publish(5);
+
+  var first = env.feed.getEvents(env.session.sys_id, 0, 2);
+  var second = env.feed.getEvents(env.session.sys_id, first.cursor, 2);
+  var third = env.feed.getEvents(env.session.sys_id, second.cursor, 2);
+
+  assert.deepStrictEqual([first.has_more, second.has_more, third.has_more], [true, true, false]);
+  var seen = cursors(first).concat(cursors(second), cursors(third));
+  assert.deepStrictEqual(seen, cursors(env.feed.getEvents(env.session.sys_id, 0)));
+  assert.strictEqual(third.cursor, seen[4]);
+});
+
+test('events after a later clock tick keep ordering by cursor', function() {
+  var env = setup();
+  env.publish(2);
+  env.runtime.advance(1);
+  env.publish(1);
+
+  var all = cursors(env.feed.getEvents(env.session.sys_id, 0));
+
+  assert.strictEqual(all.length, 3);
+  assert.ok(all[1] < all[2]);
+  assert.strictEqual(all[2], env.runtime.clock.now);
+});
+
+test('a publish that loses a cursor race retries with the next cursor', function() {
+  var env = setup();
+  env.publish(1);
+
+  // Simulate a concurrent publish that read the same latest cursor
+  var taken = env.feed.getLatestCursor(env.session.sys_id);
+  var nextCursor = env.feed._nextCursor;
+  var calls = 0;
+  env.feed._nextCursor = function(sessionId) {
+    calls++;
+    return calls === 1 ? taken : nextCursor.call(this, sessionId);
+  };
+
+  assert.strictEqual(env.feed.publish(env.session.sys_id, 'votes_revealed').success, true);
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(cursors(env.feed.getEvents(env.session.sys_id, 0)), [taken, taken + 1]);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup(statuses) {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer' });
+  var stories = statuses.map(function(status, index) {
+    return runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Story ' + index, status: status, order: index });
+  });
+
+  return { runtime: runtime, session: session, stories: stories };
+}
+
+test('advanceSession waits while a story is still being voted on', function() {
+  var env = setup(['completed', 'revealed']);
+  env.session.current_story = env.stories[1].sys_id;
+  var sessions = new (env.runtime.get('SessionManagementFluent'))();
+
+  var result = sessions.advanceSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.sessionCompleted, false);
+  assert.strictEqual(env.session.status, 'active');
+  assert.strictEqual(env.session.current_story, env.stories[1].sys_id);
+});
+
+test('advanceSession moves to the next pending story', function() {
+  var env = setup(['completed', 'pending', 'pending']);
+  var sessions = new (env.runtime.get('SessionManagementFluent'))();
+
+  var result = sessions.advanceSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.session.current_story, env.stories[1].sys_id);
+});
+
+test('advanceSession completes the session once every story is closed', function() {
+  var env = setup(['completed', 'skipped']);
+  var sessions = new (env.runtime.get('SessionManagementFluent'))();
+
+  var result = sessions.advanceSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.sessionCompleted, true);
+  assert.strictEqual(env.session.status, 'completed');
+});
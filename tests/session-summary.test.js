@@ -0,0 +1,57 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime();
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active' });
+  var first = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'completed' });
+  var second = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Logout', status: 'voting' });
+  runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Search', status: 'skipped' });
+
+  ['user_a', 'user_b', 'user_c'].forEach(function(voter) {
+    runtime.insert(TABLES.VOTE, { session: session.sys_id, session_story: first.sys_id, voter: voter, vote_value: '5', vote_sequence: 2, is_current: true });
+  });
+  runtime.insert(TABLES.VOTE, { session: session.sys_id, session_story: first.sys_id, voter: 'user_a', vote_value: '8', vote_sequence: 1, is_current: false });
+  runtime.insert(TABLES.VOTE, { session: session.sys_id, session_story: second.sys_id, voter: 'user_a', vote_value: '3', vote_sequence: 1, is_current: true });
+
+  return { runtime: runtime, TABLES: TABLES, session: session, first: first, second: second };
+}
+
+test('FluentQueryHelper.count counts matching records', function() {
+  var env = setup();
+  var helper = new (env.runtime.get('FluentQueryHelper'))();
+
+  assert.strictEqual(helper.count(env.TABLES.VOTE, { session_story: env.first.sys_id, is_current: true }), 3);
+  assert.strictEqual(helper.count(env.TABLES.VOTE, { session: env.session.sys_id }), 5);
+  assert.strictEqual(helper.count(env.TABLES.VOTE, { voter: 'nobody' }), 0);
+});
+
+test('updateStoryVoteCount writes the number of current votes', function() {
+  var env = setup();
+  var summary = new (env.runtime.get('SessionSummaryFluent'))();
+
+  assert.strictEqual(summary.updateStoryVoteCount(env.first.sys_id).success, true);
+  assert.strictEqual(env.first.vote_count, 3);
+});
+
+test('repairSession recounts session and story counters', function() {
+  var env = setup();
+  var summary = new (env.runtime.get('SessionSummaryFluent'))();
+
+  var result = summary.repairSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.storiesRepaired, 3);
+  assert.strictEqual(env.session.total_votes, 4);
+  assert.strictEqual(env.session.total_stories, 3);
+  assert.strictEqual(env.session.stories_completed, 1);
+  assert.strictEqual(env.session.stories_skipped, 1);
+  assert.strictEqual(env.first.vote_count, 3);
+  assert.strictEqual(env.first.times_revoted, 1);
+  assert.strictEqual(env.second.vote_count, 1);
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+var runtime = createRuntime();
+var calculator = new (runtime.get('StatisticsCalculatorFluent'))();
+
+/**
+ * Value map for a deck of [value, numeric_value] cards in order; a null
+ * numeric_value marks a special card
+ */
+function deck(cards) {
+  return cards.reduce(function(map, card, index) {
+    map[card[0]] = { value: card[0], numeric_value: card[1], order: index, is_special: card[1] === null };
+    return map;
+  }, {});
+}
+
+var FIBONACCI = deck([['1', 1], ['2', 2], ['3', 3], ['5', 5], ['8', 8], ['13', 13], ['?', null], ['Coffee', null]]);
+var TSHIRT = deck([['XS', 1], ['S', 2], ['M', 3], ['L', 4], ['XL', 5], ['?', null]]);
+
+function votes() {
+  return Array.from(arguments, function(value) {
+    return { vote_value: value };
+  });
+}
+
+function compute(values, valueMap, isNumeric, policy) {
+  return JSON.parse(JSON.stringify(calculator.computeStatistics(votes.apply(null, values), valueMap, isNumeric, policy)));
+}
+
+test('computeStatistics leaves special cards out of the math', function() {
+  var statistics = compute(['3', '5', '?', 'Coffee'], FIBONACCI, true);
+
+  assert.strictEqual(statistics.average_score, 4);
+  assert.strictEqual(statistics.min_score, '3');
+  assert.strictEqual(statistics.max_score, '5');
+
+  assert.deepStrictEqual(compute(['?', 'Coffee'], FIBONACCI, true), {
+    average_score: null,
+    min_score: '',
+    max_score: '',
+    consensus_reached: false,
+    consensus_rule: '',
+    suggested_score: ''
+  });
+  assert.strictEqual(compute(['8', '8', '?'], FIBONACCI, true).consensus_reached, true);
+});
+
+test('computeStatistics rounds the average to two decimals', function() {
+  assert.strictEqual(compute(['1', '2', '2'], FIBONACCI, true).average_score, 1.67);
+  assert.strictEqual(compute(['1', '1', '2'], FIBONACCI, true).average_score, 1.33);
+  assert.strictEqual(compute(['2', '3', '3', '3', '3', '3'], FIBONACCI, true).average_score, 2.83);
+});
+
+test('non-numeric methods get ordinal min/max by card order and no average', function() {
+  var statistics = compute(['XL', 'S', 'M', '?'], TSHIRT, false);
+
+  assert.strictEqual(statistics.average_score, null);
+  assert.strictEqual(statistics.min_score, 'S');
+  assert.strictEqual(statistics.max_score, 'XL');
+});
+
+function consensus(values, valueMap, isNumeric, policy) {
+  var statistics = compute(values, valueMap, isNumeric, policy);
+  return [statistics.consensus_reached, statistics.consensus_rule];
+}
+
+test('unanimous consensus needs every counted vote on the same card and is the default', function() {
+  assert.deepStrictEqual(consensus(['5', '5', '?'], FIBONACCI, true, { consensus_policy: 'unanimous' }), [true, 'unanimous']);
+  assert.deepStrictEqual(consensus(['5', '8'], FIBONACCI, true, { consensus_policy: 'unanimous' }), [false, 'unanimous']);
+  assert.deepStrictEqual(consensus(['5', '8'], FIBONACCI, true), [false, 'unanimous']);
+  assert.deepStrictEqual(consensus(['5', '5'], FIBONACCI, true, { consensus_policy: 'bogus' }), [true, 'unanimous']);
+});
+
+test('majority consensus compares the most common card with the percentage, 75 by default', function() {
+  var majority = { consensus_policy: 'majority' };
+
+  assert.deepStrictEqual(consensus(['5', '5', '5', '8'], FIBONACCI, true, majority), [true, 'majority >= 75%']);
+  assert.deepStrictEqual(consensus(['5', '5', '8'], FIBONACCI, true, majority), [false, 'majority >= 75%']);
+  assert.deepStrictEqual(consensus(['5', '5', '5', '5', '8'], FIBONACCI, true, majority), [true, 'majority >= 75%']);
+
+  var sixty = { consensus_policy: 'majority', consensus_majority_percent: 60 };
+  assert.deepStrictEqual(consensus(['5', '5', '8'], FIBONACCI, true, sixty), [true, 'majority >= 60%']);
+  assert.deepStrictEqual(consensus(['5', '5', '8', '8', '3'], FIBONACCI, true, sixty), [false, 'majority >= 60%']);
+  assert.deepStrictEqual(consensus(['M', 'M', 'L', '?'], TSHIRT, false, sixty), [true, 'majority >= 60%']);
+});
+
+test('adjacent consensus allows votes one card apart but not two', function() {
+  var adjacent = { consensus_policy: 'adjacent' };
+
+  assert.deepStrictEqual(consensus(['3', '5', '5'], FIBONACCI, true, adjacent), [true, 'adjacent cards']);
+  assert.deepStrictEqual(consensus(['3', '8'], FIBONACCI, true, adjacent), [false, 'adjacent cards']);
+  assert.deepStrictEqual(consensus(['2', '3', '5'], FIBONACCI, true, adjacent), [false, 'adjacent cards']);
+  assert.deepStrictEqual(consensus(['S', 'M', '?'], TSHIRT, false, adjacent), [true, 'adjacent cards']);
+  assert.deepStrictEqual(consensus(['S', 'L'], TSHIRT, false, adjacent), [false, 'adjacent cards']);
+});
+
+test('spread consensus uses numeric_value on numeric decks and card steps otherwise, 2 by default', function() {
+  var spread = { consensus_policy: 'spread' };
+
+  assert.deepStrictEqual(consensus(['3', '5'], FIBONACCI, true, spread), [true, 'spread <= 2']);
+  assert.deepStrictEqual(consensus(['5', '8'], FIBONACCI, true, spread), [false, 'spread <= 2']);
+  assert.deepStrictEqual(consensus(['5', '8'], FIBONACCI, true, { consensus_policy: 'spread', consensus_spread: 3 }), [true, 'spread <= 3']);
+  assert.deepStrictEqual(consensus(['3', '5'], FIBONACCI, true, { consensus_policy: 'spread', consensus_spread: 0 }), [false, 'spread <= 0']);
+
+  // Non-numeric decks count card steps, whatever numeric_value the cards carry
+  var sizes = deck([['S', 1], ['M', 10], ['L', 100], ['XL', 1000]]);
+  assert.deepStrictEqual(consensus(['S', 'L'], sizes, false, spread), [true, 'spread <= 2']);
+  assert.deepStrictEqual(consensus(['S', 'XL'], sizes, false, spread), [false, 'spread <= 2']);
+  assert.deepStrictEqual(consensus(['S', 'L'], TSHIRT, false, { consensus_policy: 'spread', consensus_spread: 1 }), [false, 'spread <= 1']);
+});
+
+test('missing or invalid consensus settings fall back to the defaults', function() {
+  [undefined, null, '', 'abc', 0, -10, 101].forEach(function(percent) {
+    assert.deepStrictEqual(
+      consensus(['5', '5', '8'], FIBONACCI, true, { consensus_policy: 'majority', consensus_majority_percent: percent }),
+      [false, 'majority >= 75%'],
+      String(percent)
+    );
+  });
+
+  [undefined, null, '', 'abc', -1].forEach(function(threshold) {
+    assert.deepStrictEqual(
+      consensus(['3', '5'], FIBONACCI, true, { consensus_policy: 'spread', consensus_spread: threshold }),
+      [true, 'spread <= 2'],
+      String(threshold)
+    );
+  });
+});
+
+test('numeric methods suggest the median snapped to the nearest card, the higher card on a tie', function() {
+  assert.strictEqual(compute(['2', '3', '8'], FIBONACCI, true).suggested_score, '3');
+  // Even counts: the median falls between two cards
+  assert.strictEqual(compute(['3', '5'], FIBONACCI, true).suggested_score, '5');
+  assert.strictEqual(compute(['3', '5', '8', '13'], FIBONACCI, true).suggested_score, '8');
+  assert.strictEqual(compute(['1', '2', '8', '13'], FIBONACCI, true).suggested_score, '5');
+  assert.strictEqual(compute(['1', '8', '?', 'Coffee'], FIBONACCI, true).suggested_score, '5');
+  assert.strictEqual(compute(['1', '2', '?', '?', '?'], FIBONACCI, true).suggested_score, '2');
+});
+
+test('non-numeric methods suggest the most common card, the higher card on a tie', function() {
+  assert.strictEqual(compute(['S', 'M', 'M'], TSHIRT, false).suggested_score, 'M');
+  assert.strictEqual(compute(['L', 'S', 'L', 'S', 'M'], TSHIRT, false).suggested_score, 'L');
+  assert.strictEqual(compute(['XS', 'XL'], TSHIRT, false).suggested_score, 'XL');
+  assert.strictEqual(compute(['S', '?', '?', '?'], TSHIRT, false).suggested_score, 'S');
+});
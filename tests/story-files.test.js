@@ -0,0 +1,93 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer' });
+
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    session: session,
+    importer: new (runtime.get('StoryImportFluent'))(),
+    exporter: new (runtime.get('StoryExportFluent'))(),
+    titles: function(sessionId) {
+      return runtime.table(TABLES.STORY).filter(function(story) {
+        return story.session === sessionId;
+      }).sort(function(a, b) {
+        return a.order - b.order;
+      }).map(function(story) {
+        return story.title;
+      });
+    }
+  };
+}
+
+test('formula-guarded CSV values survive an export and re-import', function() {
+  var env = setup();
+  var titles = [
+    '=SUM(A1:A2)', '+1 for dark mode', '-', '@mention support', '\t=HYPERLINK("x")', '\r=1+1', '\'=already quoted', '\'\tquoted tab', '-5', 'Plain'
+  ];
+  var done = env.runtime.insert(env.TABLES.SESSION, { name: 'Sprint 11', status: 'completed', dealer: 'dealer' });
+  titles.forEach(function(title, index) {
+    env.runtime.insert(env.TABLES.STORY, { session: done.sys_id, title: title, order: index + 1, status: 'completed' });
+  });
+
+  var file = env.exporter.exportStories(done.sys_id, 'csv');
+  assert.ok(file.content.indexOf('\'=SUM(A1:A2)') !== -1);
+  assert.ok(file.content.indexOf('\'\'=already quoted') !== -1);
+  assert.ok(file.content.indexOf('"\'\t=HYPERLINK(""x"")"') !== -1);
+  assert.ok(file.content.indexOf('"\'\r=1+1"') !== -1);
+  assert.ok(file.content.indexOf('\'\'\tquoted tab') !== -1);
+
+  var result = env.importer.importFromCsv(env.session.sys_id, file.content);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.imported, titles.length);
+  // Imported values are trimmed once the guard is gone, so the tab and carriage return go too
+  assert.deepStrictEqual(env.titles(env.session.sys_id), titles.map(function(title) {
+    return title.trim();
+  }));
+});
+
+test('CSV rows repeating an earlier title are reported per row', function() {
+  var env = setup();
+  var csv = 'title,description\nLogin,First\nLogout,\n login ,Again\nSearch,\nLogout,Again\n';
+
+  var result = env.importer.importFromCsv(env.session.sys_id, csv);
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.imported, 3);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result.errors)), [
+    { row: 3, error: 'Duplicate title \'login\' (same as row 1)' },
+    { row: 5, error: 'Duplicate title \'Logout\' (same as row 2)' }
+  ]);
+  assert.deepStrictEqual(env.titles(env.session.sys_id), ['Login', 'Logout', 'Search']);
+});
+
+test('JSON rows with an external_key are matched on the key, not the title', function() {
+  var env = setup();
+  var json = JSON.stringify({
+    stories: [
+      { title: 'Spike', external_key: 'PROJ-1' },
+      { title: 'Spike', external_key: 'PROJ-2' },
+      { title: 'Spike again', external_key: 'proj-1' },
+      { title: 'Spike' }
+    ]
+  });
+
+  var result = env.importer.importFromJson(env.session.sys_id, json);
+
+  assert.strictEqual(result.imported, 3);
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result.errors)), [
+    { row: 3, error: 'Duplicate external_key \'proj-1\' (same as row 1)' }
+  ]);
+  assert.deepStrictEqual(env.runtime.table(env.TABLES.STORY).map(function(story) {
+    return story.external_key || '';
+  }), ['PROJ-1', 'PROJ-2', '']);
+});
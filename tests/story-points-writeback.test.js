@@ -0,0 +1,67 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Modified Fibonacci', is_numeric: true });
+  [['0.5', 0.5], ['1', 1], ['3', 3]].forEach(function(card, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: card[0], numeric_value: card[1], order: index, is_special: false });
+  });
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'completed', dealer: 'dealer', scoring_method: method.sys_id });
+  var addStory = function(finalScore) {
+    var backlogStory = runtime.insert('rm_story', { number: 'STRY' + finalScore, story_points: 8 });
+    return {
+      backlog: backlogStory,
+      story: runtime.insert(TABLES.STORY, { session: session.sys_id, story: backlogStory.sys_id, title: 'Story ' + finalScore, status: 'completed', final_score: finalScore })
+    };
+  };
+
+  return { runtime: runtime, TABLES: TABLES, session: session, addStory: addStory, writeback: new (runtime.get('StoryPointsWritebackFluent'))() };
+}
+
+test('whole story points are written to rm_story', function() {
+  var env = setup();
+  var linked = env.addStory('3');
+
+  var result = env.writeback.writeBack(linked.story.sys_id);
+
+  assert.strictEqual(result.status, 'applied');
+  assert.strictEqual(linked.backlog.story_points, 3);
+});
+
+test('fractional story points are skipped, not rounded', function() {
+  var env = setup();
+  var linked = env.addStory('0.5');
+
+  var result = env.writeback.writeBack(linked.story.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.status, 'skipped');
+  assert.strictEqual(linked.backlog.story_points, 8);
+  var audit = env.runtime.table(env.TABLES.WRITEBACK)[0];
+  assert.strictEqual(audit.status, 'skipped');
+  assert.match(audit.message, /0\.5 story points.*whole numbers/);
+});
+
+test('deleteSession keeps the write-back audit records with the session references cleared', function() {
+  var env = setup();
+  var applied = env.addStory('3');
+  var skipped = env.addStory('0.5');
+  env.writeback.writeBack(applied.story.sys_id);
+  env.writeback.writeBack(skipped.story.sys_id);
+  assert.strictEqual(env.runtime.table(env.TABLES.WRITEBACK).length, 2);
+
+  var result = new (env.runtime.get('SessionManagementFluent'))().deleteSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.runtime.table(env.TABLES.STORY).length, 0);
+  assert.deepStrictEqual(env.runtime.table(env.TABLES.WRITEBACK).map(function(audit) {
+    return [audit.session, audit.session_story, audit.story, audit.status, audit.final_score];
+  }), [['', '', applied.backlog.sys_id, 'applied', '3'], ['', '', skipped.backlog.sys_id, 'skipped', '0.5']]);
+});
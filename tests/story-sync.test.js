@@ -0,0 +1,258 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var vm = require('vm');
+var createRuntime = require('./support/servicenow').createRuntime;
+var mockServer = require('./support/mock-server');
+
+var server;
+
+test.before(async function() {
+  server = await mockServer.start();
+});
+
+test.after(function() {
+  server.stop();
+});
+
+test.beforeEach(async function() {
+  await server.reset();
+});
+
+function setup(source, settings) {
+  var properties = {};
+  Object.keys(settings).forEach(function(name) {
+    properties['x_902080_msmplnpkr_fluent.' + source + '.' + name] = settings[name];
+  });
+  properties['x_902080_msmplnpkr_fluent.' + source + '.base_url'] = server.url;
+
+  var runtime = createRuntime({ properties: properties });
+  return { runtime: runtime, adapter: new (runtime.get('StorySyncFluent'))().getAdapter(source) };
+}
+
+function jiraIssues(from, count) {
+  var issues = [];
+  for (var i = from; i < from + count; i++) {
+    issues.push({ key: 'WEB-' + i, fields: { summary: 'Issue ' + i, description: 'About ' + i, customfield_20000: 'Given ' + i } });
+  }
+  return issues;
+}
+
+function range(from, count) {
+  return Array.from({ length: count }, function(unused, index) {
+    return from + index;
+  });
+}
+
+test('jira: fetchStories maps a JQL search with basic auth', async function() {
+  var env = setup('jira', { user: 'bot@acme.test', api_token: 'secret', acceptance_criteria_field: 'customfield_20000' });
+  await server.route({ method: 'POST', path: '/rest/api/2/search', body: { startAt: 0, total: 2, issues: jiraIssues(1, 2) } });
+
+  var stories = env.adapter.fetchStories('sprint = 42', 10);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(stories)), [
+    { external_key: 'WEB-1', title: 'Issue 1', description: 'About 1', acceptance_criteria: 'Given 1', url: server.url + '/browse/WEB-1' },
+    { external_key: 'WEB-2', title: 'Issue 2', description: 'About 2', acceptance_criteria: 'Given 2', url: server.url + '/browse/WEB-2' }
+  ]);
+
+  var requests = await server.requests();
+  assert.strictEqual(requests.length, 1);
+  assert.strictEqual(requests[0].headers.authorization, 'Basic ' + Buffer.from('bot@acme.test:secret').toString('base64'));
+  assert.deepStrictEqual(JSON.parse(requests[0].body), {
+    jql: 'sprint = 42',
+    startAt: 0,
+    maxResults: 10,
+    fields: ['summary', 'description', 'customfield_20000']
+  });
+});
+
+test('jira: fetchStories pages with startAt up to the limit', async function() {
+  var env = setup('jira', {});
+  await server.route([
+    { method: 'POST', path: '/rest/api/2/search', times: 1, body: { startAt: 0, total: 130, issues: jiraIssues(0, 50) } },
+    { method: 'POST', path: '/rest/api/2/search', times: 1, body: { startAt: 50, total: 130, issues: jiraIssues(50, 50) } },
+    { method: 'POST', path: '/rest/api/2/search', times: 1, body: { startAt: 100, total: 130, issues: jiraIssues(100, 20) } }
+  ]);
+
+  var stories = env.adapter.fetchStories('project = WEB', 120);
+
+  assert.strictEqual(stories.length, 120);
+  assert.strictEqual(stories[119].external_key, 'WEB-119');
+  var pages = (await server.requests()).map(function(request) {
+    var body = JSON.parse(request.body);
+    return [body.startAt, body.maxResults];
+  });
+  assert.deepStrictEqual(pages, [[0, 50], [50, 50], [100, 20]]);
+});
+
+test('jira: fetchStories stops at the search total', async function() {
+  var env = setup('jira', {});
+  await server.route([
+    { method: 'POST', path: '/rest/api/2/search', times: 1, body: { startAt: 0, total: 60, issues: jiraIssues(0, 50) } },
+    { method: 'POST', path: '/rest/api/2/search', times: 1, body: { startAt: 50, total: 60, issues: jiraIssues(50, 10) } }
+  ]);
+
+  assert.strictEqual(env.adapter.fetchStories('project = WEB', 100).length, 60);
+  assert.strictEqual((await server.requests()).length, 2);
+});
+
+test('jira: pushStoryPoints sets the story points field', async function() {
+  var env = setup('jira', { story_points_field: 'customfield_10028' });
+  await server.route({ method: 'PUT', path: '/rest/api/2/issue/WEB-7', status: 204, body: '' });
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(env.adapter.pushStoryPoints('WEB-7', 5))), { success: true, error: null });
+
+  var requests = await server.requests();
+  assert.deepStrictEqual(JSON.parse(requests[0].body), { fields: { customfield_10028: 5 } });
+});
+
+test('jira: HTTP errors surface as failures', async function() {
+  var env = setup('jira', {});
+  await server.route([
+    { method: 'POST', path: '/rest/api/2/search', status: 401, times: 1, body: { errorMessages: ['Unauthorized'] } },
+    { method: 'POST', path: '/rest/api/2/search', status: 503, times: 1, body: {} },
+    { method: 'PUT', path: '/rest/api/2/issue/WEB-9', status: 500, body: {} }
+  ]);
+
+  assert.throws(function() {
+    env.adapter.fetchStories('project = WEB', 10);
+  }, /returned HTTP 401/);
+  assert.throws(function() {
+    env.adapter.fetchStories('project = WEB', 10);
+  }, /returned HTTP 503/);
+
+  var missing = env.adapter.pushStoryPoints('WEB-404', 3);
+  assert.strictEqual(missing.success, false);
+  assert.match(missing.error, /returned HTTP 404/);
+
+  var failed = env.adapter.pushStoryPoints('WEB-9', 3);
+  assert.strictEqual(failed.success, false);
+  assert.match(failed.error, /returned HTTP 500/);
+});
+
+test('azure_devops: fetchStories runs the WIQL query and reads the work items', async function() {
+  var env = setup('azure_devops', { api_token: 'pat' });
+  await server.route([
+    { method: 'POST', path: '/_apis/wit/wiql', body: { workItems: [{ id: 42 }, { id: 7 }] } },
+    {
+      method: 'POST',
+      path: '/_apis/wit/workitemsbatch',
+      body: {
+        value: [
+          { id: 42, fields: { 'System.Title': 'Checkout', 'System.Description': 'Pay', 'Microsoft.VSTS.Common.AcceptanceCriteria': 'Card works' } },
+          { id: 7, fields: { 'System.Title': 'Login' } }
+        ]
+      }
+    }
+  ]);
+
+  var stories = env.adapter.fetchStories('SELECT [System.Id] FROM WorkItems', 10);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(stories)), [
+    { external_key: '42', title: 'Checkout', description: 'Pay', acceptance_criteria: 'Card works', url: server.url + '/_workitems/edit/42' },
+    { external_key: '7', title: 'Login', description: '', acceptance_criteria: '', url: server.url + '/_workitems/edit/7' }
+  ]);
+
+  var requests = await server.requests();
+  assert.strictEqual(requests[0].headers.authorization, 'Basic ' + Buffer.from(':pat').toString('base64'));
+  assert.deepStrictEqual(requests[0].query, { $top: '10', 'api-version': '7.0' });
+  assert.deepStrictEqual(JSON.parse(requests[0].body), { query: 'SELECT [System.Id] FROM WorkItems' });
+  assert.deepStrictEqual(JSON.parse(requests[1].body).ids, [42, 7]);
+});
+
+test('azure_devops: fetchStories reads work items in batches of 200 up to the limit', async function() {
+  var env = setup('azure_devops', {});
+  var workItems = range(1, 300).map(function(id) {
+    return { id: id };
+  });
+  await server.route([
+    { method: 'POST', path: '/_apis/wit/wiql', body: { workItems: workItems } },
+    { method: 'POST', path: '/_apis/wit/workitemsbatch', times: 1, body: { value: range(1, 200).map(function(id) {
+      return { id: id, fields: { 'System.Title': 'Item ' + id } };
+    }) } },
+    { method: 'POST', path: '/_apis/wit/workitemsbatch', times: 1, body: { value: range(201, 50).map(function(id) {
+      return { id: id, fields: { 'System.Title': 'Item ' + id } };
+    }) } }
+  ]);
+
+  var stories = env.adapter.fetchStories('SELECT [System.Id] FROM WorkItems', 250);
+
+  assert.strictEqual(stories.length, 250);
+  assert.strictEqual(stories[249].title, 'Item 250');
+  var batches = (await server.requests()).slice(1).map(function(request) {
+    return JSON.parse(request.body).ids;
+  });
+  assert.deepStrictEqual(batches, [range(1, 200), range(201, 50)]);
+});
+
+test('azure_devops: pushStoryPoints sends a JSON Patch', async function() {
+  var env = setup('azure_devops', {});
+  await server.route({ method: 'PATCH', path: '/_apis/wit/workitems/42', body: { id: 42 } });
+
+  assert.strictEqual(env.adapter.pushStoryPoints('42', 8).success, true);
+
+  var request = (await server.requests())[0];
+  assert.strictEqual(request.headers['content-type'], 'application/json-patch+json');
+  assert.deepStrictEqual(JSON.parse(request.body), [{ op: 'add', path: '/fields/Microsoft.VSTS.Scheduling.StoryPoints', value: 8 }]);
+});
+
+test('azure_devops: HTTP errors surface as failures', async function() {
+  var env = setup('azure_devops', {});
+  await server.route([
+    { method: 'POST', path: '/_apis/wit/wiql', status: 401, times: 1, body: {} },
+    { method: 'POST', path: '/_apis/wit/wiql', times: 1, body: { workItems: [{ id: 1 }] } },
+    { method: 'POST', path: '/_apis/wit/workitemsbatch', status: 502, body: {} },
+    { method: 'PATCH', path: '/_apis/wit/workitems/5', status: 500, body: {} }
+  ]);
+
+  assert.throws(function() {
+    env.adapter.fetchStories('SELECT [System.Id] FROM WorkItems', 10);
+  }, /returned HTTP 401/);
+  assert.throws(function() {
+    env.adapter.fetchStories('SELECT [System.Id] FROM WorkItems', 10);
+  }, /returned HTTP 502/);
+  assert.match(env.adapter.pushStoryPoints('404', 3).error, /returned HTTP 404/);
+  assert.match(env.adapter.pushStoryPoints('5', 3).error, /returned HTTP 500/);
+});
+
+test('registerAdapter stores the adapter in a system property', function() {
+  var runtime = createRuntime();
+  var StorySyncFluent = runtime.get('StorySyncFluent');
+  vm.runInContext(
+    'var StubStorySyncAdapter = Class.create();' +
+    'StubStorySyncAdapter.prototype = Object.extendsObject(StorySyncAdapter, { SOURCE: \'stub\', type: \'StubStorySyncAdapter\' });',
+    runtime.context
+  );
+
+  assert.strictEqual(StorySyncFluent.registerAdapter('stub', 'StubStorySyncAdapter'), true);
+  assert.strictEqual(StorySyncFluent.registerAdapter('other', 'NoSuchAdapter'), false);
+
+  assert.deepStrictEqual(JSON.parse(runtime.get('gs').getProperty('x_902080_msmplnpkr_fluent.story_sync.adapters')), {
+    stub: 'StubStorySyncAdapter'
+  });
+
+  // A new transaction only sees what was persisted
+  var sync = new StorySyncFluent();
+  assert.deepStrictEqual(Object.keys(sync.getAdapters()).sort(), ['azure_devops', 'jira', 'stub']);
+  assert.strictEqual(sync.getAdapter('stub').type, 'StubStorySyncAdapter');
+  assert.strictEqual(sync.getAdapter('jira').type, 'JiraStorySyncAdapter');
+  assert.strictEqual(sync.getAdapter('other'), null);
+});
+
+test('pushFinalScore sends the mapped story points to the source issue', async function() {
+  var env = setup('jira', {});
+  var runtime = env.runtime;
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: '5', numeric_value: 5, order: 0, is_special: false });
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', scoring_method: method.sys_id });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Checkout', status: 'completed', final_score: '5', external_source: 'jira', external_key: 'WEB-3' });
+  await server.route({ method: 'PUT', path: '/rest/api/2/issue/WEB-3', status: 204, body: '' });
+
+  var result = new (runtime.get('StorySyncFluent'))().pushFinalScore(story.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.points, 5);
+  assert.deepStrictEqual(JSON.parse((await server.requests())[0].body), { fields: { customfield_10016: 5 } });
+});
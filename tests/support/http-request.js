@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * One HTTP request for the synchronous sn_ws.RESTMessageV2 stand-in.
+ * Reads {method, url, headers, body, timeout} as JSON on stdin and writes
+ * {status, headers, body, error} as JSON on stdout; status 0 means no
+ * response (connection refused, timeout).
+ */
+
+var http = require('http');
+
+var input = '';
+process.stdin.on('data', function(chunk) {
+  input += chunk;
+});
+
+process.stdin.on('end', function() {
+  var options = JSON.parse(input);
+  var done = false;
+
+  function finish(result) {
+    if (!done) {
+      done = true;
+      process.stdout.write(JSON.stringify(result));
+    }
+  }
+
+  var request = http.request(options.url, {
+    method: options.method,
+    headers: options.headers,
+    timeout: options.timeout
+  }, function(response) {
+    var body = '';
+    response.setEncoding('utf8');
+    response.on('data', function(chunk) {
+      body += chunk;
+    });
+    response.on('end', function() {
+      finish({
+        status: response.statusCode,
+        headers: response.headers,
+        body: body,
+        error: response.statusCode >= 400 ? response.statusMessage : ''
+      });
+    });
+  });
+
+  request.on('timeout', function() {
+    request.destroy(new Error('Request timed out'));
+  });
+  request.on('error', function(error) {
+    finish({ status: 0, headers: {}, body: '', error: error.message });
+  });
+
+  if (options.body !== null && options.body !== undefined) {
+    request.write(options.body);
+  }
+  request.end();
+});
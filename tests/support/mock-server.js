@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Local HTTP server standing in for Jira, Azure DevOps and webhook receivers
+ *
+ * Runs in a child process because sn_ws.RESTMessageV2 in the runtime
+ * stand-in blocks while it sends. Tests script it over HTTP:
+ *   POST /__routes   [{method, path, status, body, headers, times}] - answer
+ *                    matching requests in order; times limits how often a
+ *                    route answers (default: always)
+ *   GET  /__requests every request received, oldest first
+ *   POST /__reset    forget routes and requests
+ * Unmatched requests get a 404.
+ *
+ * @example
+ * var server = await start();
+ * await server.route({ method: 'POST', path: '/rest/api/2/search', body: { issues: [] } });
+ * runtime.setProperty('x_902080_msmplnpkr_fluent.jira.base_url', server.url);
+ * var requests = await server.requests();
+ * server.stop();
+ */
+
+var childProcess = require('child_process');
+var http = require('http');
+
+function serve() {
+  var routes = [];
+  var requests = [];
+
+  function send(response, status, body, headers) {
+    var text = typeof body === 'string' ? body : JSON.stringify(body === undefined ? null : body);
+    response.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers || {}));
+    response.end(text);
+  }
+
+  var server = http.createServer(function(request, response) {
+    var body = '';
+    request.setEncoding('utf8');
+    request.on('data', function(chunk) {
+      body += chunk;
+    });
+    request.on('end', function() {
+      var url = new URL(request.url, 'http://localhost');
+
+      if (url.pathname === '/__routes' && request.method === 'POST') {
+        routes = routes.concat(JSON.parse(body));
+        return send(response, 204, '');
+      }
+      if (url.pathname === '/__requests' && request.method === 'GET') {
+        return send(response, 200, requests);
+      }
+      if (url.pathname === '/__reset' && request.method === 'POST') {
+        routes = [];
+        requests = [];
+        return send(response, 204, '');
+      }
+
+      requests.push({
+        method: request.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: request.headers,
+        body: body
+      });
+
+      var route = routes.find(function(candidate) {
+        return candidate.method === request.method && candidate.path === url.pathname &&
+          (candidate.times === undefined || candidate.times > 0);
+      });
+      if (!route) {
+        return send(response, 404, { error: 'No route for ' + request.method + ' ' + url.pathname });
+      }
+      if (route.times !== undefined) {
+        route.times--;
+      }
+
+      send(response, route.status || 200, route.body, route.headers);
+    });
+  });
+
+  server.listen(0, '127.0.0.1', function() {
+    process.stdout.write(server.address().port + '\n');
+  });
+
+  // Stop with the test process that started us
+  process.stdin.resume();
+  process.stdin.on('end', function() {
+    process.exit(0);
+  });
+}
+
+/**
+ * Start a mock server in a child process
+ *
+ * @returns {Promise<Object>} {url, route(routes), requests(), reset(), stop()}
+ */
+function start() {
+  var child = childProcess.spawn(process.execPath, [__filename], { stdio: ['pipe', 'pipe', 'inherit'] });
+
+  return new Promise(function(resolve, reject) {
+    var output = '';
+    child.once('error', reject);
+    child.stdout.on('data', function onData(chunk) {
+      output += chunk;
+      if (output.indexOf('\n') === -1) {
+        return;
+      }
+      child.stdout.removeListener('data', onData);
+
+      var url = 'http://127.0.0.1:' + output.trim();
+      resolve({
+        url: url,
+        route: function(routes) {
+          return fetch(url + '/__routes', { method: 'POST', body: JSON.stringify([].concat(routes)) });
+        },
+        requests: function() {
+          return fetch(url + '/__requests').then(function(response) {
+            return response.json();
+          });
+        },
+        reset: function() {
+          return fetch(url + '/__reset', { method: 'POST' });
+        },
+        stop: function() {
+          child.stdin.end();
+          child.kill();
+        }
+      });
+    });
+  });
+}
+
+if (require.main === module) {
+  serve();
+}
+
+module.exports = {
+  start: start
+};
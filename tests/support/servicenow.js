@@ -0,0 +1,753 @@
+'use strict';
+
+/**
+ * Local stand-in for the ServiceNow server-side runtime
+ *
+ * Loads the app's script includes into a vm context together with
+ * in-memory fakes of the platform APIs they use: GlideQuery and
+ * GlideAggregate (backed by a table store), GlideDateTime (on a controllable clock), gs, Class,
+ * Object.extendsObject, global.AbstractAjaxProcessor, GlideRecord, the
+ * x_902080_msmplnpkr_fluent scope namespace, GlideCertificateEncryption and
+ * sn_ws.RESTMessageV2, which sends real HTTP requests synchronously so
+ * adapters can be exercised against tests/support/mock-server.js.
+ *
+ * Only the API surface the app uses is modelled. GlideQuery.aggregate is
+ * deliberately non-terminal, as on the platform. Inserts honour the unique
+ * indexes declared in src/tables.
+ */
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var SCRIPT_INCLUDES = path.join(__dirname, '..', '..', 'src', 'server', 'script-includes');
+var HTTP_CLIENT = path.join(__dirname, 'http-request.js');
+var TABLE_DEFINITIONS = path.join(__dirname, '..', '..', 'src', 'tables');
+
+function pad(value) {
+  return (value < 10 ? '0' : '') + value;
+}
+
+/**
+ * 'YYYY-MM-DD HH:mm:ss' in UTC, the format GlideDateTime.getValue returns
+ */
+function formatDateTime(ms) {
+  var date = new Date(ms);
+  return date.getUTCFullYear() + '-' + pad(date.getUTCMonth() + 1) + '-' + pad(date.getUTCDate()) + ' ' +
+    pad(date.getUTCHours()) + ':' + pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds());
+}
+
+function parseDateTime(value) {
+  return Date.parse(String(value).replace(' ', 'T') + 'Z');
+}
+
+function findScripts(dir) {
+  return fs.readdirSync(dir).reduce(function(files, name) {
+    var full = path.join(dir, name);
+    if (fs.statSync(full).isDirectory()) {
+      return files.concat(findScripts(full));
+    }
+    return /\.script\.js$/.test(name) ? files.concat(full) : files;
+  }, []);
+}
+
+/**
+ * Unique indexes from the table definitions, as {table: [[field, ...], ...]}
+ */
+function loadUniqueIndexes() {
+  return fs.readdirSync(TABLE_DEFINITIONS).reduce(function(indexes, name) {
+    var definition = JSON.parse(fs.readFileSync(path.join(TABLE_DEFINITIONS, name), 'utf8'));
+    indexes[definition.name] = (definition.indexes || []).filter(function(index) {
+      return index.unique;
+    }).map(function(index) {
+      return index.fields;
+    });
+    return indexes;
+  }, {});
+}
+
+var UNIQUE_INDEXES = loadUniqueIndexes();
+
+/**
+ * Compare a stored value with a query value the way encoded queries do:
+ * as strings, with true/false matching 'true'/'false'
+ */
+function same(stored, wanted) {
+  if (stored === undefined || stored === null) {
+    stored = '';
+  }
+  if (wanted === undefined || wanted === null) {
+    wanted = '';
+  }
+  return String(stored) === String(wanted);
+}
+
+function compare(a, b) {
+  var numericA = typeof a === 'number' || (a !== '' && a !== null && !isNaN(a));
+  var numericB = typeof b === 'number' || (b !== '' && b !== null && !isNaN(b));
+  if (numericA && numericB) {
+    return Number(a) - Number(b);
+  }
+  a = a === undefined || a === null ? '' : String(a);
+  b = b === undefined || b === null ? '' : String(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matches(record, condition) {
+  var value = record[condition.field];
+  var empty = value === undefined || value === null || value === '';
+
+  switch (condition.operator) {
+  case '=':
+    return same(value, condition.value);
+  case '!=':
+    return !same(value, condition.value);
+  case 'IN':
+    return condition.value.some(function(item) {
+      return same(value, item);
+    });
+  case 'NOT IN':
+    return !condition.value.some(function(item) {
+      return same(value, item);
+    });
+  case '>':
+    return !empty && compare(value, condition.value) > 0;
+  case '>=':
+    return !empty && compare(value, condition.value) >= 0;
+  case '<':
+    return !empty && compare(value, condition.value) < 0;
+  case '<=':
+    return !empty && compare(value, condition.value) <= 0;
+  case 'NOT NULL':
+    return !empty;
+  case 'NULL':
+    return empty;
+  default:
+    throw new Error('Unsupported operator: ' + condition.operator);
+  }
+}
+
+/**
+ * Create a runtime with an empty database
+ *
+ * @param {Object} [options] - {user: sys_id, roles: Array<string>, properties: Object, now: epoch ms}
+ * @returns {Object} Runtime {context, db, clock, logs, table, insert, get, setUser, setProperty, advance}
+ */
+function createRuntime(options) {
+  options = options || {};
+
+  var db = {};
+  var clock = { now: options.now || Date.UTC(2026, 0, 5, 9, 0, 0) };
+  var logs = { info: [], warn: [], error: [] };
+  var state = {
+    user: options.user || 'user_dealer',
+    roles: options.roles || [],
+    properties: options.properties || {}
+  };
+  var nextId = 1;
+
+  function table(name) {
+    db[name] = db[name] || [];
+    return db[name];
+  }
+
+  function newId() {
+    return 'sys' + String(nextId++).padStart(29, '0');
+  }
+
+  function insert(name, data) {
+    var record = Object.assign({ sys_id: newId(), sys_created_on: formatDateTime(clock.now) }, data);
+    (UNIQUE_INDEXES[name] || []).forEach(function(fields) {
+      // Like the database, empty values never collide
+      var empty = fields.some(function(field) {
+        return record[field] === undefined || record[field] === null || record[field] === '';
+      });
+      var duplicate = !empty && table(name).some(function(existing) {
+        return fields.every(function(field) {
+          return same(existing[field], record[field]);
+        });
+      });
+      if (duplicate) {
+        throw new Error('Unique index violation on ' + name + ' (' + fields.join(', ') + ')');
+      }
+    });
+    table(name).push(record);
+    return record;
+  }
+
+  function displayValue(value) {
+    var names = Object.keys(db);
+    for (var i = 0; i < names.length; i++) {
+      var found = db[names[i]].find(function(record) {
+        return record.sys_id === value;
+      });
+      if (found) {
+        return found.name || found.title || found.number || '';
+      }
+    }
+    return '';
+  }
+
+  function pick(record, fields) {
+    if (!fields || fields.length === 0) {
+      return Object.assign({}, record);
+    }
+    var result = { sys_id: record.sys_id };
+    fields.forEach(function(field) {
+      if (/\$DISPLAY$/.test(field)) {
+        var base = field.replace(/\$DISPLAY$/, '');
+        result[field] = record[field] !== undefined ? record[field] : displayValue(record[base]);
+        return;
+      }
+      result[field] = record[field] === undefined ? null : record[field];
+    });
+    return result;
+  }
+
+  // --- Optional / Stream ---------------------------------------------------
+
+  function Optional(value, reason) {
+    this.value = value === undefined ? null : value;
+    this.reason = reason || 'Value not present';
+  }
+  Optional.prototype = {
+    isPresent: function() {
+      return this.value !== null;
+    },
+    isEmpty: function() {
+      return this.value === null;
+    },
+    get: function() {
+      if (this.value === null) {
+        throw new Error(this.reason);
+      }
+      return this.value;
+    },
+    orElse: function(other) {
+      return this.value === null ? other : this.value;
+    },
+    orElseThrow: function() {
+      return this.get();
+    },
+    ifPresent: function(fn) {
+      if (this.value !== null) {
+        fn(this.value);
+      }
+    },
+    map: function(fn) {
+      return new Optional(this.value === null ? null : fn(this.value));
+    }
+  };
+
+  function Stream(records) {
+    this.records = records;
+  }
+  Stream.prototype = {
+    forEach: function(fn) {
+      this.records.forEach(function(record) {
+        fn(record);
+      });
+    },
+    map: function(fn) {
+      return new Stream(this.records.map(fn));
+    },
+    filter: function(fn) {
+      return new Stream(this.records.filter(fn));
+    },
+    toArray: function(limit) {
+      return this.records.slice(0, limit || this.records.length);
+    },
+    reduce: function(fn, initial) {
+      return this.records.reduce(fn, initial);
+    },
+    some: function(fn) {
+      return this.records.some(fn);
+    },
+    every: function(fn) {
+      return this.records.every(fn);
+    }
+  };
+
+  // --- GlideQuery ----------------------------------------------------------
+
+  function GlideQuery(tableName, conditions, order, max) {
+    this.tableName = tableName;
+    this.conditions = conditions || [];
+    this.order = order || [];
+    this.max = max || 0;
+  }
+
+  GlideQuery.parse = function(tableName, encodedQuery) {
+    var query = new GlideQuery(tableName);
+    String(encodedQuery || '').split('^').filter(Boolean).forEach(function(term) {
+      var parts = /^([a-z0-9_.]+)(!=|>=|<=|=|>|<)(.*)$/i.exec(term);
+      if (!parts) {
+        throw new Error('Invalid encoded query: ' + term);
+      }
+      query = query.where(parts[1], parts[2], parts[3]);
+    });
+    return query;
+  };
+
+  GlideQuery.prototype = {
+    _with: function(changes) {
+      return new GlideQuery(
+        this.tableName,
+        changes.conditions || this.conditions,
+        changes.order || this.order,
+        changes.max !== undefined ? changes.max : this.max
+      );
+    },
+    where: function(field, operator, value) {
+      if (arguments.length === 2) {
+        value = operator;
+        operator = '=';
+      }
+      return this._with({ conditions: this.conditions.concat({ field: field, operator: operator, value: value }) });
+    },
+    whereNotNull: function(field) {
+      return this._with({ conditions: this.conditions.concat({ field: field, operator: 'NOT NULL' }) });
+    },
+    whereNull: function(field) {
+      return this._with({ conditions: this.conditions.concat({ field: field, operator: 'NULL' }) });
+    },
+    orderBy: function(field) {
+      return this._with({ order: this.order.concat({ field: field, desc: false }) });
+    },
+    orderByDesc: function(field) {
+      return this._with({ order: this.order.concat({ field: field, desc: true }) });
+    },
+    limit: function(max) {
+      return this._with({ max: max });
+    },
+    aggregate: function() {
+      // Non-terminal on the platform: it needs groupBy/select to run
+      return this;
+    },
+    _rows: function() {
+      var conditions = this.conditions;
+      var order = this.order;
+      var rows = table(this.tableName).filter(function(record) {
+        return conditions.every(function(condition) {
+          return matches(record, condition);
+        });
+      });
+      if (order.length > 0) {
+        rows = rows.slice().sort(function(a, b) {
+          for (var i = 0; i < order.length; i++) {
+            var result = compare(a[order[i].field], b[order[i].field]);
+            if (result !== 0) {
+              return order[i].desc ? -result : result;
+            }
+          }
+          return 0;
+        });
+      }
+      return this.max > 0 ? rows.slice(0, this.max) : rows;
+    },
+    select: function() {
+      var fields = Array.prototype.slice.call(arguments);
+      return new Stream(this._rows().map(function(record) {
+        return pick(record, fields);
+      }));
+    },
+    selectOne: function() {
+      var fields = Array.prototype.slice.call(arguments);
+      var rows = this._rows();
+      return new Optional(rows.length > 0 ? pick(rows[0], fields) : null);
+    },
+    forEach: function(fn) {
+      this.select().forEach(fn);
+    },
+    count: function() {
+      return this._rows().length;
+    },
+    insert: function(data) {
+      return new Optional(pick(insert(this.tableName, data), []));
+    },
+    update: function(changes) {
+      var rows = this._rows();
+      if (rows.length === 0) {
+        return new Optional(null, 'No record to update');
+      }
+      Object.assign(rows[0], changes);
+      return new Optional(pick(rows[0], []));
+    },
+    updateMultiple: function(changes) {
+      var rows = this._rows();
+      rows.forEach(function(record) {
+        Object.assign(record, changes);
+      });
+      return { rowCount: rows.length };
+    },
+    deleteMultiple: function() {
+      var doomed = this._rows();
+      db[this.tableName] = table(this.tableName).filter(function(record) {
+        return doomed.indexOf(record) === -1;
+      });
+    },
+    /**
+     * The app reads single records with get(sysId) followed by select,
+     * selectOne, update or deleteRecord; model that chain.
+     */
+    get: function(sysId) {
+      var query = this.where('sys_id', sysId);
+      var optional = query.selectOne();
+      optional.select = function() {
+        return query.selectOne.apply(query, arguments);
+      };
+      optional.selectOne = optional.select;
+      optional.update = function(changes) {
+        return query.update(changes);
+      };
+      optional.deleteRecord = function() {
+        var rows = query._rows();
+        query.deleteMultiple();
+        return new Optional(rows.length > 0 ? rows[0] : null, 'No record to delete');
+      };
+      return optional;
+    }
+  };
+
+  // --- GlideAggregate ------------------------------------------------------
+
+  /**
+   * Value of a field or a dot-walked reference such as session.scoring_method
+   */
+  function fieldValue(record, field) {
+    var parts = field.split('.');
+    var value = record[parts[0]];
+    for (var i = 1; i < parts.length && value; i++) {
+      var names = Object.keys(db);
+      var referenced = null;
+      for (var j = 0; j < names.length && !referenced; j++) {
+        referenced = db[names[j]].find(function(candidate) {
+          return candidate.sys_id === value;
+        }) || null;
+      }
+      value = referenced ? referenced[parts[i]] : null;
+    }
+    return value;
+  }
+
+  /**
+   * COUNT and SUM over groups; getValue and getAggregate return strings, as
+   * on the platform
+   */
+  function GlideAggregate(tableName) {
+    this.tableName = tableName;
+    this.conditions = [];
+    this.aggregates = [];
+    this.groups = [];
+    this.rows = [];
+    this.index = -1;
+  }
+  GlideAggregate.prototype = {
+    addQuery: function(field, operator, value) {
+      if (arguments.length === 2) {
+        value = operator;
+        operator = '=';
+      }
+      if ((operator === 'IN' || operator === 'NOT IN') && typeof value === 'string') {
+        value = value.split(',');
+      }
+      this.conditions.push({ field: field, operator: operator, value: value });
+    },
+    addNotNullQuery: function(field) {
+      this.conditions.push({ field: field, operator: 'NOT NULL' });
+    },
+    addAggregate: function(type, field) {
+      this.aggregates.push({ type: type, field: field || '' });
+    },
+    groupBy: function(field) {
+      this.groups.push(field);
+    },
+    query: function() {
+      var conditions = this.conditions;
+      var groups = this.groups;
+      var aggregates = this.aggregates;
+      var byKey = {};
+      this.rows = [];
+
+      table(this.tableName).filter(function(record) {
+        return conditions.every(function(condition) {
+          return matches(record, condition);
+        });
+      }).forEach(function(record) {
+        var values = groups.map(function(field) {
+          var value = fieldValue(record, field);
+          return value === undefined || value === null ? '' : String(value);
+        });
+        var key = JSON.stringify(values);
+        if (!byKey[key]) {
+          byKey[key] = { values: {}, aggregates: {} };
+          groups.forEach(function(field, index) {
+            byKey[key].values[field] = values[index];
+          });
+          this.rows.push(byKey[key]);
+        }
+        aggregates.forEach(function(aggregate) {
+          var name = aggregate.type + ':' + aggregate.field;
+          var amount = aggregate.type === 'COUNT' ? 1 : parseFloat(record[aggregate.field]) || 0;
+          byKey[key].aggregates[name] = (byKey[key].aggregates[name] || 0) + amount;
+        });
+      }, this);
+      this.index = -1;
+    },
+    next: function() {
+      this.index++;
+      return this.index < this.rows.length;
+    },
+    getValue: function(field) {
+      return this.rows[this.index].values[field];
+    },
+    getAggregate: function(type, field) {
+      return String(this.rows[this.index].aggregates[type + ':' + (field || '')] || 0);
+    }
+  };
+
+  // --- GlideDateTime ---------------------------------------------------------
+
+  function GlideDateTime(value) {
+    this.ms = value ? parseDateTime(value) : clock.now;
+  }
+  GlideDateTime.prototype = {
+    getValue: function() {
+      return formatDateTime(this.ms);
+    },
+    getNumericValue: function() {
+      return this.ms;
+    },
+    addSeconds: function(seconds) {
+      this.ms += seconds * 1000;
+    },
+    setValue: function(value) {
+      this.ms = parseDateTime(value);
+    },
+    toString: function() {
+      return this.getValue();
+    }
+  };
+
+  // --- GlideRecord (single-record reads only) -------------------------------
+
+  function GlideRecord(tableName) {
+    this.tableName = tableName;
+  }
+  GlideRecord.prototype = {
+    get: function(sysId) {
+      var record = table(this.tableName).find(function(row) {
+        return row.sys_id === sysId;
+      });
+      if (!record) {
+        return false;
+      }
+      Object.keys(record).forEach(function(field) {
+        var value = record[field];
+        this[field] = {
+          getValue: function() {
+            return value;
+          },
+          getDecryptedValue: function() {
+            return value;
+          },
+          toString: function() {
+            return String(value);
+          }
+        };
+      }, this);
+      return true;
+    }
+  };
+
+  // --- Outbound REST ---------------------------------------------------------
+
+  function RESTMessageV2() {
+    this.request = { method: 'GET', url: '', headers: {}, body: null, timeout: 30000 };
+  }
+  RESTMessageV2.prototype = {
+    setEndpoint: function(url) {
+      this.request.url = url;
+    },
+    setHttpMethod: function(method) {
+      this.request.method = String(method).toUpperCase();
+    },
+    setHttpTimeout: function(ms) {
+      this.request.timeout = ms;
+    },
+    setRequestHeader: function(name, value) {
+      this.request.headers[name] = value;
+    },
+    setBasicAuth: function(user, password) {
+      this.request.headers.Authorization = 'Basic ' + Buffer.from(user + ':' + password).toString('base64');
+    },
+    setRequestBody: function(body) {
+      this.request.body = body;
+    },
+    execute: function() {
+      var output = childProcess.execFileSync(process.execPath, [HTTP_CLIENT], {
+        input: JSON.stringify(this.request),
+        timeout: this.request.timeout + 5000
+      });
+      var result = JSON.parse(output.toString());
+      return {
+        getStatusCode: function() {
+          return result.status;
+        },
+        getBody: function() {
+          return result.body;
+        },
+        getHeader: function(name) {
+          return result.headers[String(name).toLowerCase()] || null;
+        },
+        getErrorMessage: function() {
+          return result.error;
+        }
+      };
+    }
+  };
+
+  // --- Misc globals ----------------------------------------------------------
+
+  function GlideCertificateEncryption() {}
+  GlideCertificateEncryption.prototype.generateMac = function(key, algorithm, data) {
+    if (algorithm !== 'HmacSHA256') {
+      throw new Error('Unsupported algorithm: ' + algorithm);
+    }
+    return crypto.createHmac('sha256', Buffer.from(key, 'base64')).update(data, 'utf8').digest('base64');
+  };
+
+  var gs = {
+    getUserID: function() {
+      return state.user;
+    },
+    hasRole: function(role) {
+      return state.roles.indexOf(role) !== -1 || state.roles.indexOf('admin') !== -1;
+    },
+    getProperty: function(name, defaultValue) {
+      return Object.prototype.hasOwnProperty.call(state.properties, name) ? state.properties[name] : defaultValue;
+    },
+    setProperty: function(name, value) {
+      state.properties[name] = String(value);
+    },
+    base64Encode: function(text) {
+      return Buffer.from(String(text), 'utf8').toString('base64');
+    },
+    info: function(message) {
+      logs.info.push(message);
+    },
+    warn: function(message) {
+      logs.warn.push(message);
+    },
+    error: function(message) {
+      logs.error.push(message);
+    },
+    addErrorMessage: function(message) {
+      logs.error.push(message);
+    }
+  };
+
+  var Class = {
+    create: function() {
+      return function() {
+        this.initialize.apply(this, arguments);
+      };
+    }
+  };
+
+  /**
+   * GlideAjax processors are built with a map of sysparm_* parameters
+   */
+  function AbstractAjaxProcessor() {}
+  AbstractAjaxProcessor.prototype = {
+    initialize: function(params) {
+      this.params = params || {};
+    },
+    getParameter: function(name) {
+      return Object.prototype.hasOwnProperty.call(this.params, name) ? this.params[name] : null;
+    }
+  };
+
+  var sandbox = {
+    gs: gs,
+    Class: Class,
+    GlideQuery: GlideQuery,
+    GlideAggregate: GlideAggregate,
+    GlideDateTime: GlideDateTime,
+    GlideRecord: GlideRecord,
+    GlideCertificateEncryption: GlideCertificateEncryption,
+    sn_ws: { RESTMessageV2: RESTMessageV2 },
+    global: { AbstractAjaxProcessor: AbstractAjaxProcessor },
+    console: console
+  };
+  var context = vm.createContext(sandbox);
+  vm.runInContext(
+    'Object.extendsObject = function(base, extension) {' +
+    '  var proto = Object.create(base.prototype);' +
+    '  Object.keys(extension).forEach(function(key) { proto[key] = extension[key]; });' +
+    '  return proto;' +
+    '};' +
+    // Script includes are reachable through their scope namespace
+    'var x_902080_msmplnpkr_fluent = this;',
+    context
+  );
+
+  // Load every script include; retry the ones whose base class is not loaded yet
+  var pending = findScripts(SCRIPT_INCLUDES);
+  while (pending.length > 0) {
+    var failed = [];
+    var lastError = null;
+    pending.forEach(function(file) {
+      try {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+      } catch (error) {
+        failed.push(file);
+        lastError = error;
+      }
+    });
+    if (failed.length === pending.length) {
+      throw lastError;
+    }
+    pending = failed;
+  }
+
+  return {
+    context: context,
+    db: db,
+    clock: clock,
+    logs: logs,
+    table: table,
+    insert: insert,
+    formatDateTime: formatDateTime,
+
+    /**
+     * Global defined by a loaded script include, e.g. runtime.get('SessionSummaryFluent')
+     */
+    get: function(name) {
+      return vm.runInContext(name, context);
+    },
+
+    setUser: function(userId, roles) {
+      state.user = userId;
+      state.roles = roles || [];
+    },
+
+    setProperty: function(name, value) {
+      state.properties[name] = value;
+    },
+
+    /**
+     * Advance the clock used by GlideDateTime
+     */
+    advance: function(seconds) {
+      clock.now += seconds * 1000;
+    }
+  };
+}
+
+module.exports = {
+  createRuntime: createRuntime,
+  formatDateTime: formatDateTime
+};
@@ -0,0 +1,108 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: value, numeric_value: Number(value), order: index, is_special: false });
+  });
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer', scoring_method: method.sys_id });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'voting', times_revoted: 0, order: 1 });
+  ['dealer', 'user_a', 'user_b'].forEach(function(user) {
+    runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: user, role: user === 'dealer' ? 'dealer' : 'participant', is_active: true });
+  });
+
+  var voting = new (runtime.get('VotingOperationsFluent'))();
+  var round = function(valueA, valueB) {
+    assert.strictEqual(voting.castVote(story.sys_id, valueA, 'user_a').success, true);
+    runtime.advance(30);
+    assert.strictEqual(voting.castVote(story.sys_id, valueB, 'user_b').success, true);
+    assert.strictEqual(voting.revealVotes(story.sys_id).success, true);
+  };
+
+  return { runtime: runtime, TABLES: TABLES, session: session, story: story, voting: voting, round: round };
+}
+
+function summarize(history) {
+  return Array.from(history.rounds, function(round) {
+    return {
+      sequence: round.sequence,
+      undone: round.undone,
+      is_current: round.is_current,
+      spread: round.spread,
+      spread_change: round.spread_change,
+      values: Array.from(round.votes, function(vote) {
+        return vote.vote_value;
+      }).join(',')
+    };
+  });
+}
+
+test('undoLastRevote keeps the abandoned round in the vote history', function() {
+  var env = setup();
+  env.round('2', '8');
+  assert.strictEqual(env.voting.revote(env.story.sys_id).success, true);
+  env.round('3', '5');
+
+  assert.strictEqual(env.voting.undoLastRevote(env.story.sys_id).success, true);
+
+  var votes = env.runtime.table(env.TABLES.VOTE);
+  assert.strictEqual(votes.length, 4);
+  assert.strictEqual(votes.filter(function(vote) {
+    return vote.vote_sequence === 2 && !vote.is_current && !!vote.undone_at;
+  }).length, 2);
+  assert.strictEqual(env.story.status, 'revealed');
+  assert.strictEqual(env.story.times_revoted, 0);
+  assert.strictEqual(env.voting.getCurrentVotes(env.story.sys_id).length, 2);
+
+  var history = new (env.runtime.get('VoteHistoryFluent'))().getStoryHistory(env.story.sys_id);
+  assert.deepStrictEqual(summarize(history), [
+    { sequence: 1, undone: false, is_current: true, spread: 6, spread_change: null, values: '2,8' },
+    { sequence: 2, undone: true, is_current: false, spread: 2, spread_change: null, values: '3,5' }
+  ]);
+  assert.strictEqual(history.convergence.rounds_measured, 1);
+});
+
+test('a re-vote after an undo gets its own round next to the undone one', function() {
+  var env = setup();
+  env.round('2', '8');
+  env.voting.revote(env.story.sys_id);
+  env.round('3', '5');
+  env.voting.undoLastRevote(env.story.sys_id);
+
+  assert.strictEqual(env.voting.revote(env.story.sys_id).success, true);
+  env.round('5', '5');
+
+  var history = new (env.runtime.get('VoteHistoryFluent'))().getStoryHistory(env.story.sys_id);
+  assert.deepStrictEqual(summarize(history), [
+    { sequence: 1, undone: false, is_current: false, spread: 6, spread_change: null, values: '2,8' },
+    { sequence: 2, undone: true, is_current: false, spread: 2, spread_change: null, values: '3,5' },
+    { sequence: 2, undone: false, is_current: true, spread: 0, spread_change: 6, values: '5,5' }
+  ]);
+  assert.strictEqual(history.convergence.narrowed_by, 6);
+
+  // Undoing again restores round 1 only, not the earlier undone round 2
+  assert.strictEqual(env.voting.undoLastRevote(env.story.sys_id).success, true);
+  assert.deepStrictEqual(Array.from(env.voting.getCurrentVotes(env.story.sys_id), function(vote) {
+    return vote.vote_sequence + ':' + vote.vote_value;
+  }).sort(), ['1:2', '1:8']);
+});
+
+test('repairSession does not count undone rounds as re-votes', function() {
+  var env = setup();
+  env.round('2', '8');
+  env.voting.revote(env.story.sys_id);
+  env.round('3', '5');
+  env.voting.undoLastRevote(env.story.sys_id);
+
+  assert.strictEqual(new (env.runtime.get('SessionSummaryFluent'))().repairSession(env.session.sys_id).success, true);
+  assert.strictEqual(env.story.times_revoted, 0);
+  assert.strictEqual(env.story.vote_count, 2);
+});
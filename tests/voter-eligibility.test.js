@@ -0,0 +1,40 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime();
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active' });
+  runtime.insert(TABLES.VOTER_GROUP, { session: session.sys_id, group: 'web_team', is_active: true });
+  runtime.insert(TABLES.VOTER_GROUP, { session: session.sys_id, group: 'mobile_team', is_active: true });
+  runtime.insert(TABLES.VOTER_GROUP, { session: session.sys_id, group: 'old_team', is_active: false });
+  runtime.insert('sys_user_grmember', { group: 'mobile_team', user: 'user_a' });
+  runtime.insert('sys_user_grmember', { group: 'old_team', user: 'user_b' });
+
+  return { runtime: runtime, session: session, eligibility: new (runtime.get('VoterEligibilityFluent'))() };
+}
+
+test('isVoterGroupMember finds members of any active voter group', function() {
+  var env = setup();
+
+  assert.strictEqual(env.eligibility.isVoterGroupMember(env.session.sys_id, 'user_a'), true);
+  assert.strictEqual(env.eligibility.isEligible(env.session.sys_id, 'user_a'), true);
+});
+
+test('isVoterGroupMember ignores inactive groups and non-members', function() {
+  var env = setup();
+
+  assert.strictEqual(env.eligibility.isVoterGroupMember(env.session.sys_id, 'user_b'), false);
+  assert.strictEqual(env.eligibility.isVoterGroupMember(env.session.sys_id, 'user_c'), false);
+});
+
+test('isVoterGroupMember is false for sessions without voter groups', function() {
+  var env = setup();
+  var other = env.runtime.insert(env.runtime.get('PlanningPokerConstants').TABLES.SESSION, { name: 'Sprint 13' });
+
+  assert.strictEqual(env.eligibility.isVoterGroupMember(other.sys_id, 'user_a'), false);
+});
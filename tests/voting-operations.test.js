@@ -0,0 +1,154 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: value, numeric_value: Number(value), order: index, is_special: false });
+  });
+  runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: '?', numeric_value: null, order: 5, is_special: true });
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer', scoring_method: method.sys_id });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'voting', times_revoted: 0, order: 1 });
+  ['dealer', 'user_a', 'user_b', 'user_c'].forEach(function(user) {
+    runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: user, role: user === 'dealer' ? 'dealer' : 'participant', is_active: true });
+  });
+
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    session: session,
+    story: story,
+    voting: new (runtime.get('VotingOperationsFluent'))(),
+    votes: function() {
+      return runtime.table(TABLES.VOTE);
+    }
+  };
+}
+
+test('changeVote updates the current vote in place instead of adding one', function() {
+  var env = setup();
+  var cast = env.voting.castVote(env.story.sys_id, '3', 'user_a');
+  assert.strictEqual(cast.success, true);
+  var castAt = env.votes()[0].voted_at;
+
+  env.runtime.advance(30);
+  var changed = env.voting.changeVote(env.story.sys_id, '5', 'user_a');
+
+  assert.strictEqual(changed.success, true);
+  assert.strictEqual(changed.sysId, cast.sysId);
+  assert.strictEqual(env.votes().length, 1);
+  assert.strictEqual(env.votes()[0].vote_value, '5');
+  assert.strictEqual(env.votes()[0].vote_sequence, 1);
+  assert.strictEqual(env.votes()[0].is_current, true);
+  assert.notStrictEqual(env.votes()[0].voted_at, castAt);
+});
+
+test('casting again in the same round changes the vote, and changeVote needs a vote to change', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '3', 'user_a');
+  env.voting.castVote(env.story.sys_id, '8', 'user_a');
+
+  assert.strictEqual(env.votes().length, 1);
+  assert.strictEqual(env.votes()[0].vote_value, '8');
+
+  var result = env.voting.changeVote(env.story.sys_id, '2', 'user_b');
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'No current vote to change for this story');
+
+  assert.strictEqual(env.voting.castVote(env.story.sys_id, '13', 'user_b').error, 'Invalid vote value for this scoring method: 13');
+  assert.strictEqual(env.voting.castVote(env.story.sys_id, '3', 'outsider').error, 'User is not eligible to vote in this session');
+});
+
+test('revealVotes computes the statistics and records who did not vote', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '2', 'user_a');
+  env.voting.castVote(env.story.sys_id, '5', 'user_b');
+  env.voting.castVote(env.story.sys_id, '?', 'dealer');
+
+  var result = env.voting.revealVotes(env.story.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.story.status, 'revealed');
+  assert.strictEqual(env.story.average_score, 3.5);
+  assert.strictEqual(env.story.min_score, '2');
+  assert.strictEqual(env.story.max_score, '5');
+  assert.strictEqual(env.story.consensus_reached, false);
+  assert.strictEqual(env.story.non_voters, 'user_c');
+
+  assert.strictEqual(env.voting.revealVotes(env.story.sys_id).error, 'Only stories in voting can be revealed (status: revealed)');
+  assert.strictEqual(env.voting.castVote(env.story.sys_id, '3', 'user_c').error, 'Story is not open for voting (status: revealed)');
+});
+
+test('revote retires the round and numbers the next one vote_sequence + 1', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '2', 'user_a');
+  env.voting.castVote(env.story.sys_id, '8', 'user_b');
+  env.voting.revealVotes(env.story.sys_id);
+
+  var result = env.voting.revote(env.story.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.story.status, 'voting');
+  assert.strictEqual(env.story.times_revoted, 1);
+  assert.strictEqual(env.story.average_score, null);
+  assert.strictEqual(env.story.min_score, '');
+  assert.strictEqual(env.story.non_voters, '');
+  assert.strictEqual(env.voting.getCurrentVotes(env.story.sys_id).length, 0);
+
+  env.voting.castVote(env.story.sys_id, '3', 'user_a');
+  env.voting.revote(env.story.sys_id);
+  env.voting.castVote(env.story.sys_id, '5', 'user_a');
+
+  assert.deepStrictEqual(env.votes().map(function(vote) {
+    return [vote.vote_value, vote.vote_sequence, vote.is_current];
+  }), [['2', 1, false], ['8', 1, false], ['3', 2, false], ['5', 3, true]]);
+  assert.strictEqual(env.story.times_revoted, 2);
+});
+
+test('accepting the suggested score completes the story without marking it overridden', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '3', 'user_a');
+  env.voting.castVote(env.story.sys_id, '5', 'user_b');
+  env.voting.castVote(env.story.sys_id, '?', 'user_c');
+  env.voting.revealVotes(env.story.sys_id);
+  assert.strictEqual(env.story.suggested_score, '5');
+
+  var result = env.voting.acceptSuggestedScore(env.story.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.story.status, 'completed');
+  assert.strictEqual(env.story.final_score, '5');
+  assert.strictEqual(env.story.score_overridden, false);
+});
+
+test('choosing another final score than the suggestion marks the story overridden', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '3', 'user_a');
+  env.voting.castVote(env.story.sys_id, '5', 'user_b');
+  env.voting.revealVotes(env.story.sys_id);
+
+  var result = env.voting.completeStory(env.story.sys_id, '3');
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.story.final_score, '3');
+  assert.strictEqual(env.story.score_overridden, true);
+});
+
+test('a story with only special votes has no suggestion to accept', function() {
+  var env = setup();
+  env.voting.castVote(env.story.sys_id, '?', 'user_a');
+  env.voting.revealVotes(env.story.sys_id);
+
+  assert.strictEqual(env.story.suggested_score, '');
+  assert.strictEqual(env.voting.acceptSuggestedScore(env.story.sys_id).error, 'No suggested score for this story; choose a final score instead');
+
+  env.voting.completeStory(env.story.sys_id, '8');
+  assert.strictEqual(env.story.score_overridden, false);
+});
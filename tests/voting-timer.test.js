@@ -0,0 +1,145 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var createRuntime = require('./support/servicenow').createRuntime;
+
+function setup(sessionFields) {
+  var runtime = createRuntime({ user: 'dealer' });
+  var TABLES = runtime.get('PlanningPokerConstants').TABLES;
+
+  var method = runtime.insert(TABLES.SCORING_METHOD, { name: 'Fibonacci', is_numeric: true });
+  ['1', '2', '3', '5', '8'].forEach(function(value, index) {
+    runtime.insert(TABLES.SCORING_VALUE, { scoring_method: method.sys_id, value: value, numeric_value: Number(value), order: index, is_special: false });
+  });
+
+  var session = runtime.insert(TABLES.SESSION, Object.assign({
+    name: 'Sprint 12', status: 'active', dealer: 'dealer', scoring_method: method.sys_id, current_story: '', voting_time_limit: 60
+  }, sessionFields || {}));
+  var addStory = function(fields) {
+    return runtime.insert(TABLES.STORY, Object.assign({ session: session.sys_id, title: 'Story', status: 'pending', times_revoted: 0 }, fields));
+  };
+  ['dealer', 'user_a', 'user_b'].forEach(function(user) {
+    runtime.insert(TABLES.PARTICIPANT, { session: session.sys_id, user: user, role: user === 'dealer' ? 'dealer' : 'participant', is_active: true });
+  });
+
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    session: session,
+    addStory: addStory,
+    voting: new (runtime.get('VotingOperationsFluent'))()
+  };
+}
+
+test('opening a round stamps the start and a deadline from the story or session time limit', function() {
+  var env = setup();
+  var sessionLimit = env.addStory({ order: 1 });
+  var storyLimit = env.addStory({ order: 2, time_limit: 300 });
+
+  assert.strictEqual(env.voting.startVoting(sessionLimit.sys_id).success, true);
+  assert.strictEqual(sessionLimit.voting_started_at, '2026-01-05 09:00:00');
+  assert.strictEqual(sessionLimit.voting_deadline, '2026-01-05 09:01:00');
+
+  sessionLimit.status = 'completed';
+  assert.strictEqual(env.voting.startVoting(storyLimit.sys_id).success, true);
+  assert.strictEqual(storyLimit.voting_deadline, '2026-01-05 09:05:00');
+
+  env.runtime.advance(30);
+  env.voting.revealVotes(storyLimit.sys_id);
+  env.voting.revote(storyLimit.sys_id);
+  assert.strictEqual(storyLimit.voting_started_at, '2026-01-05 09:00:30');
+  assert.strictEqual(storyLimit.voting_deadline, '2026-01-05 09:05:30');
+});
+
+test('untimed rounds have no deadline and no countdown', function() {
+  var env = setup({ voting_time_limit: 0 });
+  var story = env.addStory({ order: 1 });
+
+  env.voting.startVoting(story.sys_id);
+
+  assert.strictEqual(story.voting_deadline, '');
+  assert.strictEqual(env.voting.getSecondsRemaining(story), null);
+  env.runtime.advance(3600);
+  assert.strictEqual(env.voting.revealIfExpired(story.sys_id).revealed, false);
+  assert.strictEqual(story.status, 'voting');
+});
+
+test('getSecondsRemaining counts down to 0 and voting closes at the deadline', function() {
+  var env = setup();
+  var story = env.addStory({ order: 1 });
+  env.voting.startVoting(story.sys_id);
+
+  assert.strictEqual(env.voting.getSecondsRemaining(story), 60);
+  env.runtime.advance(59.5);
+  assert.strictEqual(env.voting.getSecondsRemaining(story), 1);
+  env.runtime.advance(0.5);
+  assert.strictEqual(env.voting.getSecondsRemaining(story), 0);
+  env.runtime.advance(10);
+  assert.strictEqual(env.voting.getSecondsRemaining(story), 0);
+
+  assert.strictEqual(env.voting.castVote(story.sys_id, '3', 'user_a').error, 'Voting time is up for this round');
+});
+
+test('revealIfExpired reveals through revealVotes once the deadline passes, recording non_voters', function() {
+  var env = setup();
+  var story = env.addStory({ order: 1 });
+  env.voting.startVoting(story.sys_id);
+  env.voting.castVote(story.sys_id, '3', 'user_a');
+  env.voting.castVote(story.sys_id, '5', 'dealer');
+
+  env.runtime.advance(59);
+  assert.strictEqual(env.voting.revealIfExpired(story.sys_id).revealed, false);
+  assert.strictEqual(story.status, 'voting');
+
+  env.runtime.advance(1);
+  var result = env.voting.revealIfExpired(story.sys_id);
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(result)), { success: true, revealed: true, error: null });
+  assert.strictEqual(story.status, 'revealed');
+  assert.strictEqual(story.average_score, 4);
+  assert.strictEqual(story.min_score, '3');
+  assert.strictEqual(story.max_score, '5');
+  assert.strictEqual(story.non_voters, 'user_b');
+});
+
+test('revealExpiredStories reveals every expired round and leaves the others voting', function() {
+  var env = setup();
+  var expired = env.addStory({ order: 1, status: 'voting', voting_deadline: '2026-01-05 08:59:00' });
+  var running = env.addStory({ order: 2, status: 'voting', voting_deadline: '2026-01-05 09:10:00' });
+  var untimed = env.addStory({ order: 3, status: 'voting', voting_deadline: '' });
+  var revealed = env.addStory({ order: 4, status: 'revealed', voting_deadline: '2026-01-05 08:00:00' });
+
+  var run = env.voting.revealExpiredStories();
+
+  assert.strictEqual(run.revealed, 1);
+  assert.strictEqual(run.errors.length, 0);
+  assert.strictEqual(expired.status, 'revealed');
+  assert.strictEqual(expired.non_voters, 'dealer,user_a,user_b');
+  assert.strictEqual(running.status, 'voting');
+  assert.strictEqual(untimed.status, 'voting');
+  assert.strictEqual(revealed.status, 'revealed');
+});
+
+test('getSessionState reveals an expired current story and survives a deleted one', function() {
+  var env = setup();
+  var story = env.addStory({ order: 1 });
+  env.voting.startVoting(story.sys_id);
+  var Ajax = env.runtime.get('PlanningPokerAjaxFluent');
+  var state = function() {
+    return JSON.parse(new Ajax({ sysparm_session_id: env.session.sys_id }).getSessionState());
+  };
+
+  assert.strictEqual(state().result.current_story.seconds_remaining, 60);
+
+  env.runtime.advance(60);
+  var answer = state();
+  assert.strictEqual(answer.result.current_story.status, 'revealed');
+  assert.strictEqual(answer.result.current_story.seconds_remaining, null);
+  assert.strictEqual(answer.result.results.revealed, true);
+
+  env.runtime.table(env.TABLES.STORY).length = 0;
+  answer = state();
+  assert.strictEqual(answer.success, true);
+  assert.strictEqual(answer.result.current_story, null);
+});
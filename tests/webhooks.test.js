@@ -0,0 +1,184 @@
+'use strict';
+
+var test = require('node:test');
+var assert = require('assert');
+var crypto = require('crypto');
+var createRuntime = require('./support/servicenow').createRuntime;
+var mockServer = require('./support/mock-server');
+
+var server;
+
+test.before(async function() {
+  server = await mockServer.start();
+});
+
+test.after(function() {
+  server.stop();
+});
+
+test.beforeEach(async function() {
+  await server.reset();
+});
+
+function setup() {
+  var runtime = createRuntime({ user: 'dealer' });
+  var constants = runtime.get('PlanningPokerConstants');
+  var TABLES = constants.TABLES;
+
+  var session = runtime.insert(TABLES.SESSION, { name: 'Sprint 12', status: 'active', dealer: 'dealer' });
+  var story = runtime.insert(TABLES.STORY, { session: session.sys_id, title: 'Login', status: 'revealed', min_score: '3', max_score: '5' });
+
+  return {
+    runtime: runtime,
+    TABLES: TABLES,
+    EVENT_TYPES: constants.EVENT_TYPES,
+    session: session,
+    story: story,
+    dispatcher: new (runtime.get('WebhookDispatcherFluent'))(),
+    subscribe: function(path, fields) {
+      return runtime.insert(TABLES.WEBHOOK_SUBSCRIPTION, Object.assign({
+        name: path,
+        url: server.url + path,
+        format: 'json',
+        secret: '',
+        active: true
+      }, fields || {}));
+    },
+    deliveries: function() {
+      return runtime.table(TABLES.WEBHOOK_DELIVERY);
+    }
+  };
+}
+
+function minutesBetween(from, to) {
+  return (Date.parse(to.replace(' ', 'T') + 'Z') - Date.parse(from.replace(' ', 'T') + 'Z')) / 60000;
+}
+
+test('deliveries are signed with an HMAC of the timestamp and body', async function() {
+  var env = setup();
+  env.subscribe('/hooks/signed', { secret: 'shh' });
+  await server.route({ method: 'POST', path: '/hooks/signed', status: 204, body: '' });
+
+  env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTES_REVEALED, { story: env.story.sys_id });
+  var delivery = env.deliveries()[0];
+  var result = env.dispatcher.deliver(delivery.sys_id);
+
+  assert.strictEqual(result.status, 'delivered');
+  var requests = await server.requests();
+  assert.strictEqual(requests.length, 1);
+
+  var headers = requests[0].headers;
+  var expected = crypto.createHmac('sha256', 'shh').update(headers['x-planningpoker-timestamp'] + '.' + requests[0].body).digest('base64');
+  assert.strictEqual(headers['x-planningpoker-signature'], 'sha256=' + expected);
+  assert.strictEqual(headers['x-planningpoker-event'], 'story.revealed');
+  assert.strictEqual(requests[0].body, delivery.payload);
+  assert.strictEqual(JSON.parse(requests[0].body).story.title, 'Login');
+});
+
+test('failed deliveries back off 1, 2, 4, 8 and 16 minutes with the same delivery id, then fail', async function() {
+  var env = setup();
+  env.subscribe('/hooks/down');
+  await server.route({ method: 'POST', path: '/hooks/down', status: 503, body: { error: 'maintenance' } });
+
+  env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTES_REVEALED, { story: env.story.sys_id });
+  var delivery = env.deliveries()[0];
+
+  var result = env.dispatcher.deliver(delivery.sys_id);
+  var waits = [];
+  while (delivery.status === 'retrying') {
+    waits.push(minutesBetween(env.runtime.formatDateTime(env.runtime.clock.now), delivery.next_attempt_at));
+    env.runtime.advance(waits[waits.length - 1] * 60 - 1);
+    assert.strictEqual(env.dispatcher.retryDue().attempted, 0);
+    env.runtime.advance(1);
+    result = env.dispatcher.retryDue();
+    assert.strictEqual(result.attempted, 1);
+  }
+
+  assert.deepStrictEqual(waits, [1, 2, 4, 8, 16]);
+  assert.strictEqual(delivery.status, 'failed');
+  assert.strictEqual(delivery.attempts, 6);
+  assert.strictEqual(delivery.response_code, 503);
+  assert.strictEqual(result.failed, 1);
+
+  var requests = await server.requests();
+  assert.strictEqual(requests.length, 6);
+  requests.forEach(function(request) {
+    assert.strictEqual(request.headers['x-planningpoker-delivery'], delivery.sys_id);
+    assert.strictEqual(request.body, requests[0].body);
+  });
+});
+
+test('subscriptions only get the events and sessions they ask for', async function() {
+  var env = setup();
+  var other = env.runtime.insert(env.TABLES.SESSION, { name: 'Sprint 13', status: 'active', dealer: 'dealer' });
+  var all = env.subscribe('/hooks/all');
+  var revealed = env.subscribe('/hooks/revealed', { events: 'story.revealed, story.completed' });
+  env.subscribe('/hooks/started', { events: 'session.started' });
+  env.subscribe('/hooks/other', { session: other.sys_id });
+  env.subscribe('/hooks/inactive', { active: false });
+  await server.route([
+    { method: 'POST', path: '/hooks/all', status: 200, body: {} },
+    { method: 'POST', path: '/hooks/revealed', status: 200, body: {} }
+  ]);
+
+  var queued = env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTES_REVEALED, { story: env.story.sys_id });
+  env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTE_CAST, { story: env.story.sys_id });
+
+  assert.strictEqual(queued.queued, 2);
+  assert.deepStrictEqual(env.deliveries().map(function(delivery) {
+    return delivery.subscription;
+  }).sort(), [all.sys_id, revealed.sys_id].sort());
+
+  env.runtime.advance(60);
+  assert.strictEqual(env.dispatcher.retryDue().delivered, 2);
+  var paths = (await server.requests()).map(function(request) {
+    return request.path;
+  });
+  assert.deepStrictEqual(paths.sort(), ['/hooks/all', '/hooks/revealed']);
+});
+
+test('a delivery claimed by another run is not sent twice', async function() {
+  var env = setup();
+  env.subscribe('/hooks/claimed');
+  await server.route({ method: 'POST', path: '/hooks/claimed', status: 200, body: {} });
+
+  env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTES_REVEALED, { story: env.story.sys_id });
+  var delivery = env.deliveries()[0];
+  var stale = Object.assign({}, delivery);
+
+  // The async rule claims the attempt while a retry run still holds its earlier read
+  assert.strictEqual(env.dispatcher._claim(Object.assign({}, delivery), 1), true);
+  assert.strictEqual(delivery.status, 'sending');
+  assert.strictEqual(env.dispatcher._claim(stale, 1), false);
+  assert.strictEqual(env.dispatcher.deliver(delivery.sys_id).error, 'Delivery ' + delivery.sys_id + ' is already being sent');
+
+  env.runtime.advance(60);
+  assert.strictEqual(env.dispatcher.retryDue().attempted, 0);
+  assert.strictEqual((await server.requests()).length, 0);
+
+  // The claim runs out when the sender never records an outcome
+  env.runtime.advance(240);
+  var run = env.dispatcher.retryDue();
+
+  assert.strictEqual(run.delivered, 1);
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual((await server.requests()).length, 1);
+});
+
+test('deleteSession removes its webhook deliveries and session subscriptions', function() {
+  var env = setup();
+  env.session.status = 'completed';
+  var global = env.subscribe('/hooks/all');
+  env.subscribe('/hooks/session', { session: env.session.sys_id });
+  env.dispatcher.enqueue(env.session.sys_id, env.EVENT_TYPES.VOTES_REVEALED, { story: env.story.sys_id });
+  assert.strictEqual(env.deliveries().length, 2);
+
+  var result = new (env.runtime.get('SessionManagementFluent'))().deleteSession(env.session.sys_id);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(env.deliveries().length, 0);
+  assert.deepStrictEqual(env.runtime.table(env.TABLES.WEBHOOK_SUBSCRIPTION).map(function(subscription) {
+    return subscription.sys_id;
+  }), [global.sys_id]);
+});